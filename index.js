@@ -22,6 +22,199 @@ const commonHandler = require('./src/commands');
 
 // -----------------------------------------------------------------------------------------
 
+// Set the load options which are shared by the load and load-many commands
+const addLoadOptions = yargs => yargs
+    // --conserve
+    .option('c', {
+        alias: 'conserve',
+        description: 'Restrict the data append so the user is never asked and new data is loaded only when there is no conflict',
+        type: 'boolean',
+        default: false,
+    })
+    // --overwrite
+    .option('o', {
+        alias: 'overwrite',
+        description: 'Priorize the data append so the user is never asked and current data is overwritten when there is any conflict. ' +
+            'Files identical to the already loaded files are never uploaded again',
+        type: 'boolean',
+        default: false,
+    })
+    // --md-directories
+    .option('mdirs', {
+        alias: 'md-directories',
+        description: 'Set which MD directories are to be loaded',
+        type: 'array'
+    })
+    // --include
+    .option('i', {
+        alias: 'include',
+        description: 'Load only the specified files',
+        type: 'array',
+    })
+    // --exclude
+    .option('e', {
+        alias: 'exclude',
+        description: 'Load all but the specified files',
+        type: 'array',
+    })
+    // --skip-trajectories
+    .option('st', {
+        alias: 'skip-trajectories',
+        description: 'Skip the load of any trajectory file (xtc, trr, dcd, nc or pdb) in the binary format (bin)',
+        type: 'boolean',
+        default: false,
+    })
+    // --skip-files
+    .option('sf', {
+        alias: 'skip-files',
+        description: 'Skip the load of any file (pdb, xtc, ...)',
+        type: 'boolean',
+        default: false,
+    })
+    // --skip-analyses
+    .option('sa', {
+        alias: 'skip-analyses',
+        description: 'Skip the load of any analyses (md.whatever.json files)',
+        type: 'boolean',
+        default: false,
+    })
+    // --gromacs-path
+    .option('gro', {
+        alias: 'gromacs-path', // Option name. Useful for the help
+        description: 'path to gromacs command-line tool. If passed, trajectories are read with Gromacs instead of the native reader', // Option description. Useful for the help
+        type: 'string',
+        default: null,
+        coerce: idOrAccessionCoerce,
+    })
+    // --stride
+    .option('stride', {
+        description: 'Load only one of every N trajectory frames. ' +
+            'It may be also set for the whole load or for specific files in the inputs file (load_frames)',
+        type: 'number',
+    })
+    // --first-frame
+    .option('first-frame', {
+        description: 'First trajectory frame to be loaded (1-based)',
+        type: 'number',
+    })
+    // --last-frame
+    .option('last-frame', {
+        description: 'Last trajectory frame which may be loaded (1-based, included)',
+        type: 'number',
+    })
+    // --max-frames
+    .option('max-frames', {
+        description: 'Maximum number of trajectory frames to be loaded, after applying the stride and the frame range',
+        type: 'number',
+    })
+    // --atom-indices
+    .option('atom-indices', {
+        description: 'File with the indices (0-based) of the atoms to be loaded in trajectories. ' +
+            'The atom selection may be also set in the inputs file (load_atoms)',
+        type: 'string',
+    })
+    // --exclude-residues
+    .option('exclude-residues', {
+        description: 'Names of residues whose atoms are not loaded in trajectories (e.g. SOL,NA,CL). Residues are found in the topology',
+        type: 'array',
+    })
+    // --exclude-pbc-residues
+    .option('exclude-pbc-residues', {
+        description: 'Do not load the atoms of the topology PBC residues (i.e. solvent and ions) in trajectories',
+        type: 'boolean',
+    })
+    // --trajectory-codec
+    .option('trajectory-codec', {
+        description: 'How trajectory coordinates are stored: raw float32 (raw) or quantized to integers (int16 or int32). ' +
+            'The codec may be also set in the inputs file (load_codec)',
+        type: 'string',
+        choices: ['raw', 'int16', 'int32'],
+    })
+    // --trajectory-precision
+    .option('trajectory-precision', {
+        description: 'Precision in Ångströms of quantized trajectory coordinates (0.01 by default)',
+        type: 'number',
+    })
+    // --trajectory-compression
+    .option('trajectory-compression', {
+        description: 'Compression of every stored trajectory frame',
+        type: 'string',
+        choices: ['none', 'deflate'],
+    })
+    // --timeout-ms
+    .option('t', {
+        alias: 'timeout',
+        description: 'Wait time in seconds for newly uploaded file documents to become visible in MongoDB',
+        type: 'integer',
+        default: null,
+    })
+    // --dry-run
+    .option('dry', {
+        alias: 'dry-run',
+        description: 'Print what would be loaded (new, conflicting, skipped or overwritten) without writing anything in the database',
+        type: 'boolean',
+        default: false,
+    })
+    // --resume
+    .option('resume', {
+        description: 'Resume a previous interrupted load by skipping the steps it already completed',
+        type: 'boolean',
+        default: false,
+    })
+    // --policy
+    .option('policy', {
+        description: 'YAML or JSON file with the conflict policy (conserve, overwrite or ask) for every category ' +
+            '(files, trajectories, analyses, topology, metadata and references) and name pattern. ' +
+            'It has priority over the conserve and overwrite options and over the policy in the inputs file',
+        type: 'string',
+    })
+    // --report
+    .option('report', {
+        description: 'Write a JSON report with everything done along the load (accession, loaded files and analyses, warnings, timings...)',
+        type: 'string',
+    })
+    // --strict
+    .option('strict', {
+        description: 'Refuse to load anything if metadata, topology, references or analyses do not match the JSON Schemas. Analyses are only validated with this option, since reading them in advance slows the load',
+        type: 'boolean',
+        default: false,
+    })
+    // --schema-version
+    .option('schema-version', {
+        description: 'Version of the JSON Schemas used to validate the data (e.g. v1). The latest version is used by default',
+        type: 'string',
+    })
+    // --verify
+    .option('verify', {
+        description: 'Download every loaded file and trajectory again to check its size, frames and checksum. ' +
+            'Broken files are removed and the load fails',
+        type: 'boolean',
+        default: false,
+    })
+    // --compress-files
+    .option('compress-files', {
+        description: 'Compress uploaded files matching these patterns or extensions (e.g. pdb, *.prmtop or *.json:zstd). ' +
+            'Files are compressed with gzip unless zstd is set. Parsed trajectories are never compressed this way. ' +
+            'Compression may be also set in the inputs file (load_compression)',
+        type: 'array',
+    })
+    // --deduplicate
+    .option('deduplicate', {
+        description: 'Store files content-addressed, so files identical to any already loaded file are not uploaded again ' +
+            'but shared. Shared files are only removed once no project uses them. Parsed trajectories are never shared',
+        type: 'boolean',
+        default: false,
+    })
+    // --concurrency
+    .option('concurrency', {
+        description: 'Maximum number of MD directories, and also of files and analyses, to be loaded at the same time. ' +
+            'Big files from .tar.gz archives are still read one at a time, since the archive is decompressed only once',
+        type: 'number',
+        default: 1,
+    });
+
+// -----------------------------------------------------------------------------------------
+
 // Execute different functions and scripts according to the input commands and options
 // Display help info when this script is called with no commands or with a "--help" commands
 // yargs API: https://github.com/yargs/yargs/blob/HEAD/docs/api.md
@@ -30,12 +223,14 @@ yargs
     .command({
         command: 'load <pdir>', // Command name and positional arguments. Useful for the help
         desc: 'load data from specified file or folder', // Command description. Useful for the help
-        builder: yargs => yargs
-            // All values from options and positionals are saved at the "argv" object (explained below)
+        // All values from options and positionals are saved at the "argv" object (explained below)
+        // Options shared with the load-many command are added apart
+        builder: yargs => addLoadOptions(yargs
             // project directory
             .positional('pdir', {
                 alias: 'project-directory',
-                describe: 'Project directory containing all files to be loaded',
+                describe: 'Project directory containing all files to be loaded.\n' +
+                    'It may be also an archive (.tar, .tar.gz, .tgz or .zip) with the project directory content.',
                 type: 'string'
             })
             // --accession
@@ -48,75 +243,76 @@ yargs
                 default: null,
                 coerce: idOrAccessionCoerce,
             })
-            // --conserve
-            .option('c', {
-                alias: 'conserve',
-                description: 'Restrict the data append so the user is never asked and new data is loaded only when there is no conflict',
+            // --watch
+            .option('w', {
+                alias: 'watch',
+                description: 'Keep watching the project directory and load new files as the workflow writes them.\n' +
+                    'Files are loaded once they stop changing. Press Control + C to stop watching.',
                 type: 'boolean',
                 default: false,
             })
-            // --overwrite
-            .option('o', {
-                alias: 'overwrite',
-                description: 'Priorize the data append so the user is never asked and current data is overwritten when there is any conflict',
-                type: 'boolean',
-                default: false,
+            // --watch-interval
+            .option('watch-interval', {
+                description: 'Time in seconds between checks for new files in watch mode',
+                type: 'number',
+                default: 10,
+            })
+            // --watch-stable
+            .option('watch-stable', {
+                description: 'Time in seconds a file must remain unchanged to be loaded in watch mode',
+                type: 'number',
+                default: 30,
+            })),
+        handler: commonHandler('load'), // Call the command script with the command name as argument
+    })
+    // load-many
+    .command({
+        command: 'load-many [root]',
+        desc: 'load every project directory found in a root directory or listed in a file',
+        builder: yargs => addLoadOptions(yargs
+            // root directory
+            .positional('root', {
+                describe: 'Root directory where project directories are searched (i.e. directories with a metadata.json or a .project_id file)',
+                type: 'string'
+            })
+            // --list
+            .option('l', {
+                alias: 'list',
+                description: 'File with a project directory or archive per line, to be used instead of the root directory',
+                type: 'string',
+            })),
+        handler: commonHandler('load-many'),
+    })
+    // validate
+    .command({
+        command: 'validate <pdir>',
+        desc: 'validate metadata, topology, references and analyses in a project directory against the JSON Schemas',
+        builder: yargs => yargs
+            // project directory
+            .positional('pdir', {
+                alias: 'project-directory',
+                describe: 'Project directory or archive containing all files to be validated',
+                type: 'string'
             })
             // --md-directories
             .option('mdirs', {
                 alias: 'md-directories',
-                description: 'Set which MD directories are to be loaded',
+                description: 'Set which MD directories are to be validated',
                 type: 'array'
             })
-            // --include
-            .option('i', {
-                alias: 'include',
-                description: 'Load only the specified files',
-                type: 'array',
-            })
-            // --exclude
-            .option('e', {
-                alias: 'exclude',
-                description: 'Load all but the specified files',
-                type: 'array',
-            })
-            // --skip-trajectories
-            .option('st', {
-                alias: 'skip-trajectories',
-                description: 'Skip the load of any trajectory file (xtc) in the binary format (bin)',
-                type: 'boolean',
-                default: false,
-            })
-            // --skip-files
-            .option('sf', {
-                alias: 'skip-files',
-                description: 'Skip the load of any file (pdb, xtc, ...)',
-                type: 'boolean',
-                default: false,
-            })
             // --skip-analyses
             .option('sa', {
                 alias: 'skip-analyses',
-                description: 'Skip the load of any analyses (md.whatever.json files)',
+                description: 'Skip the validation of analyses (md.whatever.json files)',
                 type: 'boolean',
                 default: false,
             })
-            // --gromacs-path
-            .option('gro', {
-                alias: 'gromacs-path', // Option name. Useful for the help
-                description: 'path to gromacs command-line tool', // Option description. Useful for the help
+            // --schema-version
+            .option('schema-version', {
+                description: 'Version of the JSON Schemas used to validate the data (e.g. v1). The latest version is used by default',
                 type: 'string',
-                default: null,
-                coerce: idOrAccessionCoerce,
-            })
-            // --timeout-ms
-            .option('t', {
-                alias: 'timeout',
-                description: 'Wait time in seconds for newly uploaded file documents to become visible in MongoDB',
-                type: 'integer',
-                default: null,
             }),
-        handler: commonHandler('load'), // Call the command script with the command name as argument
+        handler: commonHandler('validate'),
     })
     // book
     .command({
@@ -180,6 +376,66 @@ yargs
             }),
         handler: commonHandler('unpublishall'),
     })
+    // export
+    .command({
+        command: 'export <id|accession> <outdir>',
+        desc: 'write a project back into a directory which may be loaded again',
+        builder: yargs => yargs
+            // id
+            .positional('id', {
+                describe: 'ID or accession of the project to export',
+                type: 'string',
+                coerce: idOrAccessionCoerce,
+            })
+            // outdir
+            .positional('outdir', {
+                describe: 'Directory where the project is written. It must be empty or not exist',
+                type: 'string',
+            })
+            // --trajectory-format
+            .option('trajectory-format', {
+                description: 'Format of the written trajectories. Note that .bin trajectories are not loaded as trajectories',
+                type: 'string',
+                choices: ['dcd', 'bin'],
+                default: 'dcd',
+            }),
+        handler: commonHandler('export'),
+    })
+    // clone
+    .command({
+        command: 'clone <id|accession>',
+        desc: 'copy a project with its files, analyses and references to another database',
+        builder: yargs => yargs
+            // id
+            .positional('id', {
+                describe: 'ID or accession of the project to clone',
+                type: 'string',
+                coerce: idOrAccessionCoerce,
+            })
+            // --to
+            .option('to', {
+                description: 'Connection profile of the target database.\n' +
+                    'The profile is read from the .env.<profile> file, which has the same fields as the .env file.',
+                type: 'string',
+                demandOption: true,
+            })
+            // --incremental
+            .option('i', {
+                alias: 'incremental',
+                description: 'Copy only the files and analyses which are missing in an already cloned project.\n' +
+                    'Files and analyses which are no longer in the source project are permanently deleted from the target, ' +
+                    'once the target project has been updated.',
+                type: 'boolean',
+                default: false,
+            })
+            // --target-accession
+            .option('target-accession', {
+                description: 'Set the accession of the project in the target database.\n' +
+                    'By default the project keeps its accession, unless another project in the target already has it.',
+                type: 'string',
+            }),
+        handler: commonHandler('clone'),
+    })
     // list
     // DANI: Nunca lo uso
     .command({
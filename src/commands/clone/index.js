@@ -0,0 +1,303 @@
+// Stream pipelines which wait until the whole data is written
+const { pipeline } = require('stream/promises');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// This utility displays in console a dynamic loading status
+const logger = require('../../utils/logger');
+// Connect to other databases through connection profiles
+const getDatabase = require('../../database');
+// Load auxiliar functions
+const { getValueGetter } = require('../../utils/auxiliar-functions');
+// Get the function to check if the clone has been interrupted
+const getAbortingFunction = require('../load/abort');
+
+// Get all files used by a project: project files, MD files (including removed MDs) and analysis values stored as files
+// Every file comes with its project file reference, so content-addressed files can be referenced in the target as well
+const getProjectFiles = (projectData, analysisDocuments) => {
+  const projectFiles = [];
+  const addFiles = (files, mdIndex) => (files || []).forEach(file => projectFiles.push({
+    id: file.id,
+    reference: { project: projectData._id, md: mdIndex, name: file.name },
+  }));
+  addFiles(projectData.files, null);
+  projectData.mds.forEach((md, mdIndex) => addFiles(md.files, mdIndex));
+  analysisDocuments
+    .filter(analysis => analysis.valueFile)
+    .forEach(analysis => projectFiles.push({ id: analysis.valueFile, reference: null }));
+  return projectFiles;
+};
+
+// Set the metadata of a cloned file
+// Content-addressed files keep only the references of the cloned project, since other projects are not cloned
+// If the owner of the file is another project then the first reference of the cloned project becomes the owner
+const getClonedFileMetadata = (fileDocument, projectId) => {
+  const metadata = { ...fileDocument.metadata };
+  if (!metadata.contentAddressed) return { filename: fileDocument.filename, metadata };
+  metadata.references = metadata.references.filter(reference => String(reference.project) === String(projectId));
+  metadata.refCount = metadata.references.length;
+  if (String(metadata.project) === String(projectId)) return { filename: fileDocument.filename, metadata };
+  const [{ md, name }] = metadata.references;
+  return { filename: name, metadata: { ...metadata, project: projectId, md } };
+};
+
+// Copy a file from the source database to the target database, with the same id, chunk size and metadata
+// The stored data is copied as it is, so compressed files and trajectory codecs are conserved
+const copyFile = async (database, target, fileDocument, projectId) => {
+  const { filename, metadata } = getClonedFileMetadata(fileDocument, projectId);
+  const uploadStream = target.bucket.openUploadStreamWithId(fileDocument._id, filename, {
+    chunkSizeBytes: fileDocument.chunkSize,
+    metadata,
+  });
+  // Update the inserted data in case we need to revert the change
+  target.inserted_data.push({ name: `file ${filename}`, collection: target.files, id: fileDocument._id });
+  await pipeline(database.bucket.openDownloadStream(fileDocument._id), uploadStream);
+  // Make sure the whole file was copied
+  if (uploadStream.length !== fileDocument.length)
+    throw new Error(`File ${filename} was copied with ${uploadStream.length} bytes while it has ${fileDocument.length} bytes`);
+};
+
+// Copy the files of a project which are missing in the target database
+// Content-addressed files which are already in the target are referenced by the cloned project as well
+// Return the number of copied files
+const copyFiles = async (database, target, projectFiles, projectId, checkAbort) => {
+  let copiedFiles = 0;
+  for await (const { id, reference } of projectFiles) {
+    // Check if the clone has been aborted before each file copy
+    await checkAbort();
+    const fileDocument = await database.files.findOne({ _id: id });
+    if (!fileDocument) {
+      console.log(chalk.yellow(`  File ${reference ? reference.name : id} is missing in the source database <- ${id}`));
+      continue;
+    }
+    const targetFile = await target.files.findOne({ _id: id });
+    // If the file is not in the target yet then copy it
+    if (!targetFile) {
+      logger.startLog(`📦 Copying file ${fileDocument.filename} <- ${id}`);
+      await copyFile(database, target, fileDocument, projectId);
+      logger.successLog(`📦 Copied file ${fileDocument.filename} -> ${id}`);
+      copiedFiles += 1;
+      // Frame indices are not listed among the project files, so they are copied along with their trajectory
+      const frameIndexId = fileDocument.metadata.frameIndex;
+      const frameIndexDocument = frameIndexId && await database.files.findOne({ _id: frameIndexId });
+      if (frameIndexDocument && !await target.files.findOne({ _id: frameIndexId }))
+        await copyFile(database, target, frameIndexDocument, projectId);
+      continue;
+    }
+    // If the file is already in the target then make sure it is referenced by the cloned project
+    const isReferenced = !targetFile.metadata.contentAddressed || targetFile.metadata.references.some(targetReference =>
+      String(targetReference.project) === String(reference.project) &&
+      targetReference.md === reference.md && targetReference.name === reference.name);
+    if (isReferenced) continue;
+    await target.addFileReference(id, reference);
+    // Update the inserted data in case we need to revert the change
+    target.inserted_data.push({ name: `reference to file ${reference.name}`, collection: target.files, id, reference });
+    console.log(`  🔗 Referenced already existing file ${reference.name} -> ${id}`);
+  }
+  return copiedFiles;
+};
+
+// Copy the analyses of a project which are missing in the target database
+// Return the number of copied analyses
+const copyAnalyses = async (target, analysisDocuments, checkAbort) => {
+  let copiedAnalyses = 0;
+  for await (const analysis of analysisDocuments) {
+    // Check if the clone has been aborted before each analysis copy
+    await checkAbort();
+    if (await target.analyses.findOne({ _id: analysis._id })) continue;
+    const result = await target.analyses.insertOne(analysis);
+    if (result.acknowledged === false) throw new Error(`Failed to copy analysis ${analysis.name}`);
+    // Update the inserted data in case we need to revert the change
+    target.inserted_data.push({ name: `analysis ${analysis.name}`, collection: target.analyses, id: analysis._id });
+    copiedAnalyses += 1;
+  }
+  if (copiedAnalyses > 0) console.log(`  Copied ${copiedAnalyses} analyses`);
+  return copiedAnalyses;
+};
+
+// Copy the references used by a project to the target database
+// References are loaded just like in the load, so they are only updated in the target if the source version is greater
+const copyReferences = async (database, target, projectData) => {
+  for await (const [referenceName, referenceConfig] of Object.entries(database.REFERENCES)) {
+    const referenceIds = getValueGetter(referenceConfig.projectIdsField)(projectData);
+    if (!referenceIds || referenceIds.length === 0) continue;
+    const collection = database[referenceConfig.collectionName];
+    const cursor = await collection.find({ [referenceConfig.idField]: { $in: referenceIds } });
+    for await (const reference of cursor) {
+      // Remove the source id, since the target may have the same reference with another id
+      const referenceData = { ...reference };
+      delete referenceData._id;
+      await target.loadReferenceIfProper(referenceName, referenceData, false, false);
+    }
+  }
+};
+
+// Make sure the target accession counter is not behind a cloned accession with the default format
+// Otherwise the target would issue the same accession further
+// Note that this is not reverted if the clone fails, since a counter ahead only skips some accessions
+const syncAccessionCounter = async (target, accession) => {
+  if (!accession) return;
+  const count = parseInt(accession, target.ALPHANUMERIC);
+  // Custom accessions are not counted
+  if (count.toString(target.ALPHANUMERIC).toUpperCase() !== accession) return;
+  const lastCount = await target.useCounter(0);
+  if (count > lastCount) await target.useCounter(count - lastCount);
+};
+
+// Set the accession of a new project in the target database
+// If the accession is already used by another project in the target then a new accession is issued
+const resolveAccession = async (target, accession, targetAccession) => {
+  if (targetAccession) {
+    if (await target.projects.findOne({ accession: targetAccession }))
+      throw new Error(`Accession ${targetAccession} already exists in the target database`);
+    return targetAccession;
+  }
+  if (!accession) return accession;
+  if (!await target.projects.findOne({ accession })) {
+    await syncAccessionCounter(target, accession);
+    return accession;
+  }
+  const newAccession = await target.issueNewAccession();
+  console.log(chalk.yellow(`Accession ${accession} is already used by another project in the target database. ` +
+    `The cloned project will have the accession ${newAccession}`));
+  return newAccession;
+};
+
+// Copy the topology of a project to the target database, unless it is there already
+// If the topology was reloaded in the source after a previous clone then it replaces the one in the target
+// A project has a single topology, so the previous one is deleted first and it is restored if the clone is reverted
+const copyTopology = async (database, target, projectId) => {
+  const topology = await database.topologies.findOne({ project: projectId });
+  if (!topology) return;
+  const targetTopology = await target.topologies.findOne({ project: projectId });
+  if (targetTopology && String(topology._id) === String(targetTopology._id)) return;
+  // Update the inserted data in case we need to revert the change
+  target.inserted_data.push({ name: 'topology', collection: target.topologies, id: topology._id,
+    ...(targetTopology ? { previous: targetTopology } : {}) });
+  if (targetTopology) {
+    const result = await target.topologies.deleteOne({ _id: targetTopology._id });
+    if (result.acknowledged === false) throw new Error('Failed to delete the previous topology');
+  }
+  const result = await target.topologies.insertOne(topology);
+  if (result.acknowledged === false) throw new Error('Failed to copy the topology');
+  console.log(`  ${targetTopology ? 'Replaced' : 'Copied'} topology`);
+};
+
+// Get all analyses listed in a project, including those of every MD
+const getProjectAnalyses = projectData => [projectData.analyses, ...projectData.mds.map(md => md.analyses)]
+  .flatMap(analyses => analyses || []);
+
+// Find target project files and analyses which are no longer in the source project
+// This happens when files or analyses were reloaded or deleted in the source after a previous clone
+const findStaleData = (previousTargetData, projectData) => {
+  const sourceFileIds = new Set(getProjectFiles(projectData, []).map(file => String(file.id)));
+  const sourceAnalysisIds = new Set(getProjectAnalyses(projectData).map(analysis => String(analysis.id)));
+  return {
+    staleFiles: getProjectFiles(previousTargetData, []).filter(file => !sourceFileIds.has(String(file.id))),
+    staleAnalyses: getProjectAnalyses(previousTargetData).filter(analysis => !sourceAnalysisIds.has(String(analysis.id))),
+  };
+};
+
+// Delete stale target files and analyses, along with their frame indices and analysis values
+// Deleted data can not be restored if the clone is reverted, so this is done once the target project no longer lists it
+const deleteStaleData = async (target, { staleFiles, staleAnalyses }) => {
+  for await (const { id, reference } of staleFiles) {
+    const fileDocument = await target.files.findOne({ _id: id });
+    if (!fileDocument) continue;
+    // Content-addressed files are only deleted once no other project file references them
+    const deleted = await target.releaseFile(id, reference);
+    const frameIndexId = deleted && fileDocument.metadata && fileDocument.metadata.frameIndex;
+    if (frameIndexId && await target.files.findOne({ _id: frameIndexId })) await target.bucket.delete(frameIndexId);
+  }
+  for await (const { id } of staleAnalyses) {
+    const analysis = await target.analyses.findOne({ _id: id });
+    if (!analysis) continue;
+    const result = await target.analyses.deleteOne({ _id: id });
+    if (result.acknowledged === false) throw new Error(`Failed to delete stale analysis ${analysis.name}`);
+    if (analysis.valueFile && await target.files.findOne({ _id: analysis.valueFile })) await target.bucket.delete(analysis.valueFile);
+  }
+  if (staleFiles.length > 0 || staleAnalyses.length > 0)
+    console.log(`  Deleted ${staleFiles.length} files and ${staleAnalyses.length} analyses which are no longer in the source project`);
+};
+
+// Copy a project to another database: project data, topology, analyses, files and the references it uses
+// Ids are conserved, so the same project may be cloned again incrementally to copy only the missing data
+const clone = async (project, target, incremental, targetAccession) => {
+  const database = project.database;
+  const projectData = project.data;
+  const projectId = project.id;
+  const checkAbort = getAbortingFunction(target);
+  // Check if the project is already in the target database
+  const previousTargetData = await target.projects.findOne({ _id: projectId });
+  if (previousTargetData && !incremental)
+    throw new Error(`Project ${projectId} is already in the target database. Use --incremental to copy the missing data only`);
+  // Set the accession of the project in the target database
+  // An already cloned project keeps its accession and its published status in the target
+  const accession = previousTargetData
+    ? previousTargetData.accession
+    : await resolveAccession(target, project.accession, targetAccession);
+  const published = previousTargetData ? previousTargetData.published : projectData.published;
+
+  // ---- References ----
+  await copyReferences(database, target, projectData);
+
+  // ---- Files and analyses ----
+  const analysisCursor = await database.analyses.find({ project: projectId });
+  const analysisDocuments = await analysisCursor.toArray();
+  const projectFiles = getProjectFiles(projectData, analysisDocuments);
+  const copiedFiles = await copyFiles(database, target, projectFiles, projectId, checkAbort);
+  const copiedAnalyses = await copyAnalyses(target, analysisDocuments, checkAbort);
+
+  // ---- Topology ----
+  // The topology is copied once everything else is copied, so a previous topology is replaced as late as possible
+  await copyTopology(database, target, projectId);
+
+  // ---- Project ----
+  // The project is written once all its data has been copied, so a project is never half cloned in the target
+  const clonedData = { ...projectData, accession, published };
+  if (previousTargetData) {
+    // Stale data is found before the project is replaced but it is deleted after, so it is never lost if the update fails
+    const staleData = findStaleData(previousTargetData, projectData);
+    const result = await target.projects.replaceOne({ _id: projectId }, clonedData);
+    if (result.acknowledged === false) throw new Error('Failed to update the project in the target database');
+    // Update the inserted data in case we need to revert the change
+    target.inserted_data.push({ name: 'project', collection: target.projects, id: projectId, previous: previousTargetData });
+    await deleteStaleData(target, staleData);
+  }
+  else {
+    const result = await target.projects.insertOne(clonedData);
+    if (result.acknowledged === false) throw new Error('Failed to copy the project to the target database');
+    // Update the inserted data in case we need to revert the change
+    target.inserted_data.push({ name: 'new project', collection: target.projects, id: projectId });
+  }
+  // Update the option counters of the target database, since they include the cloned project now
+  await target.updateOptionCounts();
+  return { accession, copiedFiles, copiedAnalyses };
+};
+
+// Copy a project from the current database to the database of a connection profile
+const cloneProject = async ({ id: idOrAccession, to, incremental, targetAccession }, database) => {
+  // Sync the requested project
+  const project = await database.syncProject(idOrAccession);
+  if (!project) return () => { console.log(chalk.yellow(`Project with id or accession "${idOrAccession}" not found`)) };
+  const projectLabel = project.accession || project.id;
+  // Connect to the target database
+  const target = await getDatabase(to);
+  console.log(chalk.cyan(`== Cloning project ${projectLabel} to '${to}'${incremental ? ' (incremental)' : ''}`));
+  try {
+    const { accession, copiedFiles, copiedAnalyses } = await clone(project, target, incremental, targetAccession);
+    return () => console.log(chalk.cyan(`== Cloned project ${projectLabel} to '${to}' as ${accession || project.id}: `) +
+      `${copiedFiles} files and ${copiedAnalyses} analyses copied`);
+  }
+  // Revert changes in the target database if anything goes wrong
+  catch (error) {
+    if (logger.isLogRunning()) logger.warnLog(`Interrupted while doing: ${logger.logText()}`);
+    await target.revertLoad();
+    throw error;
+  }
+  finally {
+    // End the target mongo client
+    if (target.client && target.client.close) await target.client.close();
+  }
+};
+
+module.exports = cloneProject;
@@ -0,0 +1,169 @@
+// Tests for the clone CLI command
+// These run against the fake Mongo Memory Server seeded by mddb-database, which
+// includes the project with accession 'A0001' (see fake-mongo/project_2.json)
+// Target databases are other databases in the same server, instead of the ones in connection profiles
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const getDatabase = require('../../database');
+const cloneProject = require('./index');
+const { writeDcdHeader, writeDcdFrame } = require('../../utils/trajectory-writers/dcd');
+
+// Mock the logger, since spinners keep the event loop alive (see the delete command tests)
+// failLog must keep throwing, since the code relies on that to abort on failures
+jest.mock('../../utils/logger', () => ({
+    startLog: jest.fn(),
+    updateLog: jest.fn(),
+    successLog: jest.fn(),
+    warnLog: jest.fn(),
+    failLog: jest.fn(message => {
+        throw new Error(message);
+    }),
+    logText: jest.fn(),
+    logTime: jest.fn(() => Date.now()),
+    isLogRunning: jest.fn(() => false),
+}));
+
+// Answer 'delete' whenever the user is asked what to do with the data of a failed clone
+jest.mock('../../utils/auxiliar-functions', () => ({
+    ...jest.requireActual('../../utils/auxiliar-functions'),
+    userConfirm: jest.fn(async () => 'D'),
+}));
+
+// Connect connection profiles to databases in the same server as the source database
+// The client is shared, so it must not be closed when the clone is done
+// Connected targets are passed to this function, if any, so tests may make them fail
+let mockPrepareTarget = null;
+jest.mock('../../database', () => {
+    const getActualDatabase = jest.requireActual('../../database');
+    return async profile => {
+        const database = await getActualDatabase();
+        if (!profile) return database;
+        const client = new Proxy(database.client, {
+            get: (target, key) => {
+                if (key === 'db') return (name, options) => target.db(`clone-test-${profile}`, options);
+                if (key === 'close') return async () => {};
+                const value = Reflect.get(target, key);
+                return typeof value === 'function' ? value.bind(target) : value;
+            },
+        });
+        const targetDatabase = new database.constructor(client);
+        if (mockPrepareTarget) mockPrepareTarget(targetDatabase);
+        return targetDatabase;
+    };
+});
+
+// Set an abort function which never aborts
+const neverAbort = async () => false;
+
+describe('clone command', () => {
+    let database;
+    let project;
+    let directory;
+
+    beforeAll(async () => {
+        // Silence the noisy fake Mongo Memory Server setup logs while connecting
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            database = await getDatabase();
+        } finally {
+            logSpy.mockRestore();
+            errorSpy.mockRestore();
+        }
+        // Give the seeded project a file, a trajectory, an analysis and a topology to be cloned
+        project = await database.syncProject('A0001');
+        directory = fs.mkdtempSync(join(os.tmpdir(), 'clone-test-'));
+        fs.writeFileSync(join(directory, 'notes.txt'), 'Some notes about the project');
+        await project.loadFile('notes.txt', undefined, join(directory, 'notes.txt'), neverAbort);
+        fs.writeFileSync(join(directory, 'trajectory.dcd'), Buffer.concat([
+            writeDcdHeader({ atomCount: 2, frameCount: 1, hasUnitCell: false }),
+            writeDcdFrame([1, 2, 3, 4, 5, 6]),
+        ]));
+        await project.loadTrajectoryFile('trajectory.bin', 0, join(directory, 'trajectory.dcd'), null, neverAbort);
+        await project.loadAnalysis({ name: 'rmsd', value: { y: [1, 2, 3] } }, undefined);
+        await database.topologies.deleteMany({ project: project.id });
+        await database.topologies.insertOne({ project: project.id, atom_names: ['N', 'CA'] });
+        database.inserted_data = [];
+        // The shared setup can not create the accession counter (see the delete command tests), so it is seeded here
+        const target = await getDatabase('copy');
+        await target.counters.insertOne({ accessions: true, last: 0 });
+    }, 60000);
+
+    afterAll(async () => {
+        if (directory) fs.rmSync(directory, { recursive: true, force: true });
+        const client = database && database.client;
+        if (client && 'close' in client) await client.close();
+        if (client && client._mongod) await client._mongod.stop();
+    });
+
+    // Clone the project while the console output is hidden
+    const clone = async options => {
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        try {
+            const finalMessage = await cloneProject({ id: 'A0001', to: 'copy', ...options }, database);
+            if (finalMessage) finalMessage();
+        } finally {
+            logSpy.mockRestore();
+        }
+    };
+
+    it('copies the project with its files, analyses and topology', async () => {
+        await clone({ incremental: false });
+        const target = await getDatabase('copy');
+        const clonedProject = await target.projects.findOne({ _id: project.id });
+        expect(clonedProject.accession).toBe('A0001');
+        const file = project.findFile('notes.txt', undefined);
+        const clonedFile = await target.files.findOne({ _id: file.id });
+        expect(clonedFile.length).toBe(fs.statSync(join(directory, 'notes.txt')).size);
+        // Frame indices are not project files, but they are copied along with their trajectory
+        const trajectory = await target.files.findOne({ _id: project.findFile('trajectory.bin', 0).id });
+        expect(await target.files.findOne({ _id: trajectory.metadata.frameIndex })).not.toBeNull();
+        const analysis = project.findAnalysis('rmsd', undefined);
+        expect((await target.analyses.findOne({ _id: analysis.id })).value).toEqual({ y: [1, 2, 3] });
+        expect((await target.topologies.findOne({ project: project.id })).atom_names).toEqual(['N', 'CA']);
+    });
+
+    it('refuses to clone an already cloned project unless it is incremental', async () => {
+        await expect(clone({ incremental: false })).rejects.toThrow('is already in the target database');
+    });
+
+    it('restores the previous topology if an incremental clone fails', async () => {
+        // Reload the topology in the source project
+        await database.topologies.deleteMany({ project: project.id });
+        await database.topologies.insertOne({ project: project.id, atom_names: ['N', 'CA', 'C'] });
+        // Make the clone fail once everything but the project has been copied
+        mockPrepareTarget = target => jest.spyOn(target.projects, 'replaceOne').mockResolvedValueOnce({ acknowledged: false });
+        await expect(clone({ incremental: true })).rejects.toThrow('Failed to update the project in the target database');
+        mockPrepareTarget = null;
+        const target = await getDatabase('copy');
+        expect((await target.topologies.findOne({ project: project.id })).atom_names).toEqual(['N', 'CA']);
+        // Once the project can be written the topology is replaced
+        await clone({ incremental: true });
+        expect((await target.topologies.findOne({ project: project.id })).atom_names).toEqual(['N', 'CA', 'C']);
+        expect(await target.topologies.countDocuments({ project: project.id })).toBe(1);
+    });
+
+    it('deletes stale target files only once the project is updated', async () => {
+        // Reload the notes in the source project, so the cloned notes become stale in the target
+        const staleFileId = project.findFile('notes.txt', undefined).id;
+        await project.deleteFile('notes.txt', undefined);
+        fs.writeFileSync(join(directory, 'notes.txt'), 'Some other notes about the project');
+        await project.loadFile('notes.txt', undefined, join(directory, 'notes.txt'), neverAbort);
+        database.inserted_data = [];
+        const newFileId = project.findFile('notes.txt', undefined).id;
+        // Make the clone fail when the project is to be updated
+        mockPrepareTarget = target => jest.spyOn(target.projects, 'replaceOne').mockResolvedValueOnce({ acknowledged: false });
+        await expect(clone({ incremental: true })).rejects.toThrow('Failed to update the project in the target database');
+        mockPrepareTarget = null;
+        const target = await getDatabase('copy');
+        const listedFileIds = async () => (await target.projects.findOne({ _id: project.id })).files.map(file => String(file.id));
+        expect(await target.files.findOne({ _id: staleFileId })).not.toBeNull();
+        expect(await listedFileIds()).toContain(String(staleFileId));
+        // Once the project can be written the stale file is deleted
+        await clone({ incremental: true });
+        expect(await target.files.findOne({ _id: staleFileId })).toBeNull();
+        expect(await listedFileIds()).toEqual(expect.arrayContaining([String(newFileId)]));
+        expect(await listedFileIds()).not.toContain(String(staleFileId));
+    });
+});
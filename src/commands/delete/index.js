@@ -96,6 +96,14 @@ const deleteFunction = async (
         }
         console.log(msg);
     }
+    // Files with the values of big analyses are deleted along with their analysis
+    else if (target.collectionKey === 'files' && target.document.metadata.analysis) {
+        throw new Error(`File ${id} is the value of analysis ${target.document.metadata.analysis}. Delete the analysis instead`);
+    }
+    // Frame indices are deleted along with their trajectory
+    else if (target.collectionKey === 'files' && target.document.metadata.trajectory) {
+        throw new Error(`File ${id} is the frame index of trajectory ${target.document.metadata.trajectory}. Delete the trajectory instead`);
+    }
     // If it is a file log its filename and the project it belongs to
     else if (target.collectionKey === 'files') {
         // Load remote project data in the database handler
@@ -158,6 +166,8 @@ const deleteFunction = async (
     else if (target.collectionKey === 'bastardAnalyses') {
         const result = await database.analyses.deleteOne(id);
         if (!result) throw new Error(`Failed to delete analysis with internal ID ${id}`);
+        // Delete the value file as well, if the value was stored in GridFS
+        if (target.document.valueFile) await database.bucket.delete(target.document.valueFile);
     }
     // ----- File -----
     else if (target.collectionKey === 'files') {
@@ -167,6 +177,12 @@ const deleteFunction = async (
     }
     // ----- File not recognized by their parent -----
     else if (target.collectionKey === 'bastardFiles') {
+        // Content-addressed files may be still referenced by other projects, which would lose their file
+        const metadata = target.document.metadata || {};
+        const otherReferences = (metadata.references || [])
+            .filter(reference => String(reference.project) !== String(metadata.project));
+        if (metadata.contentAddressed && otherReferences.length > 0)
+            throw new Error(`File with internal ID ${id} is still referenced by ${otherReferences.length} files in other projects`);
         await database.bucket.delete(id);
     }
     else throw new Error(`Deletion of ${documentName} is not yet supported`);
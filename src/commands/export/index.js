@@ -0,0 +1,253 @@
+// Files system from node
+const fs = require('fs');
+// Path handling from node
+const nodePath = require('node:path');
+// Stream pipelines which wait until the whole data is written
+const { pipeline } = require('stream/promises');
+// Wait for stream events
+const { once } = require('events');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// This utility displays in console a dynamic loading status
+const logger = require('../../utils/logger');
+// Load auxiliar functions
+const { mdNameToDirectory, getValueGetter, isNumber } = require('../../utils/auxiliar-functions');
+// Get project files to be found and loaded
+const { EXPECTED_PROJECT_FILE, EXPECTED_MD_FILES } = require('../../utils/constants');
+// Get the file compression handlers
+const { createDecompressStream } = require('../../utils/file-compression');
+// Get the trajectory codec handlers
+const { decodeFrame, getStoredCodec } = require('../../utils/trajectory-codec');
+// Get the frame index handlers
+const { decodeFrameIndex } = require('../../utils/frame-index');
+// Get the trajectory writers
+const { getTrajectoryWriter } = require('../../utils/trajectory-writers');
+
+// Set the name of the input file of every reference type, as the load expects them
+const REFERENCE_FILENAMES = {
+  proteins: 'protein_references.json',
+  inchikeys: 'inchikey_references.json',
+  pdbs: 'pdb_references.json',
+  chains: 'chains.json',
+};
+
+// Set which files are loaded with their own names, so they are exported with no 'mdf.' prefix
+// Any other file is loaded from a 'mdf.' prefixed file, which is removed in the database
+const PROJECT_NAMED_FILES = ['topologyFile', 'itpFiles', 'populationsDataFile']
+  .map(fileKey => EXPECTED_PROJECT_FILE[fileKey].pattern);
+const MD_NAMED_FILES = ['topologyFile', 'structureFile', 'mainTrajectory']
+  .map(fileKey => EXPECTED_MD_FILES[fileKey].pattern);
+
+// Set the name of the file which marks a directory as an MD directory for the load
+// The workflow writes its register there, but the load only checks the file exists
+const REGISTER_FILENAME = '.register.json';
+
+// Set the name of the main trajectory once parsed in the database
+const MAIN_TRAJECTORY = 'trajectory.bin';
+
+// Set the file metadata which is set by the loader itself
+// Any other metadata comes from the metadata file of the source file, so it is exported as a '.meta.json' file
+const LOADER_FILE_METADATA = new Set(['project', 'md', 'chunking', 'sha256', 'sourceSize', 'contentEncoding',
+  'originalSize', 'compressedSize', 'contentAddressed', 'refCount', 'references', 'resumableUpload', 'analysis']);
+
+// Remove the database fields of a document, so it may be loaded again
+const withoutDatabaseFields = (document, fields = ['_id']) => {
+  const content = { ...document };
+  for (const field of fields) delete content[field];
+  return content;
+};
+
+// Write a JSON file
+const writeJSON = (filepath, content) => fs.writeFileSync(filepath, JSON.stringify(content, null, 2));
+
+// Download a file from GridFS into a local file
+// Compressed files are decompressed, so the original content is written
+const downloadFile = async (database, fileDocument, filepath) => {
+  const downloadStream = database.bucket.openDownloadStream(fileDocument._id);
+  const contentEncoding = fileDocument.metadata && fileDocument.metadata.contentEncoding;
+  const streams = contentEncoding ? [downloadStream, createDecompressStream(contentEncoding)] : [downloadStream];
+  await pipeline(...streams, fs.createWriteStream(filepath));
+};
+
+// Download a whole file from GridFS in memory
+const downloadBuffer = async (database, fileId) => {
+  const chunks = [];
+  for await (const data of database.bucket.openDownloadStream(fileId)) chunks.push(data);
+  return Buffer.concat(chunks);
+};
+
+// Write a parsed trajectory in a local file with a given format
+// Frames are decoded if the trajectory is stored with a codec, so coordinates are always written raw
+// Steps, times and boxes of frames are taken from the frame index, if any
+// The 'bin' format writes raw coordinates (float32, little endian), just like trajectories are stored with no codec
+const writeTrajectory = async (database, fileDocument, filepath, format) => {
+  const metadata = fileDocument.metadata;
+  const codec = getStoredCodec(metadata);
+  const frameIndex = metadata.frameIndex ? decodeFrameIndex(await downloadBuffer(database, metadata.frameIndex)) : null;
+  if (codec && !frameIndex) throw new Error(`Trajectory ${fileDocument.filename} has a codec but no frame index`);
+  // Set where every frame ends
+  const frameSize = metadata.atoms * 3 * Float32Array.BYTES_PER_ELEMENT;
+  const frameEnd = frameNumber => codec
+    ? (frameNumber + 1 < frameIndex.length ? frameIndex[frameNumber + 1].offset : fileDocument.length)
+    : (frameNumber + 1) * frameSize;
+  const frameOffset = frameNumber => codec ? frameIndex[frameNumber].offset : frameNumber * frameSize;
+  // Set the trajectory writer and write the header
+  const writer = format === 'bin' ? null : getTrajectoryWriter(format);
+  const writeStream = fs.createWriteStream(filepath);
+  const write = async data => { if (!writeStream.write(data)) await once(writeStream, 'drain'); };
+  const hasUnitCell = Boolean(frameIndex && frameIndex.some(entry => entry.box));
+  if (writer) {
+    const [first, second] = frameIndex || [];
+    const hasSteps = first && second && isNumber(first.step) && isNumber(second.step) && second.step > first.step;
+    const hasTimes = hasSteps && isNumber(first.time) && isNumber(second.time);
+    await write(writer.writeHeader({
+      atomCount: metadata.atoms,
+      frameCount: metadata.frames,
+      startStep: first && isNumber(first.step) ? first.step : 0,
+      stepsBetweenFrames: hasSteps ? second.step - first.step : 1,
+      timestep: hasTimes ? (second.time - first.time) / (second.step - first.step) : 0,
+      hasUnitCell,
+      title: `Exported from ${fileDocument.filename}`,
+    }));
+  }
+  // Read the stored trajectory and write it frame by frame
+  let pendingData = Buffer.alloc(0);
+  let pendingOffset = 0;
+  let frameNumber = 0;
+  for await (const data of database.bucket.openDownloadStream(fileDocument._id)) {
+    pendingData = Buffer.concat([pendingData, data]);
+    while (frameNumber < metadata.frames && pendingOffset + pendingData.length >= frameEnd(frameNumber)) {
+      const frameLength = frameEnd(frameNumber) - frameOffset(frameNumber);
+      const storedFrame = pendingData.subarray(frameOffset(frameNumber) - pendingOffset, frameEnd(frameNumber) - pendingOffset);
+      const rawFrame = codec ? decodeFrame(codec, storedFrame) : storedFrame;
+      if (writer) {
+        const coordinates = new Float32Array(rawFrame.length / Float32Array.BYTES_PER_ELEMENT);
+        for (let i = 0; i < coordinates.length; i++) coordinates[i] = rawFrame.readFloatLE(i * 4);
+        const box = frameIndex && frameIndex[frameNumber] ? frameIndex[frameNumber].box : null;
+        await write(writer.writeFrame(coordinates, hasUnitCell ? box : undefined));
+      }
+      else await write(rawFrame);
+      pendingData = pendingData.subarray(frameOffset(frameNumber) - pendingOffset + frameLength);
+      pendingOffset = frameEnd(frameNumber);
+      frameNumber += 1;
+    }
+  }
+  writeStream.end();
+  await once(writeStream, 'finish');
+  if (frameNumber !== metadata.frames)
+    throw new Error(`Trajectory ${fileDocument.filename} has ${frameNumber} frames while it should have ${metadata.frames} frames`);
+};
+
+// Export a list of project or MD files into a directory
+// Parsed trajectories are written back as trajectories and frame indices are skipped, since the load builds them again
+// The main trajectory is only written from its parsed data if the original trajectory file is not in the database
+const exportFiles = async (database, files, directory, namedFiles, trajectoryFormat) => {
+  const hasOriginalTrajectory = files.some(file => EXPECTED_MD_FILES.mainTrajectory.pattern.test(file.name));
+  for await (const file of files) {
+    const fileDocument = await database.files.findOne({ _id: file.id });
+    if (!fileDocument) {
+      console.log(chalk.yellow(`  File ${file.name} is missing in the database <- ${file.id}. It will not be exported`));
+      continue;
+    }
+    const metadata = fileDocument.metadata || {};
+    // Skip frame indices
+    if (metadata.trajectory) continue;
+    // Export parsed trajectories
+    if (isNumber(metadata.frames) && isNumber(metadata.atoms)) {
+      if (file.name === MAIN_TRAJECTORY && hasOriginalTrajectory) continue;
+      const basename = file.name.replace(/\.bin$/, '');
+      const exportName = trajectoryFormat === 'bin' ? file.name
+        : `${file.name === MAIN_TRAJECTORY ? '' : 'mdt.'}${basename}.${trajectoryFormat}`;
+      if (metadata.atomSelection) console.log(chalk.yellow(`  Trajectory ${file.name} has only ${metadata.atoms} ` +
+        `of ${metadata.originalAtoms} atoms, so it does not match the structure anymore`));
+      logger.startLog(`📤 Exporting trajectory ${file.name} as ${exportName}`);
+      await writeTrajectory(database, fileDocument, nodePath.join(directory, exportName), trajectoryFormat);
+      logger.successLog(`📤 Exported trajectory ${file.name} as ${exportName} (${metadata.frames} frames)`);
+      continue;
+    }
+    // Export any other file
+    const exportName = namedFiles.some(pattern => pattern.test(file.name)) ? file.name : `mdf.${file.name}`;
+    logger.startLog(`📤 Exporting file ${file.name} as ${exportName}`);
+    await downloadFile(database, fileDocument, nodePath.join(directory, exportName));
+    // Write the metadata which came from the source file metadata file, if any
+    const additionalMetadata = withoutDatabaseFields(metadata, Array.from(LOADER_FILE_METADATA));
+    if (Object.keys(additionalMetadata).length > 0)
+      writeJSON(nodePath.join(directory, `${exportName}.meta.json`), additionalMetadata);
+    logger.successLog(`📤 Exported file ${file.name} as ${exportName}`);
+  }
+};
+
+// Export a list of project or MD analyses into a directory
+// Analysis values which are stored in GridFS are downloaded
+const exportAnalyses = async (database, analyses, directory) => {
+  for await (const analysis of analyses) {
+    const analysisDocument = await database.analyses.findOne({ _id: analysis.id });
+    if (!analysisDocument) {
+      console.log(chalk.yellow(`  Analysis ${analysis.name} is missing in the database <- ${analysis.id}. It will not be exported`));
+      continue;
+    }
+    const value = analysisDocument.valueFile
+      ? JSON.parse((await downloadBuffer(database, analysisDocument.valueFile)).toString())
+      : analysisDocument.value;
+    writeJSON(nodePath.join(directory, `mda.${analysis.name}.json`), value);
+  }
+  if (analyses.length > 0) console.log(`  Exported ${analyses.length} analyses`);
+};
+
+// Write a project back into a directory which may be loaded again
+// The directory has the layout the load expects: project metadata, topology, references, files and analyses
+// and a directory for every MD with its own metadata, files, trajectories and analyses
+// Removed MDs are not exported
+const exportProject = async ({ id: idOrAccession, outdir, trajectoryFormat = 'dcd' }, database) => {
+  // Sync the requested project
+  const project = await database.syncProject(idOrAccession);
+  if (!project) return () => { console.log(chalk.yellow(`Project with id or accession "${idOrAccession}" not found`)) };
+  const projectLabel = project.accession || project.id;
+  // Make sure we do not overwrite anything
+  if (fs.existsSync(outdir) && fs.readdirSync(outdir).length > 0)
+    throw new Error(`Output directory ${outdir} is not empty`);
+  fs.mkdirSync(outdir, { recursive: true });
+  console.log(chalk.cyan(`== Exporting project ${projectLabel} into ${outdir}`));
+
+  // ---- Metadata ----
+  if (project.data.metadata) writeJSON(nodePath.join(outdir, 'metadata.json'), project.data.metadata);
+
+  // ---- References ----
+  for await (const [referenceName, referenceConfig] of Object.entries(database.REFERENCES)) {
+    const filename = REFERENCE_FILENAMES[referenceName];
+    const referenceIds = getValueGetter(referenceConfig.projectIdsField)(project.data);
+    if (!filename || !referenceIds || referenceIds.length === 0) continue;
+    const collection = database[referenceConfig.collectionName];
+    const cursor = await collection.find({ [referenceConfig.idField]: { $in: referenceIds } });
+    const references = (await cursor.toArray()).map(reference => withoutDatabaseFields(reference));
+    if (references.length === 0) continue;
+    writeJSON(nodePath.join(outdir, filename), references);
+    console.log(`  Exported ${references.length} ${referenceName} references`);
+  }
+
+  // ---- Topology ----
+  const topology = await project.getTopology();
+  if (topology) writeJSON(nodePath.join(outdir, 'topology.json'), withoutDatabaseFields(topology, ['_id', 'project']));
+
+  // ---- Files and analyses ----
+  await exportFiles(database, project.data.files || [], outdir, PROJECT_NAMED_FILES, trajectoryFormat);
+  await exportAnalyses(database, project.data.analyses || [], outdir);
+
+  // ---- MD directories ----
+  for await (const [mdIndex, md] of Object.entries(project.data.mds)) {
+    if (md.removed) continue;
+    const mdDirectory = md.name ? mdNameToDirectory(md.name) : `replica_${+mdIndex + 1}`;
+    console.log(chalk.cyan(`== MD ${md.name} (MD index ${mdIndex}) into ${mdDirectory}`));
+    const mdPath = nodePath.join(outdir, mdDirectory);
+    fs.mkdirSync(mdPath);
+    writeJSON(nodePath.join(mdPath, 'metadata.json'), withoutDatabaseFields(md, ['files', 'analyses']));
+    writeJSON(nodePath.join(mdPath, REGISTER_FILENAME), {});
+    await exportFiles(database, md.files || [], mdPath, MD_NAMED_FILES, trajectoryFormat);
+    await exportAnalyses(database, md.analyses || [], mdPath);
+  }
+
+  return () => console.log(chalk.cyan(`== Exported project ${projectLabel} into ${outdir}`) +
+    (trajectoryFormat === 'bin' ? chalk.yellow('\nNote that .bin trajectories are not loaded as trajectories') : ''));
+};
+
+module.exports = exportProject;
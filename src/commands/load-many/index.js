@@ -0,0 +1,139 @@
+// Files system from node
+const fs = require('fs');
+// Load a tool to get absolute paths
+const { resolve } = require('path');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// Display data in console as a table
+const Table = require('cli-table3');
+// This tool converts miliseconds (ms) to a more human friendly string
+const prettyMs = require('pretty-ms');
+// This utility displays in console a dynamic loading status
+const logger = require('../../utils/logger');
+// Load auxiliar functions
+const { directoryCoerce } = require('../../utils/auxiliar-functions');
+// Get the load command itself
+const load = require('../load');
+// Get the project id trace handlers
+const { findTrace } = require('../load/project-id-trace');
+// Get the load report writer
+const { writeReport } = require('../load/load-report');
+// Get the project archive handlers
+const { isArchive } = require('../load/project-archive');
+
+// Set the name of the file which makes a directory a project directory
+const PROJECT_METADATA_FILENAME = 'metadata.json';
+
+// Check if a directory is a project directory
+// This is, it has a project metadata file or a trace from a previous load
+const isProjectDirectory = directory => fs.existsSync(directory + PROJECT_METADATA_FILENAME)
+  || findTrace(directory) !== null;
+
+// Find all project directories in a root directory, including the root itself
+// Note that project directories are not further explored, since MD directories also have metadata files
+const findProjectDirectories = root => {
+  if (isProjectDirectory(root)) return [root];
+  const subdirectories = fs.readdirSync(root)
+    .filter(entry => !entry.startsWith('.'))
+    .map(entry => root + entry)
+    .filter(entry => fs.lstatSync(entry).isDirectory())
+    .sort();
+  return subdirectories.map(directory => findProjectDirectories(directoryCoerce(directory))).flat();
+};
+
+// Read project directories from a list file
+// Every line is a project directory or archive, while empty lines and lines starting with '#' are ignored
+const readProjectDirectories = listFile => {
+  if (!fs.existsSync(listFile)) throw new Error(`List file ${listFile} does not exist`);
+  const lines = fs.readFileSync(listFile, 'utf8').split('\n').map(line => line.trim());
+  return lines.filter(line => line && !line.startsWith('#'))
+    .map(line => isArchive(line) ? resolve(line) : directoryCoerce(line));
+};
+
+// Load several projects, one after another, using the same options for all of them
+// The database setup and the option counters update are run only once
+// If a project fails to load then the failure is recorded and the next project is loaded
+const loadMany = async (
+  // Command additional arguments
+  {
+    root,
+    list,
+    report,
+    ...loadOptions
+  },
+  // Database handler
+  database,
+) => {
+  // Find the project directories to be loaded
+  if (!root && !list) throw new Error('Either a root directory or a list file must be passed');
+  if (root && list) throw new Error('Root directory and list file are not compatible. Please use only one of them');
+  const projectDirectories = list ? readProjectDirectories(list) : findProjectDirectories(directoryCoerce(root));
+  if (projectDirectories.length === 0) throw new Error('No project directories were found');
+  console.log(chalk.cyan(`== Loading ${projectDirectories.length} projects`));
+  // Run the database setup only once
+  if (!loadOptions.dryRun) await database.setup();
+  // Save the current time
+  const startTime = Date.now();
+  // Load every project while keeping track of the results
+  const results = [];
+  // Collect the load report of every project
+  const reports = [];
+  for await (const pdir of projectDirectories) {
+    // Reset the tracking of inserted data
+    // Thus, if anything goes wrong further, only data from the current project is reverted
+    database.inserted_data = [];
+    database.new_accession_issued = false;
+    const projectStartTime = Date.now();
+    try {
+      const finalMessage = await load({ ...loadOptions, pdir }, database, { skipSetup: true, skipOptionCounts: true, reports });
+      if (finalMessage) finalMessage();
+      results.push({ pdir, success: true, time: Date.now() - projectStartTime });
+    }
+    catch (error) {
+      // Stop the logger, if running, and display the error
+      // Note that the logger fail would throw the error again and thus stop loading the rest of projects
+      if (logger.isLogRunning()) logger.warnLog(`Interrupted while doing '${logger.logText()}'`);
+      console.error(chalk.bgRed(error.stack));
+      // Note that already loaded data is conserved, so the load may be resumed further
+      console.log(chalk.yellow(`WARNING: Failed to load '${pdir}'. Already loaded data is conserved.`));
+      results.push({ pdir, success: false, time: Date.now() - projectStartTime, error });
+    }
+  }
+  // Nothing loaded further must be reverted
+  database.inserted_data = [];
+  database.new_accession_issued = false;
+  // At the end of the load update the option counters only once
+  const anySuccess = results.some(result => result.success);
+  if (anySuccess && !loadOptions.dryRun) await database.updateOptionCounts();
+  // Find the accession of every project, if any
+  // Failed projects which were created anyway are left half-loaded, so they are reported to be resumed or deleted
+  for await (const result of results) {
+    const id = findTrace(result.pdir);
+    const project = id && !loadOptions.dryRun && await database.findProject(id);
+    result.accession = project ? project.accession : null;
+    if (project && !result.success) result.leftover = project._id;
+  }
+  // Write all load reports together in a single file
+  if (report) writeReport(report, { projects: reports });
+  return () => {
+    const table = new Table({ head: ['directory', 'accession', 'status', 'time', 'details'] });
+    for (const { pdir, accession, success, time, error, leftover } of results) {
+      const leftoverMessage = leftover ? chalk.yellow(`\nProject ${leftover} was left half-loaded. Resume or delete it`) : '';
+      table.push([
+        pdir,
+        accession ? chalk.bgBlue(accession) : chalk.gray('null'),
+        success ? chalk.green('✔') : chalk.red('✘'),
+        prettyMs(time),
+        (error ? chalk.red(error.message) : '') + leftoverMessage,
+      ]);
+    }
+    console.log(table.toString());
+    const failedCount = results.filter(result => !result.success).length;
+    const leftoverCount = results.filter(result => result.leftover).length;
+    const summary = `${results.length - failedCount} loaded and ${failedCount} failed` +
+      (leftoverCount > 0 ? ` (${leftoverCount} of them left half-loaded)` : '');
+    console.log(chalk.cyan(`== finished loading ${results.length} projects in ${prettyMs(Date.now() - startTime)}: ${summary}`));
+  };
+};
+
+module.exports = loadMany;
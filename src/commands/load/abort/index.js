@@ -3,11 +3,11 @@ const { userConfirm } = require('../../../utils/auxiliar-functions');
 
 // Set a function setup the aborting function
 const getAbortingFunction = database => {
-    // Check if load has been aborted
-    // If so, exit the load function and ask the user permission to clean the already loaded data
-    return async () => {
-        // Return here if there is no abort
-        if (!process.env.abort) return false;
+    // Keep the question to the user while it is not answered
+    // Concurrent loads may check the abort at the same time but the user must be asked only once
+    let pendingConfirmation = null;
+    // Ask the user what to do after the load has been interrupted
+    const confirmAbort = async () => {
         const confirm = await userConfirm(
             `Load has been interrupted. Confirm further instructions:
             C - Abort load and conserve already loaded data
@@ -25,6 +25,17 @@ const getAbortingFunction = database => {
             return;
         }
     };
+    // Check if load has been aborted
+    // If so, exit the load function and ask the user permission to clean the already loaded data
+    return async () => {
+        // If the user is already being asked then wait for the answer
+        if (pendingConfirmation) return await pendingConfirmation;
+        // Return here if there is no abort
+        if (!process.env.abort) return false;
+        pendingConfirmation = confirmAbort();
+        await pendingConfirmation;
+        pendingConfirmation = null;
+    };
 }
 
 module.exports = getAbortingFunction;
\ No newline at end of file
@@ -0,0 +1,110 @@
+// Load auxiliar functions
+const { loadYAMLorJSON, patternToRegExp } = require('../../../utils/auxiliar-functions');
+
+// Set the categories of data which may have their own conflict rules
+// Patterns are matched against file names, analysis names, metadata keys or reference ids respectively
+const POLICY_CATEGORIES = ['files', 'trajectories', 'analyses', 'topology', 'metadata', 'references'];
+
+// Set the supported actions
+// - conserve: keep the previous data and discard the new data
+// - overwrite: replace the previous data by the new data
+// - ask: ask the user, no matter the conserve or overwrite flags
+const POLICY_ACTIONS = ['conserve', 'overwrite', 'ask'];
+
+// References are updated according to their versions by default, so it makes no sense to ask
+const REFERENCE_ACTIONS = ['conserve', 'overwrite'];
+
+// Set the conflict policy class
+// The policy declares how conflicts between previous and new data are to be solved for every category
+// Every category may be a single action or an object with a default action and actions for specific patterns, e.g.
+//   files: conserve
+//   analyses:
+//     default: overwrite
+//     patterns:
+//       rmsd*: conserve
+// Patterns are checked in order and the first match wins
+// Trajectories follow the files policy unless they have their own
+class ConflictPolicy {
+    constructor (rules, source) {
+        this.source = source;
+        this.categories = {};
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules))
+            throw new Error(`Wrong conflict policy in ${source}: it must be an object with categories as keys`);
+        for (const [category, rule] of Object.entries(rules)) {
+            if (!POLICY_CATEGORIES.includes(category))
+                throw new Error(`Wrong conflict policy in ${source}: unknown category '${category}'. ` +
+                    `Supported categories are ${POLICY_CATEGORIES.join(', ')}`);
+            this.categories[category] = this._parseCategoryRule(category, rule);
+        }
+        // Trajectories follow the files policy unless they have their own
+        if (!this.categories.trajectories && this.categories.files)
+            this.categories.trajectories = this.categories.files;
+    };
+
+    // Check an action is supported in a given category
+    _checkAction = (category, action) => {
+        const supportedActions = category === 'references' ? REFERENCE_ACTIONS : POLICY_ACTIONS;
+        if (!supportedActions.includes(action))
+            throw new Error(`Wrong conflict policy in ${this.source}: unknown action '${action}' for ${category}. ` +
+                `Supported actions are ${supportedActions.join(', ')}`);
+    };
+
+    // Parse the rule of a category
+    _parseCategoryRule = (category, rule) => {
+        // If the rule is a single action then it is the default action
+        if (typeof rule === 'string') {
+            this._checkAction(category, rule);
+            return { defaultAction: rule, patterns: [] };
+        }
+        if (!rule || typeof rule !== 'object')
+            throw new Error(`Wrong conflict policy in ${this.source}: wrong rule for ${category}`);
+        const { default: defaultAction = null, patterns = {}, ...rest } = rule;
+        const unknownFields = Object.keys(rest);
+        if (unknownFields.length > 0)
+            throw new Error(`Wrong conflict policy in ${this.source}: unknown fields for ${category}: ${unknownFields.join(', ')}`);
+        if (defaultAction !== null) this._checkAction(category, defaultAction);
+        const parsedPatterns = Object.entries(patterns).map(([pattern, action]) => {
+            this._checkAction(category, action);
+            return { pattern, regexp: patternToRegExp(pattern), action };
+        });
+        return { defaultAction, patterns: parsedPatterns };
+    };
+
+    // Get the action for a given category and name
+    // Return null if the policy has no rule for it
+    getAction = (category, name) => {
+        const rule = this.categories[category];
+        if (!rule) return null;
+        const match = rule.patterns.find(({ regexp }) => regexp.test(name));
+        if (match) return match.action;
+        return rule.defaultAction;
+    };
+
+    // Get the conserve and overwrite flags to be applied for a given category and name
+    // Policy rules have priority over the conserve and overwrite flags from the command line
+    resolve = (category, name, conserve, overwrite) => {
+        const action = this.getAction(category, name);
+        if (action === 'conserve') return { conserve: true, overwrite: false };
+        if (action === 'overwrite') return { conserve: false, overwrite: true };
+        if (action === 'ask') return { conserve: false, overwrite: false };
+        return { conserve, overwrite };
+    };
+}
+
+// Set the conflict policy from a policy file or from the inputs file
+// The policy file, if passed, has priority over the inputs file
+// Return null if there is no policy at all
+const loadConflictPolicy = (policyFilepath, inputs) => {
+    if (policyFilepath) {
+        const rules = loadYAMLorJSON(policyFilepath);
+        if (!rules) throw new Error(`There is something wrong with the policy file ${policyFilepath}`);
+        return new ConflictPolicy(rules, policyFilepath);
+    }
+    if (inputs && inputs.load_policy) return new ConflictPolicy(inputs.load_policy, 'inputs file');
+    return null;
+};
+
+module.exports = {
+    ConflictPolicy,
+    loadConflictPolicy,
+}
@@ -0,0 +1,33 @@
+// Tests for the conflict policy used by the load command
+const { ConflictPolicy } = require('./index');
+
+describe('conflict policy', () => {
+    test('uses the first matching pattern before the category default', () => {
+        const policy = new ConflictPolicy({
+            files: { default: 'conserve', patterns: { '*.pdb': 'overwrite', '*': 'ask' } },
+        }, 'test');
+        expect(policy.getAction('files', 'structure.pdb')).toBe('overwrite');
+        expect(policy.getAction('files', 'topology.tpr')).toBe('ask');
+        expect(policy.getAction('analyses', 'rmsd')).toBe(null);
+    });
+
+    test('lets trajectories follow the files policy unless they have their own', () => {
+        const policy = new ConflictPolicy({ files: 'conserve' }, 'test');
+        expect(policy.getAction('trajectories', 'trajectory.bin')).toBe('conserve');
+        const ownPolicy = new ConflictPolicy({ files: 'conserve', trajectories: 'overwrite' }, 'test');
+        expect(ownPolicy.getAction('trajectories', 'trajectory.bin')).toBe('overwrite');
+    });
+
+    test('has priority over the conserve and overwrite flags', () => {
+        const policy = new ConflictPolicy({ metadata: { patterns: { NAME: 'overwrite', 'PDB*': 'ask' } } }, 'test');
+        expect(policy.resolve('metadata', 'NAME', true, false)).toEqual({ conserve: false, overwrite: true });
+        expect(policy.resolve('metadata', 'PDBIDS', false, true)).toEqual({ conserve: false, overwrite: false });
+        expect(policy.resolve('metadata', 'AUTHORS', true, false)).toEqual({ conserve: true, overwrite: false });
+    });
+
+    test('throws when the policy has unknown categories or actions', () => {
+        expect(() => new ConflictPolicy({ file: 'conserve' }, 'test')).toThrow(/unknown category/);
+        expect(() => new ConflictPolicy({ files: 'keep' }, 'test')).toThrow(/unknown action/);
+        expect(() => new ConflictPolicy({ references: 'ask' }, 'test')).toThrow(/unknown action/);
+    });
+});
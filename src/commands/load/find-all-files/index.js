@@ -8,7 +8,8 @@ const { EXPECTED_PROJECT_FILE } = require('../../../utils/constants');
 const { joinPaths } = require('../../../utils/auxiliar-functions');
 
 // Find all files according to the input path directory
-const findAllFiles = (projectDirectory, mdirs, included, excluded) => {
+// A different file system may be passed (e.g. a project archive)
+const findAllFiles = (projectDirectory, mdirs, included, excluded, fileSystem = fs) => {
     // Set a filter based in include and exclude files
     // Remember that both included and excluded cannot be passed together
     const hasIncludes = included && included.length > 0;
@@ -36,33 +37,33 @@ const findAllFiles = (projectDirectory, mdirs, included, excluded) => {
         }
     }
     // Find out if the input path is a file or a folder
-    const stats = fs.statSync(projectDirectory);
+    const stats = fileSystem.statSync(projectDirectory);
     // If it is a directory then search all files inside of it and its MD directories
     if (!stats.isDirectory()) throw new Error(`${projectDirectory} should be a directory`);
     const projectFileFilter = filterCreator(projectDirectory);
-    const projectFiles = fs.readdirSync(projectDirectory).filter(projectFileFilter);
+    const projectFiles = fileSystem.readdirSync(projectDirectory).filter(projectFileFilter);
     // Iterate subdirectories inside of the project directory to find more project files
-    const subdirs = fs.readdirSync(projectDirectory)
+    const subdirs = fileSystem.readdirSync(projectDirectory)
         .filter(path => !mdirs.includes(normalize(joinPaths(projectDirectory, path))))
-        .filter(path => fs.lstatSync(joinPaths(projectDirectory, path)).isDirectory());
+        .filter(path => fileSystem.lstatSync(joinPaths(projectDirectory, path)).isDirectory());
     for (const subdir of subdirs) {
         const projectPath = normalize(joinPaths(projectDirectory, subdir));
         const projectFileFilter = filterCreator(projectPath);
-        const subdirFiles = fs.readdirSync(projectPath).filter(projectFileFilter);
+        const subdirFiles = fileSystem.readdirSync(projectPath).filter(projectFileFilter);
         projectFiles.push(...subdirFiles.map(file => normalize(joinPaths(subdir, file))));
     }
     // Get all MD files and keep them with their corresponding MD directory as keys
     const mdFiles = {};
     for (const mdDirectory of mdirs) {
         const mdFileFilter = filterCreator(mdDirectory);
-        mdFiles[mdDirectory] = fs.readdirSync(mdDirectory).filter(mdFileFilter);
+        mdFiles[mdDirectory] = fileSystem.readdirSync(mdDirectory).filter(mdFileFilter);
         // Iterate subdirectories inside of the MD directory to find more MD files
-        const subdirs = fs.readdirSync(mdDirectory).filter(
-            path => fs.statSync(normalize(joinPaths(mdDirectory, path))).isDirectory());
+        const subdirs = fileSystem.readdirSync(mdDirectory).filter(
+            path => fileSystem.statSync(normalize(joinPaths(mdDirectory, path))).isDirectory());
         for (const subdir of subdirs) {
             const mdPath = normalize(joinPaths(mdDirectory, subdir));
             const mdFileFilter = filterCreator(mdPath);
-            const subdirFiles = fs.readdirSync(mdPath).filter(mdFileFilter);
+            const subdirFiles = fileSystem.readdirSync(mdPath).filter(mdFileFilter);
             mdFiles[mdDirectory].push(...subdirFiles.map(
                 file => normalize(joinPaths(subdir, file))));
         }
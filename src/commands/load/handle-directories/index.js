@@ -10,13 +10,15 @@ const { normalize } = require('path');
 const REGISTER_FILENAME = '.register.json';
 
 // Parse a list of file paths including wildcards to the real paths
-const findWildcardPaths = (projectDirectory, paths) => {
+// A different file system may be passed (e.g. a project archive) as long as it can find wildcard paths
+const findWildcardPaths = (projectDirectory, paths, fileSystem = fs) => {
     if (paths === undefined) return [];
+    const globSync = fileSystem.globSync || glob.sync;
     let finalPaths = [];
     // Iterate over the input paths
     for (const path of paths) {
         const fullpath = projectDirectory + path;
-        const matches = glob.sync(fullpath);
+        const matches = globSync(fullpath);
         finalPaths = finalPaths.concat(matches);
     }
     return finalPaths.map(path => normalize(path));
@@ -24,11 +26,11 @@ const findWildcardPaths = (projectDirectory, paths) => {
 
 // Find which directories belong to MD directories
 // To do so, find directories which contain a register file
-const findMdDirectories = projectDirectory => {
+const findMdDirectories = (projectDirectory, fileSystem = fs) => {
     // Get all available directories
-    const subentries = fs.readdirSync(projectDirectory).map(entry => projectDirectory + entry);
-    const subdirectories = subentries.filter(entry => fs.lstatSync(entry).isDirectory());
-    const mdDirectories = subdirectories.filter(dir => fs.existsSync(dir + '/' + REGISTER_FILENAME));
+    const subentries = fileSystem.readdirSync(projectDirectory).map(entry => projectDirectory + entry);
+    const subdirectories = subentries.filter(entry => fileSystem.lstatSync(entry).isDirectory());
+    const mdDirectories = subdirectories.filter(dir => fileSystem.existsSync(dir + '/' + REGISTER_FILENAME));
     return mdDirectories.map(dir => normalize(dir));
 }
 
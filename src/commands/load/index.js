@@ -1,18 +1,33 @@
+// Files system from node
+const fs = require('fs');
 // Visual tool which allows to add colors in console
 const chalk = require('chalk');
 // This tool converts miliseconds (ms) to a more human friendly string
 // (e.g. 1337000000 -> 15d 11h 23m 20s)
 const prettyMs = require('pretty-ms');
+// This utility displays in console a dynamic loading status
+const logger = require('../../utils/logger');
 // Load auxiliar functions
 const {
   getGromacsCommand,
   directoryCoerce,
-  getBasename,
   loadJSON,
   loadYAMLorJSON
 } = require('../../utils/auxiliar-functions');
 // Displays data in console inside a big colorful rectangle
 const printHighlight = require('../../utils/print-highlight');
+// Get the trajectory readers handlers
+const { isGromacsTrajectory } = require('../../utils/trajectory-readers');
+// Get the frame selection of trajectories
+const { getFrameSelectionHandler } = require('../../utils/frame-selection');
+// Get the atom selection of trajectories
+const { getAtomSelection } = require('../../utils/atom-selection');
+// Get the codec to store trajectories
+const { getTrajectoryCodec } = require('../../utils/trajectory-codec');
+// Get the file compression handler
+const { getFileCompression } = require('../../utils/file-compression');
+// Get the chunk size handlers
+const { CHUNK_SIZE_VARIABLES, getChunking } = require('../../utils/chunk-size');
 // Local scripts listed in order of execution
 const getAbortingFunction = require('./abort');
 const {
@@ -22,8 +37,36 @@ const {
 } = require('./handle-directories');
 const findAllFiles = require('./find-all-files');
 const categorizeFiles = require('./categorize-files');
+const {
+  nameAnalysis,
+  nameFile,
+  nameTrajectory,
+  getLoadableProjectFiles,
+  getLoadableMdFiles,
+  getTrajectoryFiles,
+  getReferenceInputDataFiles
+} = require('./loadable-files');
+const { planLoad, printLoadPlan } = require('./load-plan');
 // Get project id trace handlers
 const { leaveTrace, findTrace, removeTrace } = require('./project-id-trace');
+// Get the load journal handlers
+const { LoadJournal, hasJournal } = require('./load-journal');
+// Get the conflict policy loader
+const { loadConflictPolicy } = require('./conflict-policy');
+// Get the load report collector
+const { LoadReport } = require('./load-report');
+// Get the project archive handlers
+const { isArchive, openArchive } = require('./project-archive');
+// Get the validation handlers
+const {
+  getLatestSchemaVersion,
+  validateProjectFiles,
+  printValidationIssues
+} = require('./validation');
+// Get the watch mode handler
+const watchProject = require('./watch');
+// Get the tools to run asynchronous tasks concurrently
+const { createLimiter, runConcurrently } = require('../../utils/run-concurrently');
 
 // Set some essential files we need for a new entry to work in the web client
 // Keys correspond to the file keys in the file categorizer
@@ -46,24 +89,9 @@ const REFERENCE_FILES_CATEGORIES = new Set([
   'chainReferencesDataFile',
 ])
 
-// Given a analysis filename, get the name of the analysis from the filename itself
-const ANALYSIS_PATTERN = new RegExp('^mda.([A-Za-z0-9_-]*).json$');
-const nameAnalysis = filepath => {
-  // Get the filename in case the analysis is inside a subdirectory
-  const filename = getBasename(filepath);
-  // Mine the file name without header and without extension tail
-  const match = filename.match(ANALYSIS_PATTERN);
-  if (!match) throw new Error(`Filename ${filename} has not the expected analysis filename format`);
-  let name = match[1];
-  // Legacy fixes
-  if (name === 'rmsf') name = 'fluctuation';
-  name = name.replaceAll('_', '-');
-  // Return the final name
-  return name;
-};
-
 // Load data from the specified folder into mongo
-const load = async (
+// The load report and the project archive, if any, are passed by the load function below
+const loadProject = async (
   // Command additional arguments
   {
     pdir,
@@ -78,27 +106,72 @@ const load = async (
     skipAnalyses,
     gromacsPath,
     timeout,
+    dryRun,
+    resume,
+    policy: policyFilepath,
+    concurrency = 1,
+    strict,
+    schemaVersion,
+    stride,
+    firstFrame,
+    lastFrame,
+    maxFrames,
+    atomIndices,
+    excludeResidues,
+    excludePbcResidues,
+    trajectoryCodec,
+    trajectoryPrecision,
+    trajectoryCompression,
+    verify,
+    deduplicate,
+    compressFiles,
   },
   // Database handler
   database,
+  // Internal options used when several projects are loaded in a row (i.e. load-many)
+  // In this case the database setup and the option counters update are run only once by the caller
+  { skipSetup = false, skipOptionCounts = false } = {},
+  // Load report handler
+  report,
+  // Project archive, if the project is loaded directly from an archive
+  archive,
 ) => {
   // Run the database setup
   // This makes only sense the first time but it is run always just in case there is a new collection
-  await database.setup();
+  // Note that a dry run must not write anything in the database so the setup is skipped
+  if (!dryRun && !skipSetup) await database.setup();
   // Get the correct gromacs command while checking it is installed in the system
+  // Trajectories are read natively so Gromacs is only used when its path is explicitly passed
   // If trajectories are to be skipped then skip this part as well since Gromacs is used for loading trajectories only
-  const gromacsCommand = skipTrajectories ? null : getGromacsCommand(gromacsPath);
+  // Note that nothing is loaded in a dry run so Gromacs is not required either
+  const gromacsCommand = (skipTrajectories || dryRun || !gromacsPath) ? null : getGromacsCommand(gromacsPath);
   // Set the aborting function in case the load is interrupted further
   const checkAbort = getAbortingFunction(database);
+  // Set the limiters for concurrent loads
+  // MD directories are limited apart from files and analyses, since every MD directory waits for its own files
+  // This way there are never more files or analyses being loaded at the same time than the concurrency limit
+  const mdLimiter = createLimiter(concurrency);
+  const loadLimiter = createLimiter(concurrency);
+  // Spinners are shared by all tasks, so plain lines are logged instead when tasks run at the same time
+  logger.setPlainLines(concurrency > 1);
 
   // Save the current time
   const startTime = Date.now();
-  console.log(chalk.cyan(`== Load of '${pdir}'`));
+  console.log(chalk.cyan(`== ${dryRun ? 'Dry run load' : 'Load'} of '${pdir}'`));
 
+  // Projects may be loaded directly from archives (.tar, .tar.gz, .tgz or .zip) with no need to extract them
+  // In this case the archive works as the project directory and files are read from the archive
+  if (archive) console.log(`Reading project files from ${archive.format} archive`);
+  const fileSystem = archive || fs;
   // Set the project directory
-  const projectDirectory = directoryCoerce(pdir);
+  const projectDirectory = archive ? archive.root : directoryCoerce(pdir);
+  // Set where the project id trace and the load journal are left
+  // Archives are never modified so these files are left next to them
+  const traceLocation = archive ? archive.filepath : projectDirectory;
   // Guess MD directories in case they are missing
-  const mdDirectories = mdirs ? parseDirectories(projectDirectory, mdirs) : findMdDirectories(projectDirectory);
+  const mdDirectories = mdirs
+    ? parseDirectories(projectDirectory, mdirs)
+    : findMdDirectories(projectDirectory, fileSystem);
 
   // Note that include and exclude arguments are 'undefined' when not passed by the user
   // If passed empty, which should not happen, they become an empty array
@@ -115,30 +188,60 @@ const load = async (
     throw new Error(`Options 'include' and 'exclude' are not compatible. Please use only one of them at a time`);
 
   // Parse the included files
-  const includedFiles = findWildcardPaths(projectDirectory, include);
+  const includedFiles = findWildcardPaths(projectDirectory, include, fileSystem);
   if (include && includedFiles.length === 0) throw new Error('No files were found among included');
 
   // Parse the excluded files
-  const excludedFiles = findWildcardPaths(projectDirectory, exclude);
+  const excludedFiles = findWildcardPaths(projectDirectory, exclude, fileSystem);
 
   // Find all available files according to the input paths
-  const [projectFiles, mdFiles] = findAllFiles(projectDirectory, mdDirectories, includedFiles, excludedFiles);
+  const [projectFiles, mdFiles] = findAllFiles(projectDirectory, mdDirectories, includedFiles, excludedFiles, fileSystem);
 
   // Find all files in the "projectDirectory" argument path and classify them
   // Classification is performed according to file names
   const [categorizedProjectFiles, categorizedMdFiles] = await categorizeFiles(projectFiles, mdFiles);
 
+  // Read the inputs file
+  // Inputs file is not to be loaded but it may contain parameters which are to be considered during the load
+  const inputsFile = categorizedProjectFiles.inputsFile;
+  const inputs = inputsFile && loadYAMLorJSON(projectDirectory + inputsFile, fileSystem);
+
+  // Set the conflict policy, if any, from the policy file or the inputs file
+  // The policy sets how to solve conflicts between previous and new data for specific categories and names
+  const policy = loadConflictPolicy(policyFilepath, inputs);
+  if (policy) console.log(`Using conflict policy from ${policy.source}`);
+
+  // Set which frames of every trajectory are to be loaded, from the command line options and the inputs file
+  const getFrameSelection = getFrameSelectionHandler({ stride, firstFrame, lastFrame, maxFrames }, inputs);
+
+  // Validate metadata, topology, references and analyses against the JSON Schemas before loading any data
+  // Invalid data is loaded anyway, with a warning, unless the strict option is passed
+  // Analyses may be huge and reading them twice would slow the load, so they are only validated when strict
+  const validationStartTime = Date.now();
+  const validationSchemaVersion = schemaVersion || getLatestSchemaVersion();
+  const validationIssues = validateProjectFiles({
+    projectDirectory,
+    mdDirectories,
+    categorizedProjectFiles,
+    categorizedMdFiles,
+    skipAnalyses: skipAnalyses || !strict,
+    fileSystem,
+    schemaVersion: validationSchemaVersion,
+  }, database);
+  report.setValidation(validationSchemaVersion, validationIssues);
+  report.setTiming('validation', validationStartTime);
+  if (validationIssues.length > 0) {
+    printValidationIssues(validationIssues);
+    const issuesMessage = `Found ${validationIssues.length} validation issues (schema ${validationSchemaVersion})`;
+    if (strict) throw new Error(`${issuesMessage}. Load has been stopped since the strict option is set`);
+    report.warn(`${issuesMessage}. Data will be loaded anyway`);
+  }
+  else console.log(`All files are valid (schema ${validationSchemaVersion})`);
+
   // Set a function to load references
   // We se it this early because it may be used now or later in the code
-  // Set the input files to be read for every different reference type
   const loadReferences = async () => {
-    // Set the input files to be read for every different reference type
-    const referenceInputDataFiles = {
-      proteins: categorizedProjectFiles.proteinReferencesDataFile,
-      inchikeys: categorizedProjectFiles.inchikeyReferencesDataFile,
-      pdbs: categorizedProjectFiles.pdbReferencesDataFile,
-      chains: categorizedProjectFiles.chainReferencesDataFile
-    };
+    const referenceInputDataFiles = getReferenceInputDataFiles(categorizedProjectFiles);
     // Iterate the different type of references (proteins, inchikeys, PDBs and chains)
     for await (const referenceName of Object.keys(database.REFERENCES)) {
       // Get the input data filepath
@@ -147,12 +250,12 @@ const load = async (
       if (!referenceInputDataFile) continue;
       // Load the reference input data
       const referenceInputDataFilepath = projectDirectory + referenceInputDataFile;
-      const referenceInputData = await loadJSON(referenceInputDataFilepath);
+      const referenceInputData = await loadJSON(referenceInputDataFilepath, fileSystem);
       if (!referenceInputData)
         throw new Error(`There is something wrong with the references file ${referenceInputDataFilepath}`);
       // Iterate over the different references among the input data
       for await (const referenceData of referenceInputData) {
-        await database.loadReferenceIfProper(referenceName, referenceData, conserve, overwrite);
+        await database.loadReferenceIfProper(referenceName, referenceData, conserve, overwrite, policy);
       }
     }
   }
@@ -169,9 +272,18 @@ const load = async (
   const allReferences = nonEmptyProjectCategories.every(
     category => REFERENCE_FILES_CATEGORIES.has(category));
   if (allReferences) {
+    // In a dry run simply show what would happen with the references
+    if (dryRun) {
+      const plan = await planLoad({ project: null, projectDirectory, mdDirectories: [],
+        categorizedProjectFiles, categorizedMdFiles: {}, policy, fileSystem }, database);
+      report.setPlan(plan);
+      return () => printLoadPlan({ ...plan, referencesOnly: true });
+    }
+    const referencesStartTime = Date.now();
     await loadReferences();
+    report.setTiming('references', referencesStartTime);
     // At the end of the load update the option counters
-    await database.updateOptionCounts();
+    if (!skipOptionCounts) await database.updateOptionCounts();
     return () => {
       console.log(
         chalk.cyan(`== finished loading '${projectDirectory}' in ${prettyMs(Date.now() - startTime)} with references only`),
@@ -207,11 +319,6 @@ const load = async (
     return true;
   };
 
-  // Read the inputs file
-  // Inputs file is not to be loaded but it may contain parameters which are to be considered during the load
-  const inputsFile = categorizedProjectFiles.inputsFile;
-  const inputs = inputsFile && loadYAMLorJSON(projectDirectory + inputsFile);
-
   // Find if there is a prefeined accession to use such as:
   // 1 - A command line forced accession (-a)
   // 2 - A metadata forced accession
@@ -220,7 +327,7 @@ const load = async (
   // Set the project data handler and update the 'isNewProject' variable accordingly
   // This part of the code is set as a function just to use return
   let isNewProject = false;
-  const trace = findTrace(projectDirectory);
+  const trace = findTrace(traceLocation);
   const project = await (async () => {
     // If we have a forced accession in the coomand line or in the metadata then use it
     const forcedAccession = accession || (inputs && inputs.accession);
@@ -238,7 +345,9 @@ const load = async (
       // Check we have the essentials
       if (!hasEssentials()) throw new Error(`Missing essential files`);
       // If the project does not exist then create it and set its accession as requested
+      // In a dry run there is no project to create so we return null
       isNewProject = true;
+      if (dryRun) return null;
       return await database.createProject(forcedAccession);
     }
     // If we had a trace then check it belongs to an existing project
@@ -248,16 +357,82 @@ const load = async (
       if (alreadyExistingProject) return alreadyExistingProject;
       // If we had a trace but the project does not exist then print a warning but keep going and create a new project
       // Also remove the trace since it is not valid anymore
-      console.log(chalk.yellow(`WARNING: There was a trace of project '${trace}' but it does not exist anymore`));
-      removeTrace(projectDirectory);
+      report.warn(`There was a trace of project '${trace}' but it does not exist anymore`);
+      if (!dryRun) removeTrace(traceLocation);
     }
     // Check we have the essentials
     if (!hasEssentials()) throw new Error(`Missing essential files`);
     // If there is no valid predefined accession then create a new project with a default formatted accession
     isNewProject = true;
+    if (dryRun) return null;
     return await database.createProject();
   })();
 
+  // Set the conflict policy in the project, so it is considered every time there is a conflict
+  if (project) project.policy = policy;
+  // Set the file system in the project, so files are read from the archive if so
+  if (project) project.fileSystem = fileSystem;
+  // Set if files are to be stored content-addressed, so identical files are shared among projects
+  if (project) project.deduplicate = deduplicate;
+
+  // Set which atoms of trajectories are to be loaded, from the command line options and the inputs file
+  // Residues are found in the new topology or, if there is no new topology, in the already loaded topology
+  const atomSelection = skipTrajectories ? null : await getAtomSelection(
+    { atomIndices, excludeResidues, excludePbcResidues },
+    inputs,
+    async () => categorizedProjectFiles.topologyDataFile
+      ? await loadJSON(projectDirectory + categorizedProjectFiles.topologyDataFile, fileSystem)
+      : project && await project.getTopology(),
+    projectDirectory,
+    fileSystem,
+  );
+  if (atomSelection) console.log(`Loading ${atomSelection.selectedAtoms} selected atoms in trajectories`);
+
+  // Set how trajectory coordinates are stored, from the command line options and the inputs file
+  const codec = getTrajectoryCodec({ trajectoryCodec, trajectoryPrecision, trajectoryCompression }, inputs);
+  if (codec) console.log(`Storing trajectories with the ${codec.name} codec` +
+    (codec.precision ? ` (${codec.precision} Å precision)` : '') + (codec.compression !== 'none' ? ` and ${codec.compression} compression` : ''));
+
+  // Set which uploaded files are compressed, from the command line options and the inputs file
+  const fileCompression = getFileCompression({ compressFiles }, inputs);
+  if (fileCompression) console.log(`Compressing uploaded files: ` +
+    fileCompression.map(rule => `${rule.pattern} (${rule.encoding})`).join(', '));
+  if (project) project.fileCompression = fileCompression;
+
+  // Check the chunk sizes set in the environment before anything is loaded
+  // Chunk sizes are read again along every upload, so they are not passed anywhere
+  for (const category of Object.keys(CHUNK_SIZE_VARIABLES)) {
+    const chunking = getChunking(category);
+    if (process.env[CHUNK_SIZE_VARIABLES[category]]) console.log(`Uploading ${category} files in chunks of ` +
+      (chunking.frames ? `${chunking.frames} frames` : `${chunking.size} bytes`));
+  }
+
+  // In a dry run we stop here and display what the load would do instead
+  if (dryRun) {
+    const plan = await planLoad({
+      project,
+      projectDirectory,
+      mdDirectories,
+      categorizedProjectFiles,
+      categorizedMdFiles,
+      conserve,
+      overwrite,
+      skipTrajectories,
+      skipFiles,
+      skipAnalyses,
+      policy,
+      getFrameSelection,
+      atomSelection,
+      codec,
+      fileSystem,
+    }, database);
+    report.setPlan(plan);
+    return () => printLoadPlan(plan, accession || (inputs && inputs.accession));
+  }
+
+  // Add the project to the report
+  report.setProject(project, isNewProject);
+
   if (timeout !== null && timeout !== undefined) {
     project.fileDocumentTimeoutMs = timeout * 1000;
   }
@@ -274,7 +449,32 @@ const load = async (
   
   // Leave a trace of the project id
   if (!trace || trace.toString() !== project.id.toString())
-    leaveTrace(projectDirectory, project.id);
+    leaveTrace(traceLocation, project.id);
+
+  // Set the load journal, which keeps track of every completed step
+  // If the load is to be resumed then recover the completed steps from the previous journal
+  // Otherwise start a new journal from scratch, thus discarding any previous journal
+  const journal = new LoadJournal(traceLocation, project.id);
+  if (resume) {
+    // If there were uploads in progress when the previous load died then clean their chunks
+    const halfWrittenUploadIds = journal.resume();
+    for await (const uploadId of halfWrittenUploadIds) await database.deleteHalfWrittenUpload(uploadId);
+  }
+  else {
+    if (hasJournal(traceLocation))
+      report.warn(`A previous load was not completed. Use --resume to skip its completed steps.`);
+    journal.write();
+  }
+  project.journal = journal;
+
+  // Set a function to check if a file or analysis was already loaded according to the journal
+  // Make sure it is still in the project as it was then, since it may have been deleted in the meanwhile
+  const wasAlreadyLoaded = (stepKey, loadedEntry) => {
+    const step = journal.getStep(stepKey);
+    if (!step || !loadedEntry || loadedEntry.id.toString() !== step.id) return false;
+    console.log(chalk.grey(`Skipping ${stepKey} since it was already loaded`));
+    return true;
+  };
 
   // Check if the load has been aborted at this point
   await checkAbort();
@@ -283,12 +483,15 @@ const load = async (
 
   // Load project metadata, which is expected to have most of the metadata
   const projectMetadataFile = categorizedProjectFiles.metadataFile;
-  if (projectMetadataFile) {
+  if (projectMetadataFile && !journal.isCompleted('metadata')) {
+    const metadataStartTime = Date.now();
     console.log('Loading project metadata');
     const projectMetadataFilepath = projectDirectory + projectMetadataFile;
-    const projectMetadata = await loadJSON(projectMetadataFilepath);
+    const projectMetadata = await loadJSON(projectMetadataFilepath, fileSystem);
     if (!projectMetadata) throw new Error('There is something wrong with the project metadata file');
     await project.updateProjectMetadata(projectMetadata, conserve, overwrite);
+    journal.completeStep('metadata');
+    report.setTiming('metadata', metadataStartTime);
   }
 
   // Check if the load has been aborted at this point
@@ -297,7 +500,12 @@ const load = async (
   // ---- References ----
 
   // Load reference files
-  await loadReferences();
+  if (!journal.isCompleted('references')) {
+    const referencesStartTime = Date.now();
+    await loadReferences();
+    journal.completeStep('references');
+    report.setTiming('references', referencesStartTime);
+  }
 
   // Check if the load has been aborted at this point
   await checkAbort();
@@ -306,15 +514,23 @@ const load = async (
 
   // Load the basic topology using the pdb file
   const topologyDataFile = categorizedProjectFiles.topologyDataFile;
-  if (topologyDataFile) {
+  const topologyAlreadyLoaded = journal.isCompleted('topology') && await project.getTopology();
+  if (topologyAlreadyLoaded) report.setTopology({ source: topologyDataFile, status: 'skipped', reason: 'already loaded' });
+  else if (topologyDataFile) {
+    const topologyStartTime = Date.now();
     // Load topology
     const topologyDataFilepath = projectDirectory + topologyDataFile;
-    const topology = await loadJSON(topologyDataFilepath);
+    const topology = await loadJSON(topologyDataFilepath, fileSystem);
     if (!topology) throw new Error('There is something wrong with the topology data file')
     // Add the current project id to the topology object
     topology.project = project.id;
     // Load it to mongo
-    await project.loadTopology(topology, conserve, overwrite);
+    const previousTopology = await project.getTopology();
+    const topologyId = await project.loadTopology(topology, conserve, overwrite);
+    journal.completeStep('topology');
+    const topologyStatus = topologyId ? (previousTopology ? 'overwritten' : 'loaded') : 'skipped';
+    report.setTopology({ source: topologyDataFile, status: topologyStatus, id: topologyId });
+    report.setTiming('topology', topologyStartTime);
   }
 
   // Note that there are no trajectories or analyses expected to be in the project nowadays
@@ -324,57 +540,71 @@ const load = async (
 
   if (!skipAnalyses) {
     // Iterate over the different analysis files
-    for await (const file of categorizedProjectFiles.analysisFiles) {
+    await runConcurrently(categorizedProjectFiles.analysisFiles, async file => {
       // Check if the load has been aborted before each analysis load
       await checkAbort();
       // Get the standard name of the analysis
       const name = nameAnalysis(file);
-      if (!name) continue;
+      if (!name) return;
+      // Skip the analysis if it was already loaded by a previous load which is being resumed
+      const stepKey = `analysis:project:${name}`;
+      const previousAnalysis = project.findAnalysis(name, undefined);
+      if (wasAlreadyLoaded(stepKey, previousAnalysis)) return report.addAnalysis(undefined,
+        { name, source: file, status: 'skipped', reason: 'already loaded', id: previousAnalysis.id });
       // Handle any conflicts and ask the user if necessary
       // Delete previous analyses in case we want to overwrite data
       const confirm = await project.forestallAnalysisLoad(name, undefined, conserve, overwrite);
-      if (!confirm) continue;
+      if (!confirm) return report.addAnalysis(undefined, { name, source: file, status: 'skipped', id: previousAnalysis && previousAnalysis.id });
+      const analysisStartTime = Date.now();
       // Load the analysis
       const filepath = projectDirectory + file;
       // Read the analysis data
-      const content = await loadJSON(filepath);
+      const content = await loadJSON(filepath, fileSystem);
       // If mining was unsuccessful return undefined value
       if (!content) throw new Error(`There is something wrong with the ${name} analysis file`);
       // Upload new data to the database
       const analysis = { name: name, value: content };
-      await project.loadAnalysis(analysis, undefined);
-    }
+      const analysisId = await project.loadAnalysis(analysis, undefined);
+      journal.completeStep(stepKey, analysisId);
+      report.addAnalysis(undefined, { name, source: file, status: previousAnalysis ? 'overwritten' : 'loaded',
+        id: analysisId, duration: Date.now() - analysisStartTime });
+    }, loadLimiter);
   }
 
   // ---- Files ----
 
   if (!skipFiles) {
     // Set which files are to be uploaded to the database
-    // Discard undefined values from missing files
-    const loadableFiles = [
-      categorizedProjectFiles.topologyFile,
-      ...categorizedProjectFiles.itpFiles,
-      categorizedProjectFiles.populationsDataFile,
-      ...categorizedProjectFiles.uploadableFiles
-    ].filter(file => file && file.length !== 0);
+    const loadableFiles = getLoadableProjectFiles(categorizedProjectFiles);
     // Iterate over loadable files
-    for await (const file of loadableFiles) {
+    await runConcurrently(loadableFiles, async file => {
       // Check if the load has been aborted at this point
       await checkAbort();
       // Set the name of the file once loaded in the database
-      // In case the filename starts with 'mdf.' set the database filename without the prefix
-      let databaseFilename = getBasename(file);
-      if (databaseFilename.slice(0, 4) === 'mdf.')
-        databaseFilename = databaseFilename.slice(4);
+      const databaseFilename = nameFile(file);
+      // Skip the file if it was already loaded by a previous load which is being resumed
+      const stepKey = `file:project:${databaseFilename}`;
+      const previousFile = project.findFile(databaseFilename, undefined);
+      if (wasAlreadyLoaded(stepKey, previousFile)) return report.addFile(undefined,
+        { name: databaseFilename, source: file, status: 'skipped', reason: 'already loaded', id: previousFile.id });
+      // Set the path to the current file
+      const filepath = projectDirectory + file;
+      // Skip the file if it is identical to the already loaded file
+      if (await project.isFileUnchanged(databaseFilename, undefined, filepath)) return report.addFile(undefined,
+        { name: databaseFilename, source: file, status: 'skipped', reason: 'unchanged', id: previousFile.id });
       // Handle any conflicts and ask the user if necessary
       // Delete previous files in case we want to overwrite data
       const confirm = await project.forestallFileLoad(databaseFilename, undefined, conserve, overwrite);
-      if (!confirm) continue;
-      // Set the path to the current file
-      const filepath = projectDirectory + file;
+      if (!confirm) return report.addFile(undefined, { name: databaseFilename, source: file, status: 'skipped', id: previousFile && previousFile.id });
+      const fileStartTime = Date.now();
       // Load the actual file
-      await project.loadFile(databaseFilename, undefined, filepath, checkAbort);
-    }
+      const loadedFile = await project.loadFile(databaseFilename, undefined, filepath, checkAbort);
+      // Download the file again to make sure it was fully loaded
+      if (verify) await project.verifyFile(databaseFilename, undefined);
+      journal.completeStep(stepKey, loadedFile.id);
+      report.addFile(undefined, { name: databaseFilename, source: file, status: previousFile ? 'overwritten' : 'loaded',
+        ...loadedFile, verified: verify, duration: Date.now() - fileStartTime });
+    }, loadLimiter);
   }
 
   // Check if the load has been aborted at this point
@@ -385,7 +615,9 @@ const load = async (
   // ---------------------------
 
   // Iterate over the different MD directores
-  for await (const mdir of mdDirectories) {
+  // Note that MD directories are independent so they may be loaded concurrently
+  await runConcurrently(mdDirectories, async mdir => {
+    const mdStartTime = Date.now();
     console.log(chalk.cyan(`== MD directory '${mdir}'`));
     let mdName;
     let mdIndex;
@@ -396,15 +628,14 @@ const load = async (
     const mdMetadataFile = directoryFiles.metadataFile;
     if (mdMetadataFile) {
       // Load the metadata file
-      const mdMetadata = await loadJSON(mdir + '/' + mdMetadataFile);
+      const mdMetadata = await loadJSON(mdir + '/' + mdMetadataFile, fileSystem);
       if (!mdMetadata) throw new Error(`There is something wrong with the MD metadata file in ${mdir}`);
       // Use the metadata name to find out if the MD already exists and which is its index
       mdName = mdMetadata.name;
       mdIndex = project.findMDIndexByName(mdName);
       if (mdIndex === null) {
         isNewMD = true;
-        mdIndex = project.data.mds.length;
-        await project.addMDirectory(mdMetadata);
+        mdIndex = await project.addMDirectory(mdMetadata);
       }
       else{
         // Finally load the rest of the metadata
@@ -417,14 +648,15 @@ const load = async (
       mdIndex = project.findMDIndexByDirectory(mdir);
       // If the MD is new and there is no metadata we must stop here
       if (mdIndex === null) {
-        console.log(chalk.red(`Can't find which MD corresponds to MD directory '${mdir}'. This directory will be skipped.`));
-        continue;
+        report.warn(`Can't find which MD corresponds to MD directory '${mdir}'. This directory will be skipped.`);
+        return;
       }
       // Get the MD name from the already existing metadata
       mdName = project.data.mds[mdIndex].name;
     }
     // Get the MD name form the metadata
     console.log(`== MD directory '${mdir}' named as '${mdName}' (MD index ${mdIndex})`);
+    const mdReport = report.addMd(mdir, mdName, mdIndex, isNewMD);
 
     // Check if the load has been aborted at this point
     await checkAbort();
@@ -434,66 +666,90 @@ const load = async (
     // Load trajectories into the database
     if (!skipTrajectories) {
       // Get trajectory files which are to be loaded to the database in a parsed way
-      const trajectoryFiles = [
-        directoryFiles.mainTrajectory,
-        ...directoryFiles.uploadableTrajectories
-      ].filter(file => file && file.length !== 0);
+      const trajectoryFiles = getTrajectoryFiles(directoryFiles);
       // Iterate over the different trajectory files
-      let ntrajectory = 0;
-      for (const file of trajectoryFiles) {
-        ntrajectory += 1;
+      await runConcurrently(trajectoryFiles, async file => {
         // Check if the load has been aborted at this point
         await checkAbort();
         // Set the name of the file once loaded in the database
-        let databaseFilename = getBasename(file).replace('.xtc', '.bin');
-        // In case the filename starts with 'mdt.' set the database filename without the prefix
-        if (databaseFilename.slice(0, 4) === 'mdt.')
-          databaseFilename = databaseFilename.slice(4);
+        const databaseFilename = nameTrajectory(file);
+        // Skip the trajectory if it was already loaded by a previous load which is being resumed
+        const stepKey = `file:${mdIndex}:${databaseFilename}`;
+        const previousFile = project.findFile(databaseFilename, mdIndex);
+        if (wasAlreadyLoaded(stepKey, previousFile)) return report.addFile(mdIndex,
+          { name: databaseFilename, source: file, status: 'skipped', reason: 'already loaded', id: previousFile.id });
+        // Set which frames are to be loaded
+        const frameSelection = getFrameSelection(mdir, file);
+        // Skip the trajectory if its source and its trajectory options are identical to those of the already loaded trajectory
+        const trajectoryOptions = { frameSelection, atomSelection, codec };
+        if (await project.isFileUnchanged(databaseFilename, mdIndex, mdir + '/' + file, trajectoryOptions)) return report.addFile(mdIndex,
+          { name: databaseFilename, source: file, status: 'skipped', reason: 'unchanged', id: previousFile.id });
         // Handle any conflicts and ask the user if necessary
         // Delete previous files in case we want to overwrite data
-        const confirm = await project.forestallFileLoad(databaseFilename, mdIndex, conserve, overwrite);
-        if (!confirm) continue;
+        const confirm = await project.forestallFileLoad(databaseFilename, mdIndex, conserve, overwrite, 'trajectories');
+        if (!confirm) return report.addFile(mdIndex, { name: databaseFilename, source: file, status: 'skipped', id: previousFile && previousFile.id });
+        const fileStartTime = Date.now();
+        // Gromacs is only used for the formats it can read, if its path was passed
+        const trajectoryGromacsCommand = gromacsCommand && isGromacsTrajectory(file) ? gromacsCommand : null;
         // Set the path to the current file
-        const trajectoryPath = mdir + '/' + file;
+        // If Gromacs is used then trajectories in archives are extracted to a temporal file, since it needs an actual file to read
+        // The temporal file is removed as soon as the trajectory is loaded
+        // Native readers read trajectories directly from archives
+        const stageTrajectory = archive && trajectoryGromacsCommand;
+        const trajectoryPath = stageTrajectory ? await archive.stageFile(mdir + '/' + file) : mdir + '/' + file;
         // Load the trajectory parsedly
-        await project.loadTrajectoryFile(
+        const loadedFile = await project.loadTrajectoryFile(
           databaseFilename,
           mdIndex,
           trajectoryPath,
-          gromacsCommand,
-          checkAbort
-        );
-      }
+          trajectoryGromacsCommand,
+          checkAbort,
+          trajectoryOptions
+        ).finally(() => stageTrajectory && archive.unstageFile(trajectoryPath));
+        // Download the trajectory again to make sure it was fully loaded
+        // The main trajectory must also have as many frames as the MD metadata says
+        if (verify) await project.verifyFile(databaseFilename, mdIndex,
+          file === directoryFiles.mainTrajectory ? project.data.mds[mdIndex].frames : undefined);
+        journal.completeStep(stepKey, loadedFile.id);
+        report.addFile(mdIndex, { name: databaseFilename, source: file, status: previousFile ? 'overwritten' : 'loaded',
+          ...loadedFile, verified: verify, duration: Date.now() - fileStartTime });
+      }, loadLimiter);
     }
 
     // ---- Files ----
 
     if (!skipFiles) {
       // Set which files are to be uploaded to the database
-      const loadableFiles = [
-        directoryFiles.topologyFile,
-        directoryFiles.structureFile,
-        directoryFiles.mainTrajectory,
-        ...directoryFiles.uploadableFiles,
-      ].filter(file => file && file.length !== 0);
+      const loadableFiles = getLoadableMdFiles(directoryFiles);
       // Iterate over loadable files
-      for await (const file of loadableFiles) {
+      await runConcurrently(loadableFiles, async file => {
         // Check if the load has been aborted at this point
         await checkAbort();
         // Set the name of the file once loaded in the database
-        // In case the filename starts with 'mdf.' set the database filename without the prefix
-        let databaseFilename = getBasename(file);
-        if (databaseFilename.slice(0, 4) === 'mdf.')
-          databaseFilename = databaseFilename.slice(4);
+        const databaseFilename = nameFile(file);
+        // Skip the file if it was already loaded by a previous load which is being resumed
+        const stepKey = `file:${mdIndex}:${databaseFilename}`;
+        const previousFile = project.findFile(databaseFilename, mdIndex);
+        if (wasAlreadyLoaded(stepKey, previousFile)) return report.addFile(mdIndex,
+          { name: databaseFilename, source: file, status: 'skipped', reason: 'already loaded', id: previousFile.id });
+        // Set the path to the current file
+        const filepath = mdir + '/' + file;
+        // Skip the file if it is identical to the already loaded file
+        if (await project.isFileUnchanged(databaseFilename, mdIndex, filepath)) return report.addFile(mdIndex,
+          { name: databaseFilename, source: file, status: 'skipped', reason: 'unchanged', id: previousFile.id });
         // Handle any conflicts and ask the user if necessary
         // Delete previous files in case we want to overwrite data
         const confirm = await project.forestallFileLoad(databaseFilename, mdIndex, conserve, overwrite);
-        if (!confirm) continue;
-        // Set the path to the current file
-        const filepath = mdir + '/' + file;
+        if (!confirm) return report.addFile(mdIndex, { name: databaseFilename, source: file, status: 'skipped', id: previousFile && previousFile.id });
+        const fileStartTime = Date.now();
         // Load the actual file
-        await project.loadFile(databaseFilename, mdIndex, filepath, checkAbort);
-      }
+        const loadedFile = await project.loadFile(databaseFilename, mdIndex, filepath, checkAbort);
+        // Download the file again to make sure it was fully loaded
+        if (verify) await project.verifyFile(databaseFilename, mdIndex);
+        journal.completeStep(stepKey, loadedFile.id);
+        report.addFile(mdIndex, { name: databaseFilename, source: file, status: previousFile ? 'overwritten' : 'loaded',
+          ...loadedFile, verified: verify, duration: Date.now() - fileStartTime });
+      }, loadLimiter);
     }
 
     // Check if the load has been aborted at this point
@@ -503,31 +759,41 @@ const load = async (
 
     if (!skipAnalyses) {
       // Iterate over the different analysis files
-      let nanalysis = 0;
-      for await (const file of directoryFiles.analysisFiles) {
-        nanalysis += 1;
+      await runConcurrently(directoryFiles.analysisFiles, async file => {
         // Check if the load has been aborted before each analysis load
         await checkAbort();
         // Get the standard name of the analysis
         const name = nameAnalysis(file);
-        if (!name) continue;
+        if (!name) return;
+        // Skip the analysis if it was already loaded by a previous load which is being resumed
+        const stepKey = `analysis:${mdIndex}:${name}`;
+        const previousAnalysis = project.findAnalysis(name, mdIndex);
+        if (wasAlreadyLoaded(stepKey, previousAnalysis)) return report.addAnalysis(mdIndex,
+          { name, source: file, status: 'skipped', reason: 'already loaded', id: previousAnalysis.id });
         // Handle any conflicts and ask the user if necessary
         // Delete previous analyses in case we want to overwrite data
         const confirm = await project.forestallAnalysisLoad(name, mdIndex, conserve, overwrite);
-        if (!confirm) continue;
+        if (!confirm) return report.addAnalysis(mdIndex, { name, source: file, status: 'skipped', id: previousAnalysis && previousAnalysis.id });
+        const analysisStartTime = Date.now();
         // Load the analysis
         const filepath = mdir + '/' + file;
         // Read the analysis data
-        const content = await loadJSON(filepath);
+        const content = await loadJSON(filepath, fileSystem);
         // If mining was unsuccessful return undefined value
         if (!content) throw new Error(`There is something wrong with the ${name} analysis file`);
         // Upload new data to the database
         const analysis = { name: name, value: content };
-        await project.loadAnalysis(analysis, mdIndex);
-      }
+        const analysisId = await project.loadAnalysis(analysis, mdIndex);
+        journal.completeStep(stepKey, analysisId);
+        report.addAnalysis(mdIndex, { name, source: file, status: previousAnalysis ? 'overwritten' : 'loaded',
+          id: analysisId, duration: Date.now() - analysisStartTime });
+      }, loadLimiter);
     }
 
-  }
+    // Set the time spent in this MD
+    mdReport.duration = Date.now() - mdStartTime;
+
+  }, mdLimiter);
   // Update total size, time and frames
   await project.updateTotals();
 
@@ -537,8 +803,10 @@ const load = async (
   // DANI: Interrupted loads would mess numbers silently. If we always update numbers from scratch this will be solved on its own
   // DANI: Alternatively I could update specific values from the counters every time they are updated, but this is too much work
   // DANI: This solution is easy and reliable, at the cost of making the process a bit slower
-  await database.updateOptionCounts();
-  
+  if (!skipOptionCounts) await database.updateOptionCounts();
+
+  // The load is completed so there is nothing to resume anymore
+  journal.remove();
 
   return () => {
     console.log(
@@ -548,4 +816,30 @@ const load = async (
   };
 };
 
+// Load data from the specified folder into mongo while keeping a report of everything done
+// If a report filepath is passed then the report is written at the end, even if the load fails
+// In batch loads (i.e. load-many) the report data is added to the list of reports instead
+// In watch mode the project directory is watched and new files are loaded by further calls to this function
+const load = async (args, database, batchOptions = {}) => {
+  if (args.watch) return await watchProject(args, database, load);
+  const report = new LoadReport(args.pdir, args.dryRun);
+  // Archives may have temporal files so they are opened here to be closed at the end, whatever happens
+  let archive = null;
+  try {
+    if (isArchive(args.pdir)) archive = await openArchive(args.pdir);
+    const finalMessage = await loadProject(args, database, batchOptions, report, archive);
+    report.succeed();
+    return finalMessage;
+  }
+  catch (error) {
+    report.fail(error);
+    throw error;
+  }
+  finally {
+    if (archive) archive.close();
+    if (batchOptions.reports) batchOptions.reports.push(report.data);
+    else if (args.report) report.write(args.report);
+  }
+};
+
 module.exports = load;
\ No newline at end of file
@@ -44,6 +44,12 @@ describe('load command input validation', () => {
         expect(database.setup).toHaveBeenCalledTimes(1);
     });
 
+    it('does not run the database setup in a dry run', async () => {
+        // A dry run must not write anything in the database, not even the setup
+        await expect(load(args({ include: [], dryRun: true }), database)).rejects.toThrow();
+        expect(database.setup).not.toHaveBeenCalled();
+    });
+
     it('throws when the include option is passed empty', async () => {
         await expect(load(args({ include: [] }), database)).rejects.toThrow(
             "The 'include' option is empty",
@@ -0,0 +1,117 @@
+// File system
+const fs = require('fs');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// Load tools to handle paths
+const { dirname } = require('path');
+// Import auxiliar functions
+const { idOrAccessionCoerce, canWrite } = require('../../../utils/auxiliar-functions');
+// Get the path of hidden files left along with the project
+const { getSidecarPath } = require('../project-id-trace');
+
+// The journal is left next to the project id trace
+const JOURNAL_FILENAME = '.load_journal.json';
+
+// Set the load journal class
+// The journal is a hidden file which records every completed step of a load
+// This way, if the load dies halfway, a further load may resume it by skipping the completed steps
+class LoadJournal {
+    constructor (location, projectId) {
+        this.filepath = getSidecarPath(location, JOURNAL_FILENAME);
+        this.projectId = projectId.toString();
+        // Completed steps with their corresponding ids, if any
+        this.steps = {};
+        // The ids of the GridFS uploads in progress, if any
+        this.currentUploadIds = [];
+        // If we do not have write permissions here then the journal is kept in memory only
+        this.writable = canWrite(dirname(this.filepath)) && (!fs.existsSync(this.filepath) || canWrite(this.filepath));
+        if (!this.writable)
+            console.log(chalk.yellow(`WARNING: No write permissions for ${this.filepath}. No load journal will be left.`));
+    };
+
+    // Read the previous journal, if any
+    // Return null if there is no journal or it belongs to a different project
+    readPrevious = () => {
+        if (!fs.existsSync(this.filepath)) return null;
+        try {
+            const previous = JSON.parse(fs.readFileSync(this.filepath, 'utf8'));
+            if (previous.project !== this.projectId) {
+                console.log(chalk.yellow(`WARNING: The load journal belongs to a different project (${previous.project}) and it will be ignored`));
+                return null;
+            }
+            return previous;
+        }
+        catch {
+            console.log(chalk.yellow(`WARNING: Failed to read ${this.filepath}. It will be ignored.`));
+            return null;
+        }
+    };
+
+    // Resume the previous journal, if any
+    // Return the ids of the GridFS uploads which were in progress when the previous load died
+    resume = () => {
+        const previous = this.readPrevious();
+        if (!previous) {
+            console.log(chalk.yellow(`WARNING: There is no load journal to resume. Loading from scratch.`));
+            return [];
+        }
+        this.steps = previous.steps || {};
+        const stepCount = Object.keys(this.steps).length;
+        console.log(`Resuming previous load: ${stepCount} steps were already completed`);
+        // Uploads in progress are not inherited, since they are to be cleaned by the caller
+        const halfWrittenUploadIds = (previous.currentUploadIds || []).map(id => idOrAccessionCoerce(id));
+        this.write();
+        return halfWrittenUploadIds;
+    };
+
+    // Check if a step was already completed
+    isCompleted = key => this.steps[key] !== undefined;
+
+    // Get a completed step, if any
+    getStep = key => this.steps[key];
+
+    // Record a completed step
+    // An id may be passed for steps which produce a document (e.g. files and analyses)
+    completeStep = (key, id) => {
+        this.steps[key] = { id: id ? id.toString() : null, date: new Date() };
+        this.write();
+    };
+
+    // Record the id of a GridFS upload in progress
+    addCurrentUpload = id => {
+        this.currentUploadIds.push(id.toString());
+        this.write();
+    };
+
+    // Forget the id of a GridFS upload once it is completed
+    removeCurrentUpload = id => {
+        this.currentUploadIds = this.currentUploadIds.filter(uploadId => uploadId !== id.toString());
+        this.write();
+    };
+
+    // Write the journal to disk
+    write = () => {
+        if (!this.writable) return;
+        const content = { project: this.projectId, steps: this.steps, currentUploadIds: this.currentUploadIds };
+        try {
+            fs.writeFileSync(this.filepath, JSON.stringify(content, null, 4));
+        }
+        catch {
+            console.log(chalk.yellow(`WARNING: Failed to write in ${this.filepath}. No load journal will be left.`));
+            this.writable = false;
+        }
+    };
+
+    // Remove the journal once the load is completed
+    remove = () => {
+        if (fs.existsSync(this.filepath) && canWrite(this.filepath)) fs.rmSync(this.filepath);
+    };
+}
+
+// Check if there is a journal left by a previous load of a project directory or archive
+const hasJournal = location => fs.existsSync(getSidecarPath(location, JOURNAL_FILENAME));
+
+module.exports = {
+    LoadJournal,
+    hasJournal
+}
@@ -0,0 +1,65 @@
+// Tests for the load journal used to resume interrupted loads
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { LoadJournal, hasJournal } = require('./index');
+
+describe('load journal', () => {
+    const projectId = '0123456789abcdef01234567';
+    let location;
+    beforeEach(() => {
+        location = fs.mkdtempSync(join(os.tmpdir(), 'journal-test-')) + '/';
+        // Hide the journal warnings and messages
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        fs.rmSync(location, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('reads the completed steps written by a previous load', () => {
+        const journal = new LoadJournal(location, projectId);
+        journal.completeStep('metadata');
+        journal.completeStep('file:0:structure.pdb', 'fedcba9876543210fedcba98');
+        expect(hasJournal(location)).toBe(true);
+        const previous = new LoadJournal(location, projectId).readPrevious();
+        expect(previous.project).toBe(projectId);
+        expect(previous.steps.metadata.id).toBe(null);
+        expect(previous.steps['file:0:structure.pdb'].id).toBe('fedcba9876543210fedcba98');
+        journal.remove();
+        expect(hasJournal(location)).toBe(false);
+    });
+
+    test('ignores the journal of a different project', () => {
+        new LoadJournal(location, projectId).completeStep('metadata');
+        const journal = new LoadJournal(location, 'fedcba9876543210fedcba98');
+        expect(journal.readPrevious()).toBe(null);
+        expect(journal.resume()).toEqual([]);
+        expect(journal.isCompleted('metadata')).toBe(false);
+    });
+
+    test('resumes the completed steps and returns the half-written uploads', () => {
+        const journal = new LoadJournal(location, projectId);
+        journal.completeStep('topology', 'fedcba9876543210fedcba98');
+        journal.addCurrentUpload('aaaaaaaaaaaaaaaaaaaaaaaa');
+        journal.addCurrentUpload('bbbbbbbbbbbbbbbbbbbbbbbb');
+        journal.removeCurrentUpload('aaaaaaaaaaaaaaaaaaaaaaaa');
+        const resumedJournal = new LoadJournal(location, projectId);
+        const halfWrittenUploadIds = resumedJournal.resume();
+        expect(halfWrittenUploadIds.map(String)).toEqual(['bbbbbbbbbbbbbbbbbbbbbbbb']);
+        expect(resumedJournal.isCompleted('topology')).toBe(true);
+        expect(resumedJournal.getStep('topology').id).toBe('fedcba9876543210fedcba98');
+        // Uploads in progress are not inherited, since they are cleaned by the caller
+        const rewritten = JSON.parse(fs.readFileSync(resumedJournal.filepath, 'utf8'));
+        expect(rewritten.currentUploadIds).toEqual([]);
+    });
+
+    test('keeps the journal in memory only if the location is not writable', () => {
+        const journal = new LoadJournal(join(location, 'missing/directory/'), projectId);
+        expect(journal.writable).toBe(false);
+        journal.completeStep('metadata');
+        expect(journal.isCompleted('metadata')).toBe(true);
+        expect(fs.existsSync(journal.filepath)).toBe(false);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('No load journal will be left'));
+    });
+});
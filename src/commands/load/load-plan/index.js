@@ -0,0 +1,188 @@
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// Load auxiliar functions
+const { loadJSON } = require('../../../utils/auxiliar-functions');
+// Get the rules to name and select loadable files
+const {
+    nameAnalysis,
+    nameFile,
+    nameTrajectory,
+    getLoadableProjectFiles,
+    getLoadableMdFiles,
+    getTrajectoryFiles,
+    getReferenceInputDataFiles,
+} = require('../loadable-files');
+
+// Set the color used to display every possible load status
+const STATUS_COLORS = {
+    new: chalk.green,
+    conflicting: chalk.red,
+    skipped: chalk.grey,
+    overwritten: chalk.yellow,
+};
+
+// Find out what a load would do with every file, analysis, topology and reference without changing anything
+// Note that the project is null when a new project would be created
+// Return a plan object which may be then displayed with the printLoadPlan function
+const planLoad = async ({
+    project,
+    projectDirectory,
+    mdDirectories,
+    categorizedProjectFiles,
+    categorizedMdFiles,
+    conserve,
+    overwrite,
+    skipTrajectories,
+    skipFiles,
+    skipAnalyses,
+    policy,
+    getFrameSelection,
+    atomSelection,
+    codec,
+    fileSystem,
+}, database) => {
+    // Set the plan entries for project data and for every MD directory
+    const projectEntries = [];
+    const mdPlans = [];
+    // Set a function to add a new entry to the plan
+    const addEntry = (entries, category, name, source, status) => entries.push({ category, name, source, status });
+
+    // ---- References ----
+
+    const referenceInputDataFiles = getReferenceInputDataFiles(categorizedProjectFiles);
+    for await (const referenceName of Object.keys(database.REFERENCES)) {
+        const referenceInputDataFile = referenceInputDataFiles[referenceName];
+        if (!referenceInputDataFile) continue;
+        const referenceInputDataFilepath = projectDirectory + referenceInputDataFile;
+        const referenceInputData = await loadJSON(referenceInputDataFilepath, fileSystem);
+        if (!referenceInputData)
+            throw new Error(`There is something wrong with the references file ${referenceInputDataFilepath}`);
+        const idField = database.REFERENCES[referenceName].idField;
+        for await (const referenceData of referenceInputData) {
+            const policyAction = policy ? policy.getAction('references', referenceData[idField]) : null;
+            const status = await database.previewReferenceLoad(referenceName, referenceData, policyAction);
+            addEntry(projectEntries, `${referenceName} reference`, referenceData[idField], referenceInputDataFile, status);
+        }
+    }
+
+    // ---- Topology ----
+
+    const topologyDataFile = categorizedProjectFiles.topologyDataFile;
+    if (topologyDataFile) {
+        const topology = await loadJSON(projectDirectory + topologyDataFile, fileSystem);
+        if (!topology) throw new Error('There is something wrong with the topology data file');
+        let status = 'new';
+        if (project) {
+            topology.project = project.id;
+            status = await project.previewTopologyLoad(topology, conserve, overwrite);
+        }
+        addEntry(projectEntries, 'topology', 'topology', topologyDataFile, status);
+    }
+
+    // ---- Project analyses and files ----
+
+    if (!skipAnalyses) {
+        for (const file of categorizedProjectFiles.analysisFiles) {
+            const name = nameAnalysis(file);
+            const status = project ? await project.previewAnalysisLoad(name, undefined, conserve, overwrite) : 'new';
+            addEntry(projectEntries, 'analysis', name, file, status);
+        }
+    }
+    if (!skipFiles) {
+        for (const file of getLoadableProjectFiles(categorizedProjectFiles)) {
+            const databaseFilename = nameFile(file);
+            const status = project
+                ? await project.previewFileLoad(databaseFilename, undefined, conserve, overwrite, 'files', projectDirectory + file)
+                : 'new';
+            addEntry(projectEntries, 'file', databaseFilename, file, status);
+        }
+    }
+
+    // ---- MD directories ----
+
+    for (const mdir of mdDirectories) {
+        const mdPlan = { directory: mdir, name: null, mdIndex: null, isNew: false, skipped: false, entries: [] };
+        mdPlans.push(mdPlan);
+        const directoryFiles = categorizedMdFiles[mdir];
+        // Find out which MD this directory belongs to, just like the load does
+        const mdMetadataFile = directoryFiles.metadataFile;
+        if (mdMetadataFile) {
+            const mdMetadata = await loadJSON(mdir + '/' + mdMetadataFile, fileSystem);
+            if (!mdMetadata) throw new Error(`There is something wrong with the MD metadata file in ${mdir}`);
+            mdPlan.name = mdMetadata.name;
+            mdPlan.mdIndex = project ? project.findMDIndexByName(mdPlan.name) : null;
+            mdPlan.isNew = mdPlan.mdIndex === null;
+        }
+        else {
+            mdPlan.mdIndex = project ? project.findMDIndexByDirectory(mdir) : null;
+            // If the MD is new and there is no metadata the load would skip this directory
+            if (mdPlan.mdIndex === null) {
+                mdPlan.skipped = true;
+                continue;
+            }
+            mdPlan.name = project.data.mds[mdPlan.mdIndex].name;
+        }
+        // Set a function to preview MD file and analysis loads
+        // Note that everything is new in a new MD
+        // Identical files would be skipped so sources are passed to be compared
+        // Trajectories are compared along with the frames and atoms they would load and the codec they would be stored with
+        const previewFile = async (name, category, source, trajectoryOptions) => mdPlan.isNew ? 'new'
+            : await project.previewFileLoad(name, mdPlan.mdIndex, conserve, overwrite, category, mdir + '/' + source, trajectoryOptions);
+        const previewAnalysis = async name => mdPlan.isNew ? 'new'
+            : await project.previewAnalysisLoad(name, mdPlan.mdIndex, conserve, overwrite);
+        if (!skipTrajectories) {
+            for (const file of getTrajectoryFiles(directoryFiles)) {
+                const databaseFilename = nameTrajectory(file);
+                const trajectoryOptions = { frameSelection: getFrameSelection(mdir, file), atomSelection, codec };
+                addEntry(mdPlan.entries, 'trajectory', databaseFilename, file,
+                    await previewFile(databaseFilename, 'trajectories', file, trajectoryOptions));
+            }
+        }
+        if (!skipFiles) {
+            for (const file of getLoadableMdFiles(directoryFiles)) {
+                const databaseFilename = nameFile(file);
+                addEntry(mdPlan.entries, 'file', databaseFilename, file, await previewFile(databaseFilename, 'files', file));
+            }
+        }
+        if (!skipAnalyses) {
+            for (const file of directoryFiles.analysisFiles) {
+                const name = nameAnalysis(file);
+                addEntry(mdPlan.entries, 'analysis', name, file, await previewAnalysis(name));
+            }
+        }
+    }
+    return { project, projectEntries, mdPlans };
+};
+
+// Display a load plan in console
+const printLoadPlan = ({ project, projectEntries, mdPlans, referencesOnly }, accessionLabel) => {
+    // Count the number of entries with every status for the final summary
+    const counts = { new: 0, conflicting: 0, skipped: 0, overwritten: 0 };
+    const printEntry = ({ category, name, source, status }) => {
+        counts[status] += 1;
+        const sourceLabel = source && source !== name ? chalk.grey(` <- ${source}`) : '';
+        console.log(`  ${STATUS_COLORS[status](status.padEnd(11))} ${category} ${name}${sourceLabel}`);
+    };
+    console.log(chalk.cyan(`== Load plan (dry run): nothing has been written in the database`));
+    if (referencesOnly) console.log('There are only references to load so no project would be created');
+    else console.log(project
+        ? `Project ${project.accession} (${project.id}) already exists`
+        : `A new project would be created ${accessionLabel ? `with accession ${accessionLabel}` : 'with a new accession'}`);
+    projectEntries.forEach(printEntry);
+    for (const { directory, name, mdIndex, isNew, skipped, entries } of mdPlans) {
+        if (skipped) {
+            console.log(chalk.red(`== MD directory '${directory}' would be skipped: it has no metadata and matches no MD`));
+            continue;
+        }
+        const mdLabel = isNew ? `new MD '${name}'` : `MD '${name}' (MD index ${mdIndex})`;
+        console.log(chalk.cyan(`== MD directory '${directory}' as ${mdLabel}`));
+        entries.forEach(printEntry);
+    }
+    const summary = Object.entries(counts).map(([status, count]) => STATUS_COLORS[status](`${count} ${status}`));
+    console.log(`Summary: ${summary.join(', ')}`);
+};
+
+module.exports = {
+    planLoad,
+    printLoadPlan,
+}
@@ -0,0 +1,135 @@
+// File system
+const fs = require('fs');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+
+// Write a load report in a JSON file
+// Note that ObjectIds are written as strings
+const writeReport = (filepath, content) => {
+    try {
+        fs.writeFileSync(filepath, JSON.stringify(content, null, 4));
+        console.log(`Load report written in ${filepath}`);
+    }
+    catch (error) {
+        console.log(chalk.yellow(`WARNING: Failed to write the load report in ${filepath}: ${error.message}`));
+    }
+};
+
+// Set the load report class
+// The report is a machine-readable summary of everything done along a load
+// It may be written in a JSON file at the end of the load, even if the load fails
+class LoadReport {
+    constructor (projectDirectory, dryRun = false) {
+        this.startTime = Date.now();
+        this.data = {
+            success: null,
+            error: null,
+            projectDirectory: projectDirectory,
+            dryRun: dryRun,
+            accession: null,
+            projectId: null,
+            isNewProject: null,
+            startDate: new Date(this.startTime),
+            endDate: null,
+            // Total load time in milliseconds
+            duration: null,
+            // Files and analyses loaded, skipped or overwritten in the project
+            topology: null,
+            files: [],
+            analyses: [],
+            // Files and analyses loaded, skipped or overwritten in every MD
+            mds: [],
+            warnings: [],
+            // Time in milliseconds spent in every step
+            timings: {},
+        };
+    };
+
+    // Set the project which is being loaded
+    setProject = (project, isNewProject) => {
+        this.data.accession = project.accession;
+        this.data.projectId = project.id.toString();
+        this.data.isNewProject = isNewProject;
+    };
+
+    // Add a new MD to the report and return its report entry
+    addMd = (directory, name, mdIndex, isNew) => {
+        const md = { directory, name, mdIndex, isNew, files: [], analyses: [], duration: null };
+        this.data.mds.push(md);
+        return md;
+    };
+
+    // Get the report entry where files and analyses of a given MD are to be added
+    // If no MD index is passed then return the project report entry
+    _getTarget = mdIndex => {
+        if (mdIndex === undefined) return this.data;
+        const md = this.data.mds.find(md => md.mdIndex === mdIndex);
+        if (!md) throw new Error(`MD with index ${mdIndex} is not in the report`);
+        return md;
+    };
+
+    // Add a file to the report
+    // The file entry includes the name, source, status and, if loaded, the id, size, etc.
+    addFile = (mdIndex, file) => {
+        this._getTarget(mdIndex).files.push({ ...file, md: mdIndex });
+    };
+
+    // Add an analysis to the report
+    addAnalysis = (mdIndex, analysis) => {
+        this._getTarget(mdIndex).analyses.push({ ...analysis, md: mdIndex });
+    };
+
+    // Set the topology in the report
+    setTopology = topology => {
+        this.data.topology = topology;
+    };
+
+    // Set the validation results in the report
+    setValidation = (schemaVersion, issues) => {
+        this.data.validation = { schemaVersion, issues };
+    };
+
+    // Set the load plan in the report, for dry runs
+    setPlan = ({ projectEntries, mdPlans }) => {
+        this.data.plan = { projectEntries, mdPlans };
+    };
+
+    // Display a warning in console and add it to the report
+    warn = message => {
+        console.log(chalk.yellow(`WARNING: ${message}`));
+        this.data.warnings.push(message);
+    };
+
+    // Set the time spent in a step since a given start time
+    setTiming = (step, startTime) => {
+        this.data.timings[step] = Date.now() - startTime;
+    };
+
+    // Set the end of the load
+    _end = () => {
+        const endTime = Date.now();
+        this.data.endDate = new Date(endTime);
+        this.data.duration = endTime - this.startTime;
+    };
+
+    // Set the load as successful
+    succeed = () => {
+        this._end();
+        this.data.success = true;
+    };
+
+    // Set the load as failed
+    fail = error => {
+        this._end();
+        this.data.success = false;
+        this.data.error = error ? error.message : 'Unknown error';
+    };
+
+    // Write the report in a JSON file
+    write = filepath => writeReport(filepath, this.data);
+}
+
+module.exports = {
+    LoadReport,
+    writeReport
+}
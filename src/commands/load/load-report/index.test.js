@@ -0,0 +1,79 @@
+// Tests for the load report
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { LoadReport } = require('./index');
+
+describe('load report', () => {
+    const project = { accession: 'A0001', id: { toString: () => '0123456789abcdef01234567' } };
+    let directory;
+    beforeEach(() => {
+        directory = fs.mkdtempSync(join(os.tmpdir(), 'report-test-'));
+        // Hide the report warnings and messages
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('writes the project, MDs, files, analyses and timings of a successful load', () => {
+        const report = new LoadReport('/data/project');
+        report.setProject(project, true);
+        report.addFile(undefined, { name: 'topology.tpr', status: 'loaded', size: 10 });
+        report.addAnalysis(undefined, { name: 'interactions', status: 'skipped' });
+        const md = report.addMd('replica_1', 'Replica 1', 0, true);
+        report.addFile(0, { name: 'trajectory.bin', status: 'loaded', size: 100 });
+        report.addAnalysis(0, { name: 'rmsd', status: 'overwritten' });
+        report.setTiming('files', Date.now());
+        report.warn('Something unexpected');
+        report.succeed();
+        const filepath = join(directory, 'report.json');
+        report.write(filepath);
+        const written = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        expect(written).toMatchObject({
+            success: true,
+            error: null,
+            projectDirectory: '/data/project',
+            dryRun: false,
+            accession: 'A0001',
+            projectId: '0123456789abcdef01234567',
+            isNewProject: true,
+            files: [{ name: 'topology.tpr', status: 'loaded', size: 10 }],
+            analyses: [{ name: 'interactions', status: 'skipped' }],
+            mds: [{
+                directory: 'replica_1',
+                name: 'Replica 1',
+                mdIndex: 0,
+                isNew: true,
+                files: [{ name: 'trajectory.bin', status: 'loaded', size: 100, md: 0 }],
+                analyses: [{ name: 'rmsd', status: 'overwritten', md: 0 }],
+            }],
+            warnings: ['Something unexpected'],
+        });
+        expect(md.files).toHaveLength(1);
+        expect(written.timings.files).toBeGreaterThanOrEqual(0);
+        expect(written.duration).toBeGreaterThanOrEqual(0);
+        expect(new Date(written.endDate).getTime()).toBeGreaterThanOrEqual(new Date(written.startDate).getTime());
+    });
+
+    test('keeps the error message of a failed load', () => {
+        const report = new LoadReport('/data/project', true);
+        report.fail(new Error('Something went wrong'));
+        expect(report.data.success).toBe(false);
+        expect(report.data.error).toBe('Something went wrong');
+        expect(report.data.dryRun).toBe(true);
+        expect(report.data.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('refuses to add files to an MD which is not in the report', () => {
+        const report = new LoadReport('/data/project');
+        expect(() => report.addFile(3, { name: 'trajectory.bin' })).toThrow('MD with index 3 is not in the report');
+    });
+
+    test('warns instead of failing if the report can not be written', () => {
+        const report = new LoadReport('/data/project');
+        report.write(join(directory, 'missing', 'report.json'));
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Failed to write the load report'));
+    });
+});
@@ -0,0 +1,76 @@
+// Load auxiliar functions
+const { getBasename } = require('../../../utils/auxiliar-functions');
+
+// Given a analysis filename, get the name of the analysis from the filename itself
+const ANALYSIS_PATTERN = new RegExp('^mda.([A-Za-z0-9_-]*).json$');
+const nameAnalysis = filepath => {
+    // Get the filename in case the analysis is inside a subdirectory
+    const filename = getBasename(filepath);
+    // Mine the file name without header and without extension tail
+    const match = filename.match(ANALYSIS_PATTERN);
+    if (!match) throw new Error(`Filename ${filename} has not the expected analysis filename format`);
+    let name = match[1];
+    // Legacy fixes
+    if (name === 'rmsf') name = 'fluctuation';
+    name = name.replaceAll('_', '-');
+    // Return the final name
+    return name;
+};
+
+// Set the name of a file once loaded in the database
+// In case the filename starts with 'mdf.' set the database filename without the prefix
+const nameFile = filepath => {
+    const filename = getBasename(filepath);
+    if (filename.slice(0, 4) === 'mdf.') return filename.slice(4);
+    return filename;
+};
+
+// Set the name of a parsed trajectory file once loaded in the database
+// All trajectory formats are loaded as binary coordinates so the extension is always replaced by '.bin'
+// In case the filename starts with 'mdt.' set the database filename without the prefix
+const nameTrajectory = filepath => {
+    const filename = getBasename(filepath).replace(/\.[^.]+$/, '.bin');
+    if (filename.slice(0, 4) === 'mdt.') return filename.slice(4);
+    return filename;
+};
+
+// Set which project files are to be uploaded to the database
+// Discard undefined values from missing files
+const getLoadableProjectFiles = categorizedProjectFiles => [
+    categorizedProjectFiles.topologyFile,
+    ...categorizedProjectFiles.itpFiles,
+    categorizedProjectFiles.populationsDataFile,
+    ...categorizedProjectFiles.uploadableFiles
+].filter(file => file && file.length !== 0);
+
+// Set which MD files are to be uploaded to the database
+const getLoadableMdFiles = directoryFiles => [
+    directoryFiles.topologyFile,
+    directoryFiles.structureFile,
+    directoryFiles.mainTrajectory,
+    ...directoryFiles.uploadableFiles,
+].filter(file => file && file.length !== 0);
+
+// Set which MD trajectory files are to be loaded to the database in a parsed way
+const getTrajectoryFiles = directoryFiles => [
+    directoryFiles.mainTrajectory,
+    ...directoryFiles.uploadableTrajectories
+].filter(file => file && file.length !== 0);
+
+// Set the input files to be read for every different reference type
+const getReferenceInputDataFiles = categorizedProjectFiles => ({
+    proteins: categorizedProjectFiles.proteinReferencesDataFile,
+    inchikeys: categorizedProjectFiles.inchikeyReferencesDataFile,
+    pdbs: categorizedProjectFiles.pdbReferencesDataFile,
+    chains: categorizedProjectFiles.chainReferencesDataFile
+});
+
+module.exports = {
+    nameAnalysis,
+    nameFile,
+    nameTrajectory,
+    getLoadableProjectFiles,
+    getLoadableMdFiles,
+    getTrajectoryFiles,
+    getReferenceInputDataFiles,
+}
@@ -0,0 +1,827 @@
+// Files system from node
+const fs = require('fs');
+// Compression tools from node
+const zlib = require('zlib');
+// Stream tools from node
+const { Writable, PassThrough } = require('stream');
+// Operating system tools from node, used to find the temporal directory
+const os = require('os');
+// Load tools to handle paths
+const { normalize, resolve, basename, dirname, join } = require('path');
+// Hash tools, used to know the checksums of compressed files with no need to decompress them again
+const { createChecksum } = require('../../../utils/checksum');
+
+// Set the supported archive formats according to their extensions
+const ARCHIVE_FORMATS = [
+    { format: 'tar.gz', pattern: /\.(tar\.gz|tgz)$/i },
+    { format: 'tar', pattern: /\.tar$/i },
+    { format: 'zip', pattern: /\.zip$/i },
+];
+
+// Files which are read while indexing the archive
+// These are files which the loader reads entirely anyway (metadata, topology, analyses, references, etc.)
+const MEMORY_FILE_PATTERN = /\.(json|ya?ml)$/i;
+// Files bigger than this are written to a temporal directory instead of being kept in memory
+// Some analyses (e.g. mda.*.json) may take tens of megabytes
+const MEMORY_FILE_SIZE_LIMIT = 1024 * 1024; // 1 MiB
+
+// Keep the temporal directories with files from compressed archives
+// They are removed when archives are closed or, if they are not, at the end of the process
+const temporalDirectories = new Set();
+const removeTemporalDirectory = directory => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    temporalDirectories.delete(directory);
+};
+process.once('exit', () => temporalDirectories.forEach(removeTemporalDirectory));
+
+// Tar archives are made of 512 bytes blocks
+const TAR_BLOCK_SIZE = 512;
+
+// Get the archive format from a path, or null if it is not an archive
+const getArchiveFormat = path => {
+    const archiveFormat = ARCHIVE_FORMATS.find(({ pattern }) => pattern.test(path));
+    return archiveFormat ? archiveFormat.format : null;
+};
+
+// Check if a path is a supported archive file
+const isArchive = path => getArchiveFormat(path) !== null && fs.existsSync(path) && fs.statSync(path).isFile();
+
+// Read a number of bytes from a file at a given position
+const readBytes = (filepath, position, length) => {
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(filepath, 'r');
+    try {
+        let bytesRead = 0;
+        while (bytesRead < length) {
+            const count = fs.readSync(fd, buffer, bytesRead, length - bytesRead, position + bytesRead);
+            if (count === 0) throw new Error(`Unexpected end of file in ${filepath}`);
+            bytesRead += count;
+        }
+    }
+    finally {
+        fs.closeSync(fd);
+    }
+    return buffer;
+};
+
+// ---- Tar ----
+
+// Read a string field from a tar header
+const readTarString = (block, start, length) => {
+    const field = block.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf8');
+};
+
+// Read a number field from a tar header
+// Numbers are usually octal strings, but big sizes may be stored in base-256 with the first bit set
+const readTarNumber = (block, start, length) => {
+    const field = block.subarray(start, start + length);
+    if (field[0] & 0x80) {
+        let value = field[0] & 0x7f;
+        for (let i = 1; i < length; i++) value = value * 256 + field[i];
+        return value;
+    }
+    const text = readTarString(block, start, length).trim();
+    return text ? parseInt(text, 8) : 0;
+};
+
+// Parse a tar header block
+// Return null if this is an empty block, which marks the end of the archive
+const parseTarHeader = block => {
+    if (block.every(byte => byte === 0)) return null;
+    let name = readTarString(block, 0, 100);
+    // Ustar archives may have a prefix for long names
+    const magic = readTarString(block, 257, 6);
+    if (magic.startsWith('ustar')) {
+        const prefix = readTarString(block, 345, 155);
+        if (prefix) name = prefix + '/' + name;
+    }
+    const size = readTarNumber(block, 124, 12);
+    const typeflag = String.fromCharCode(block[156]);
+    return { name, size, typeflag };
+};
+
+// Parse the records of a pax extended header
+// Records look like '<length> <key>=<value>\n'
+const parsePaxHeader = buffer => {
+    const fields = {};
+    let position = 0;
+    while (position < buffer.length) {
+        const space = buffer.indexOf(0x20, position);
+        if (space === -1) break;
+        const length = parseInt(buffer.subarray(position, space).toString('utf8'), 10);
+        if (!length) break;
+        const record = buffer.subarray(space + 1, position + length - 1).toString('utf8');
+        const equal = record.indexOf('=');
+        if (equal !== -1) fields[record.slice(0, equal)] = record.slice(equal + 1);
+        position += length;
+    }
+    return fields;
+};
+
+// Get the number of padding bytes after an entry body of a given size
+const getTarPadding = size => (TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+
+// Set a function to process tar headers one after another
+// GNU long names and pax headers modify the next entry, so they must be remembered
+// Return the entry once all its headers have been processed, or null if the header is a modifier
+const createTarHeaderHandler = () => {
+    let overrides = {};
+    return (header, body) => {
+        // GNU long name
+        if (header.typeflag === 'L') {
+            overrides.name = body.toString('utf8').replace(/\0+$/, '');
+            return null;
+        }
+        // Pax extended header
+        if (header.typeflag === 'x') {
+            const fields = parsePaxHeader(body);
+            if (fields.path) overrides.name = fields.path;
+            if (fields.size) overrides.size = Number(fields.size);
+            return null;
+        }
+        // Global pax headers are not relevant here
+        if (header.typeflag === 'g') return null;
+        const entry = { ...header, ...overrides };
+        overrides = {};
+        return entry;
+    };
+};
+
+// Check if a tar header needs its body to be read (i.e. it modifies the next entry)
+const isTarModifier = header => ['L', 'x', 'g'].includes(header.typeflag);
+
+// Get the entry type from the tar typeflag
+// Anything which is not a regular file or a directory (e.g. links) is ignored
+const getTarEntryType = typeflag => {
+    if (typeflag === '0' || typeflag === '\0' || typeflag === '7') return 'file';
+    if (typeflag === '5') return 'directory';
+    return null;
+};
+
+// Index an uncompressed tar archive by jumping from header to header
+// Entry bodies are not read, so indexing is fast even for huge trajectories
+const indexTar = filepath => {
+    const entries = [];
+    const archiveSize = fs.statSync(filepath).size;
+    const handleHeader = createTarHeaderHandler();
+    let position = 0;
+    while (position + TAR_BLOCK_SIZE <= archiveSize) {
+        const header = parseTarHeader(readBytes(filepath, position, TAR_BLOCK_SIZE));
+        if (!header) break;
+        const bodyPosition = position + TAR_BLOCK_SIZE;
+        const body = isTarModifier(header) ? readBytes(filepath, bodyPosition, header.size) : null;
+        const entry = handleHeader(header, body);
+        // Note that pax headers may override the size, which is then the actual size of the body
+        const bodySize = entry ? entry.size : header.size;
+        if (entry) entries.push({ name: entry.name, type: getTarEntryType(entry.typeflag),
+            size: entry.size, offset: bodyPosition });
+        position = bodyPosition + bodySize + getTarPadding(bodySize);
+    }
+    return entries;
+};
+
+// Set a writable stream which parses a tar archive
+// Every entry is passed to the 'onEntry' function, which may return a sink to receive the entry body
+// A sink is an object with an async 'write' function and an 'end' function
+// Backpressure is respected since the next chunk is not parsed until the sink has written the previous one
+class TarParser extends Writable {
+    constructor (onEntry) {
+        super();
+        this.onEntry = onEntry;
+        this.handleHeader = createTarHeaderHandler();
+        // Bytes of the current header, or of the current modifier body
+        this.pending = [];
+        this.pendingLength = 0;
+        // Current state: 'header', 'body', 'modifier' or 'padding'
+        this.state = 'header';
+        this.header = null;
+        this.bodySize = 0;
+        this.sink = null;
+        this.remaining = 0;
+        this.finished = false;
+    };
+
+    _write (chunk, encoding, callback) {
+        this._parse(chunk).then(() => callback(), callback);
+    };
+
+    // Take bytes from the pending buffer until a given length is reached
+    // Return the whole buffer once it is complete, or null otherwise
+    _collect = (chunk, offset, length) => {
+        const taken = Math.min(length - this.pendingLength, chunk.length - offset);
+        this.pending.push(chunk.subarray(offset, offset + taken));
+        this.pendingLength += taken;
+        if (this.pendingLength < length) return [null, taken];
+        const buffer = Buffer.concat(this.pending);
+        this.pending = [];
+        this.pendingLength = 0;
+        return [buffer, taken];
+    };
+
+    // Set what comes after an entry body
+    _endBody = () => {
+        if (this.sink) this.sink.end();
+        this.sink = null;
+        this.remaining = getTarPadding(this.bodySize);
+        this.state = this.remaining > 0 ? 'padding' : 'header';
+    };
+
+    _parse = async chunk => {
+        let offset = 0;
+        while (offset < chunk.length && !this.finished) {
+            if (this.state === 'header') {
+                const [block, taken] = this._collect(chunk, offset, TAR_BLOCK_SIZE);
+                offset += taken;
+                if (!block) continue;
+                const header = parseTarHeader(block);
+                // An empty block marks the end of the archive
+                if (!header) {
+                    this.finished = true;
+                    continue;
+                }
+                this.header = header;
+                if (isTarModifier(header)) {
+                    this.state = 'modifier';
+                    if (header.size === 0) this._handleModifier(Buffer.alloc(0));
+                    continue;
+                }
+                const entry = this.handleHeader(header, null);
+                const type = getTarEntryType(entry.typeflag);
+                this.sink = type ? await this.onEntry({ name: entry.name, type, size: entry.size }) : null;
+                // Note that pax headers may override the size, which is then the actual size of the body
+                this.bodySize = entry.size;
+                this.remaining = entry.size;
+                this.state = 'body';
+                if (this.remaining === 0) this._endBody();
+            }
+            else if (this.state === 'modifier') {
+                const [body, taken] = this._collect(chunk, offset, this.header.size);
+                offset += taken;
+                if (body) this._handleModifier(body);
+            }
+            else if (this.state === 'body') {
+                const taken = Math.min(this.remaining, chunk.length - offset);
+                if (this.sink) await this.sink.write(chunk.subarray(offset, offset + taken));
+                offset += taken;
+                this.remaining -= taken;
+                if (this.remaining === 0) this._endBody();
+            }
+            else if (this.state === 'padding') {
+                const taken = Math.min(this.remaining, chunk.length - offset);
+                offset += taken;
+                this.remaining -= taken;
+                if (this.remaining === 0) this.state = 'header';
+            }
+        }
+    };
+
+    // Process the body of a modifier header
+    _handleModifier = body => {
+        this.handleHeader(this.header, body);
+        this.remaining = getTarPadding(this.header.size);
+        this.state = this.remaining > 0 ? 'padding' : 'header';
+    };
+}
+
+// Stream a compressed tar archive through a tar parser
+// The 'onEntry' function works as in the tar parser
+// Return a function to stop reading the archive
+const parseCompressedTar = (filepath, onEntry, onError, onFinish) => {
+    const readStream = fs.createReadStream(filepath, { highWaterMark: 4 * 1024 * 1024 });
+    const gunzip = zlib.createGunzip();
+    const parser = new TarParser(onEntry);
+    const stop = () => {
+        parser.finished = true;
+        readStream.destroy();
+        gunzip.destroy();
+        parser.destroy();
+    };
+    readStream.on('error', onError);
+    gunzip.on('error', onError);
+    parser.on('error', onError);
+    if (onFinish) parser.on('finish', onFinish);
+    readStream.pipe(gunzip).pipe(parser);
+    return stop;
+};
+
+// Index a compressed tar archive
+// Since a compressed archive can not be accessed randomly, files which are read entirely are taken at this point
+// Small files are kept in memory while big files are written to a temporal directory
+// Every file is hashed as well, so its checksum is known with no need to decompress the archive again
+// Return the entries and the temporal directory, if any
+const indexCompressedTar = filepath => new Promise((resolve, reject) => {
+    const entries = [];
+    let temporalDirectory = null;
+    // Wait for all temporal files to be written before the index is complete
+    const writtenFiles = [];
+    const fail = error => {
+        stop();
+        if (temporalDirectory) removeTemporalDirectory(temporalDirectory);
+        reject(error);
+    };
+    // Set a sink to write a file in the temporal directory
+    const createFileSink = indexedEntry => {
+        if (!temporalDirectory) {
+            temporalDirectory = fs.mkdtempSync(join(os.tmpdir(), 'mddb-loader-'));
+            temporalDirectories.add(temporalDirectory);
+        }
+        indexedEntry.temporalFilepath = join(temporalDirectory, String(writtenFiles.length));
+        const writeStream = fs.createWriteStream(indexedEntry.temporalFilepath);
+        writtenFiles.push(new Promise(done => writeStream.on('finish', done)));
+        writeStream.on('error', fail);
+        return {
+            // Wait for the disk before parsing further, so the whole file is never in memory
+            write: chunk => new Promise(next => {
+                if (writeStream.write(chunk)) next();
+                else writeStream.once('drain', next);
+            }),
+            end: () => writeStream.end(),
+        };
+    };
+    // Set a sink to keep a file in memory
+    const createMemorySink = indexedEntry => {
+        const chunks = [];
+        return {
+            write: async chunk => { chunks.push(Buffer.from(chunk)) },
+            end: () => { indexedEntry.content = Buffer.concat(chunks) },
+        };
+    };
+    const onEntry = entry => {
+        // Keep the position of the entry, so it can be found again when the archive is decompressed
+        const indexedEntry = { name: entry.name, type: entry.type, size: entry.size, position: entries.length };
+        entries.push(indexedEntry);
+        if (entry.type !== 'file') return null;
+        const hash = createChecksum();
+        let sink = null;
+        if (MEMORY_FILE_PATTERN.test(entry.name)) sink = entry.size > MEMORY_FILE_SIZE_LIMIT
+            ? createFileSink(indexedEntry)
+            : createMemorySink(indexedEntry);
+        return {
+            write: async chunk => {
+                hash.update(chunk);
+                if (sink) await sink.write(chunk);
+            },
+            end: () => {
+                indexedEntry.sha256 = hash.digest('hex');
+                if (sink) sink.end();
+            },
+        };
+    };
+    const onFinish = () => Promise.all(writtenFiles).then(() => resolve({ entries, temporalDirectory }));
+    const stop = parseCompressedTar(filepath, onEntry, fail, onFinish);
+});
+
+// Read files from a compressed tar archive without extracting them
+// A compressed archive can not be accessed randomly, so reading a file means decompressing the archive up to it
+// Decompressing the archive from the begining for every file would take longer and longer as files are further in it
+// Instead, a single decompression goes on from one file to the next as long as files are requested in archive order
+// Files are read one at a time, so reads from the same archive wait for each other even if they are requested in parallel
+// The archive is only decompressed again from the begining when a file behind the current position is requested
+class CompressedTarReader {
+    constructor (filepath) {
+        this.filepath = filepath;
+        // Reads waiting for their turn
+        this.queue = [];
+        // Read in progress, if any
+        this.current = null;
+        // Decompression in progress, if any
+        this.pass = null;
+    };
+
+    // Stream a file given its indexed entry, which has its position in the archive
+    read = (entry, highWaterMark) => {
+        const output = new PassThrough({ highWaterMark });
+        const request = { entry, output, done: false };
+        // If the consumer destroys the stream before its end then the rest of the file is skipped
+        output.once('close', () => this._finish(request));
+        this.queue.push(request);
+        // Wait for reads requested at the same time, so they are all read in archive order
+        process.nextTick(this._next);
+        return output;
+    };
+
+    // Set a read as finished and go for the next one
+    _finish = request => {
+        if (request.done) return;
+        request.done = true;
+        const index = this.queue.indexOf(request);
+        if (index !== -1) this.queue.splice(index, 1);
+        if (this.current !== request) return;
+        this.current = null;
+        this._next();
+    };
+
+    // Start the next read, if any
+    // Files which are further in the archive than the current decompression are read first, in archive order
+    _next = () => {
+        if (this.current || this.queue.length === 0) return;
+        const pass = this.pass;
+        const ahead = pass ? this.queue.filter(request => request.entry.position >= pass.position) : [];
+        const candidates = ahead.length > 0 ? ahead : this.queue;
+        const request = candidates.reduce((first, other) => other.entry.position < first.entry.position ? other : first);
+        this.queue.splice(this.queue.indexOf(request), 1);
+        this.current = request;
+        // Go on with the current decompression if the file is further in the archive
+        if (ahead.length > 0) {
+            if (pass.resume) pass.resume();
+            return;
+        }
+        // Otherwise decompress the archive again from the begining
+        this._start();
+    };
+
+    // Start a new decompression of the archive
+    _start = () => {
+        if (this.pass) this.pass.stop();
+        // The position is the one of the next entry to be parsed
+        const pass = { position: 0, resume: null };
+        this.pass = pass;
+        const onEntry = async () => {
+            // Wait for the next read before parsing further
+            if (!this.current) await new Promise(resume => { pass.resume = resume });
+            pass.resume = null;
+            const position = pass.position++;
+            const request = this.current;
+            if (request.entry.position !== position) return null;
+            const output = request.output;
+            return {
+                // Wait for the consumer before parsing further, so the whole file is never in memory
+                write: chunk => new Promise(next => {
+                    if (request.done || output.destroyed || output.write(chunk)) return next();
+                    const resume = () => {
+                        output.off('drain', resume);
+                        output.off('close', resume);
+                        next();
+                    };
+                    output.on('drain', resume);
+                    output.on('close', resume);
+                }),
+                end: () => {
+                    if (request.done) return;
+                    output.end();
+                    this._finish(request);
+                },
+            };
+        };
+        // Errors are passed to the current read only, since other files may still be readable
+        const onError = error => {
+            if (this.pass !== pass) return;
+            pass.stop();
+            this.pass = null;
+            if (this.current) this.current.output.destroy(error);
+        };
+        const onFinish = () => {
+            if (this.pass !== pass) return;
+            this.pass = null;
+            if (this.current) this.current.output.destroy(
+                new Error(`Entry ${this.current.entry.name} was not found in ${this.filepath}`));
+        };
+        pass.stop = parseCompressedTar(this.filepath, onEntry, onError, onFinish);
+    };
+
+    // Stop the decompression, if any, and fail the reads which are not finished
+    close = () => {
+        if (this.pass) this.pass.stop();
+        this.pass = null;
+        const requests = this.current ? [this.current, ...this.queue] : this.queue;
+        this.current = null;
+        this.queue = [];
+        requests.forEach(request => request.output.destroy(new Error(`Archive ${this.filepath} was closed`)));
+    };
+}
+
+// ---- Zip ----
+
+// Set the zip signatures
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR = 0x07064b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+// Values which mean the actual value is in the zip64 fields
+const ZIP64_MARK_16 = 0xffff;
+const ZIP64_MARK_32 = 0xffffffff;
+// Set the supported compression methods
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Read a zip64 value as a regular number
+// Note that numbers are safe up to 8 PB, which is more than enough
+const readUInt64 = (buffer, position) => Number(buffer.readBigUInt64LE(position));
+
+// Index a zip archive by reading its central directory
+const indexZip = filepath => {
+    const archiveSize = fs.statSync(filepath).size;
+    // The end of central directory record is at the end of the file, followed by an optional comment
+    const tailLength = Math.min(archiveSize, 22 + ZIP64_MARK_16);
+    const tailPosition = archiveSize - tailLength;
+    const tail = readBytes(filepath, tailPosition, tailLength);
+    let endPosition = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            endPosition = i;
+            break;
+        }
+    }
+    if (endPosition === -1) throw new Error(`${filepath} is not a valid zip archive`);
+    let entryCount = tail.readUInt16LE(endPosition + 10);
+    let directoryPosition = tail.readUInt32LE(endPosition + 16);
+    // Big archives store the central directory location in the zip64 record
+    if (entryCount === ZIP64_MARK_16 || directoryPosition === ZIP64_MARK_32) {
+        const locatorPosition = endPosition - 20;
+        if (locatorPosition < 0 || tail.readUInt32LE(locatorPosition) !== ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR)
+            throw new Error(`${filepath} is a zip64 archive but its locator is missing`);
+        const zip64EndPosition = readUInt64(tail, locatorPosition + 8);
+        const zip64End = readBytes(filepath, zip64EndPosition, 56);
+        if (zip64End.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY)
+            throw new Error(`${filepath} has a wrong zip64 end of central directory`);
+        entryCount = readUInt64(zip64End, 32);
+        directoryPosition = readUInt64(zip64End, 48);
+    }
+    // Read the whole central directory at once
+    const directory = readBytes(filepath, directoryPosition, archiveSize - directoryPosition);
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (directory.readUInt32LE(position) !== ZIP_CENTRAL_DIRECTORY_HEADER)
+            throw new Error(`${filepath} has a wrong central directory`);
+        const flags = directory.readUInt16LE(position + 8);
+        const method = directory.readUInt16LE(position + 10);
+        let compressedSize = directory.readUInt32LE(position + 20);
+        let size = directory.readUInt32LE(position + 24);
+        const nameLength = directory.readUInt16LE(position + 28);
+        const extraLength = directory.readUInt16LE(position + 30);
+        const commentLength = directory.readUInt16LE(position + 32);
+        let headerPosition = directory.readUInt32LE(position + 42);
+        const namePosition = position + 46;
+        const name = directory.subarray(namePosition, namePosition + nameLength).toString('utf8');
+        // Zip64 values are in the extra field, only for those values which are marked
+        let extraPosition = namePosition + nameLength;
+        const extraEnd = extraPosition + extraLength;
+        while (extraPosition + 4 <= extraEnd) {
+            const extraId = directory.readUInt16LE(extraPosition);
+            const extraSize = directory.readUInt16LE(extraPosition + 2);
+            if (extraId === 0x0001) {
+                let fieldPosition = extraPosition + 4;
+                if (size === ZIP64_MARK_32) { size = readUInt64(directory, fieldPosition); fieldPosition += 8 }
+                if (compressedSize === ZIP64_MARK_32) { compressedSize = readUInt64(directory, fieldPosition); fieldPosition += 8 }
+                if (headerPosition === ZIP64_MARK_32) { headerPosition = readUInt64(directory, fieldPosition) }
+            }
+            extraPosition += 4 + extraSize;
+        }
+        position = extraEnd + commentLength;
+        const isDirectory = name.endsWith('/');
+        // Encrypted entries are not supported
+        if (!isDirectory && flags & 0x1) throw new Error(`Entry ${name} in ${filepath} is encrypted`);
+        if (!isDirectory && method !== ZIP_STORED && method !== ZIP_DEFLATED)
+            throw new Error(`Entry ${name} in ${filepath} uses a non supported compression method (${method})`);
+        entries.push({ name, type: isDirectory ? 'directory' : 'file', size, compressedSize, method, headerPosition });
+    }
+    return entries;
+};
+
+// Get the position of the data of a zip entry
+// The local header has its own name and extra field lengths, which may differ from the central directory ones
+const getZipDataPosition = (filepath, entry) => {
+    if (entry.offset !== undefined) return entry.offset;
+    const header = readBytes(filepath, entry.headerPosition, 30);
+    if (header.readUInt32LE(0) !== ZIP_LOCAL_FILE_HEADER)
+        throw new Error(`Entry ${entry.name} in ${filepath} has a wrong local header`);
+    entry.offset = entry.headerPosition + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    return entry.offset;
+};
+
+// ---- Archive file system ----
+
+// Convert a path with wildcards (* and ?) into a regular expression
+// Note that wildcards never match the directory separator, nor a leading dot in hidden files, as in glob
+const wildcardToRegExp = pattern => {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    const wildcards = escaped.replace(/(^|\/)?([*?])/g, (match, separator, wildcard) => {
+        const any = wildcard === '*' ? '[^/]*' : '[^/]';
+        return separator === undefined ? any : separator + '(?!\\.)' + any;
+    });
+    return new RegExp('^' + wildcards + '$');
+};
+
+// Set an error similar to the ones thrown by the node file system
+const notFoundError = path => {
+    const error = new Error(`ENOENT: no such file or directory in archive, '${path}'`);
+    error.code = 'ENOENT';
+    return error;
+};
+
+// Set the project archive class
+// It mimics the subset of the node file system used by the loader, so an archive may be used as a project directory
+// Paths inside the archive are set as if the archive was a directory (e.g. /path/to/project.tar.gz/replica_1/metadata.json)
+// Small files are read in memory while big files are streamed directly from the archive
+// Archives must be closed once they are not needed anymore, since they may have temporal files
+class ProjectArchive {
+    constructor (filepath, format, entries, temporalDirectory = null) {
+        this.filepath = filepath;
+        this.format = format;
+        // Big files from compressed tar archives are kept in this directory
+        this.temporalDirectory = temporalDirectory;
+        // Other files from compressed tar archives are streamed by a single reader
+        this.compressedTarReader = format === 'tar.gz' ? new CompressedTarReader(filepath) : null;
+        // The root is used as the project directory
+        this.root = filepath + '/';
+        // Index entries by their relative path
+        this.entries = new Map();
+        this.entries.set('', { name: '', type: 'directory' });
+        for (const entry of entries) {
+            if (!entry.type) continue;
+            const path = normalize(entry.name).replace(/^(\.\/)+/, '').replace(/\/$/, '');
+            if (!path || path === '.' || path.startsWith('..')) continue;
+            this.entries.set(path, { ...entry, path });
+        }
+        // Make sure parent directories are indexed even if they have no entry in the archive
+        for (const path of [...this.entries.keys()]) {
+            const steps = path.split('/');
+            for (let i = 1; i < steps.length; i++) {
+                const parent = steps.slice(0, i).join('/');
+                if (!this.entries.has(parent)) this.entries.set(parent, { name: parent, type: 'directory', path: parent });
+            }
+        }
+        // Archives usually have all their content inside a single directory
+        // If so then this directory is the actual project directory
+        this.prefix = '';
+        const topLevel = this.readdirSync(this.root);
+        if (topLevel.length === 1 && this.entries.get(topLevel[0]).type === 'directory') this.prefix = topLevel[0] + '/';
+    };
+
+    // Get the archive entry corresponding to a path
+    _getEntry = path => {
+        const absolutePath = normalize(path).replace(/\/$/, '');
+        const root = normalize(this.filepath);
+        if (absolutePath !== root && !absolutePath.startsWith(root + '/')) return null;
+        const relativePath = (this.prefix + absolutePath.slice(root.length + 1)).replace(/\/$/, '');
+        return this.entries.get(relativePath) || null;
+    };
+
+    // Get an existing archive entry or throw an error
+    _getExistingEntry = path => {
+        const entry = this._getEntry(path);
+        if (!entry) throw notFoundError(path);
+        return entry;
+    };
+
+    existsSync = path => this._getEntry(path) !== null;
+
+    statSync = path => {
+        const entry = this._getExistingEntry(path);
+        return {
+            size: entry.size || 0,
+            isFile: () => entry.type === 'file',
+            isDirectory: () => entry.type === 'directory',
+        };
+    };
+
+    // There are no links in the archive file system
+    lstatSync = path => this.statSync(path);
+
+    readdirSync = path => {
+        const entry = this._getExistingEntry(path);
+        if (entry.type !== 'directory') throw new Error(`ENOTDIR: not a directory in archive, '${path}'`);
+        const parent = entry.path ? entry.path + '/' : '';
+        const children = [];
+        for (const childPath of this.entries.keys()) {
+            if (!childPath || !childPath.startsWith(parent)) continue;
+            const name = childPath.slice(parent.length);
+            if (!name.includes('/')) children.push(name);
+        }
+        return children.sort();
+    };
+
+    // Read a whole file synchronously
+    // Files from compressed tar archives must have been read while indexing
+    readFileSync = (path, options) => {
+        const entry = this._getExistingEntry(path);
+        if (entry.type !== 'file') throw new Error(`EISDIR: illegal operation on a directory in archive, '${path}'`);
+        let content = entry.content;
+        if (!content && entry.temporalFilepath) content = fs.readFileSync(entry.temporalFilepath);
+        if (!content) {
+            if (this.format === 'tar.gz')
+                throw new Error(`File ${path} can not be read directly from a compressed tar archive`);
+            if (this.format === 'tar') content = readBytes(this.filepath, entry.offset, entry.size);
+            if (this.format === 'zip') {
+                const dataPosition = getZipDataPosition(this.filepath, entry);
+                const compressed = readBytes(this.filepath, dataPosition, entry.compressedSize);
+                content = entry.method === ZIP_DEFLATED ? zlib.inflateRawSync(compressed) : compressed;
+            }
+        }
+        const encoding = typeof options === 'string' ? options : options && options.encoding;
+        return encoding ? content.toString(encoding) : content;
+    };
+
+    // Stream a file from the archive without extracting it
+    createReadStream = (path, options = {}) => {
+        const entry = this._getExistingEntry(path);
+        if (entry.type !== 'file') throw new Error(`EISDIR: illegal operation on a directory in archive, '${path}'`);
+        const { highWaterMark } = options;
+        // If the file is already in memory then stream it from there
+        if (entry.content) {
+            const output = new PassThrough({ highWaterMark });
+            output.end(entry.content);
+            return output;
+        }
+        // If the file is in the temporal directory then stream it from there
+        if (entry.temporalFilepath) return fs.createReadStream(entry.temporalFilepath, { highWaterMark });
+        // Empty files have no data in the archive
+        if (entry.size === 0) {
+            const output = new PassThrough();
+            output.end();
+            return output;
+        }
+        if (this.format === 'tar') return fs.createReadStream(this.filepath,
+            { highWaterMark, start: entry.offset, end: entry.offset + entry.size - 1 });
+        if (this.format === 'tar.gz') return this.compressedTarReader.read(entry, highWaterMark);
+        if (this.format === 'zip') {
+            const dataPosition = getZipDataPosition(this.filepath, entry);
+            const readStream = fs.createReadStream(this.filepath,
+                { highWaterMark, start: dataPosition, end: dataPosition + entry.compressedSize - 1 });
+            if (entry.method === ZIP_STORED) return readStream;
+            const inflate = zlib.createInflateRaw({ chunkSize: highWaterMark });
+            readStream.on('error', error => inflate.destroy(error));
+            return readStream.pipe(inflate);
+        }
+    };
+
+    // Get the checksum and the size of a file if they are already known, or null otherwise
+    // Files from compressed tar archives are hashed while indexing, so they do not need to be decompressed again
+    getFileChecksum = path => {
+        const entry = this._getExistingEntry(path);
+        return entry.sha256 ? { sha256: entry.sha256, size: entry.size } : null;
+    };
+
+    // Find the paths matching a path with wildcards
+    globSync = pattern => {
+        const regexp = wildcardToRegExp(normalize(pattern).replace(/\/$/, ''));
+        const matches = [];
+        const root = normalize(this.filepath);
+        for (const entry of this.entries.values()) {
+            if (!entry.path || !entry.path.startsWith(this.prefix)) continue;
+            const path = root + '/' + entry.path.slice(this.prefix.length);
+            if (regexp.test(path)) matches.push(path);
+        }
+        return matches.sort();
+    };
+
+    // Extract a file from the archive to a temporal directory
+    // This is required by external tools which need an actual file (e.g. Gromacs)
+    // Return the path to the staged file
+    // The staged file must be removed with the 'unstageFile' function once it is not needed anymore
+    stageFile = async path => {
+        const stagingDirectory = fs.mkdtempSync(join(os.tmpdir(), 'mddb-loader-'));
+        // Keep the filename since its extension may be required to know the file format
+        const stagedFilepath = join(stagingDirectory, basename(path));
+        try {
+            await new Promise((resolve, reject) => {
+                const readStream = this.createReadStream(path, { highWaterMark: 4 * 1024 * 1024 });
+                const writeStream = fs.createWriteStream(stagedFilepath);
+                readStream.on('error', reject);
+                writeStream.on('error', reject);
+                writeStream.on('finish', resolve);
+                readStream.pipe(writeStream);
+            });
+        }
+        catch (error) {
+            this.unstageFile(stagedFilepath);
+            throw error;
+        }
+        return stagedFilepath;
+    };
+
+    // Remove a staged file and its temporal directory
+    unstageFile = stagedFilepath => {
+        fs.rmSync(dirname(stagedFilepath), { recursive: true, force: true });
+    };
+
+    // Stop reading the archive and remove its temporal files, if any
+    close = () => {
+        if (this.compressedTarReader) this.compressedTarReader.close();
+        if (this.temporalDirectory) removeTemporalDirectory(this.temporalDirectory);
+        this.temporalDirectory = null;
+    };
+}
+
+// Open an archive and index its entries
+const openArchive = async path => {
+    const filepath = resolve(path);
+    const format = getArchiveFormat(filepath);
+    if (!format) throw new Error(`${path} is not a supported archive. Supported formats are .tar, .tar.gz, .tgz and .zip`);
+    if (!fs.existsSync(filepath)) throw new Error(`Archive ${path} does not exist`);
+    let entries;
+    let temporalDirectory = null;
+    if (format === 'tar') entries = indexTar(filepath);
+    if (format === 'tar.gz') ({ entries, temporalDirectory } = await indexCompressedTar(filepath));
+    if (format === 'zip') entries = indexZip(filepath);
+    return new ProjectArchive(filepath, format, entries, temporalDirectory);
+};
+
+module.exports = {
+    isArchive,
+    openArchive,
+}
@@ -0,0 +1,155 @@
+// Tests for loading projects directly from archives
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { join } = require('path');
+const { isArchive, openArchive } = require('./index');
+const { createChecksum, getFileChecksum } = require('../../../utils/checksum');
+
+// Build a tar header block for a file
+const tarHeader = (name, size) => {
+    const block = Buffer.alloc(512);
+    block.write(name, 0, 100);
+    block.write('0000644\0', 100);
+    block.write(size.toString(8).padStart(11, '0') + '\0', 124);
+    block.write('0', 156);
+    block.write('ustar\0', 257);
+    block.write('00', 263);
+    // The checksum is computed with its own field filled with spaces
+    block.fill(' ', 148, 156);
+    const checksum = block.reduce((sum, byte) => sum + byte, 0);
+    block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return block;
+};
+
+// Build a tar archive from an object with paths as keys and contents as values
+const buildTar = files => {
+    const blocks = [];
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        blocks.push(tarHeader(name, data.length), data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+};
+
+// Read a whole stream
+const readStream = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+describe('project archive', () => {
+    const files = {
+        'project/metadata.json': '{"NAME":"test"}',
+        'project/replica_1/.register.json': '{}',
+        'project/replica_1/metadata.json': '{"name":"replica 1"}',
+        'project/replica_1/trajectory.xtc': 'x'.repeat(5000),
+    };
+    let directory;
+    beforeAll(() => {
+        directory = fs.mkdtempSync(join(os.tmpdir(), 'archive-test-'));
+        const tar = buildTar(files);
+        fs.writeFileSync(join(directory, 'project.tar'), tar);
+        fs.writeFileSync(join(directory, 'project.tar.gz'), zlib.gzipSync(tar));
+    });
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('recognizes archives by their extension', () => {
+        expect(isArchive(join(directory, 'project.tar'))).toBe(true);
+        expect(isArchive(join(directory, 'project.tar.gz'))).toBe(true);
+        expect(isArchive(directory)).toBe(false);
+    });
+
+    test.each(['project.tar', 'project.tar.gz'])('reads %s as if it was the project directory', async filename => {
+        const archive = await openArchive(join(directory, filename));
+        // The single top level directory is taken as the project directory
+        expect(archive.readdirSync(archive.root)).toEqual(['metadata.json', 'replica_1']);
+        expect(archive.lstatSync(archive.root + 'replica_1').isDirectory()).toBe(true);
+        expect(archive.existsSync(archive.root + 'replica_1/.register.json')).toBe(true);
+        expect(archive.existsSync(archive.root + 'missing.json')).toBe(false);
+        expect(archive.readFileSync(archive.root + 'replica_1/metadata.json', 'utf8')).toBe('{"name":"replica 1"}');
+        expect(archive.statSync(archive.root + 'replica_1/trajectory.xtc').size).toBe(5000);
+        const content = await readStream(archive.createReadStream(archive.root + 'replica_1/trajectory.xtc'));
+        expect(content.toString()).toBe(files['project/replica_1/trajectory.xtc']);
+        expect(archive.globSync(archive.root + 'replica_1/*.json')).toEqual([archive.root + 'replica_1/metadata.json']);
+    });
+
+    test('stages files to be read by external tools', async () => {
+        const archive = await openArchive(join(directory, 'project.tar.gz'));
+        const stagedFilepath = await archive.stageFile(archive.root + 'replica_1/trajectory.xtc');
+        expect(stagedFilepath.endsWith('trajectory.xtc')).toBe(true);
+        expect(fs.readFileSync(stagedFilepath, 'utf8')).toBe(files['project/replica_1/trajectory.xtc']);
+        archive.unstageFile(stagedFilepath);
+        expect(fs.existsSync(stagedFilepath)).toBe(false);
+    });
+
+    test('keeps big files from compressed archives out of memory until closed', async () => {
+        const analysis = JSON.stringify({ values: 'x'.repeat(2 * 1024 * 1024) });
+        const filepath = join(directory, 'big.tar.gz');
+        fs.writeFileSync(filepath, zlib.gzipSync(buildTar({ 'project/mda.rmsd.json': analysis })));
+        const archive = await openArchive(filepath);
+        const entry = archive._getEntry(archive.root + 'mda.rmsd.json');
+        expect(entry.content).toBeUndefined();
+        expect(archive.readFileSync(archive.root + 'mda.rmsd.json', 'utf8')).toBe(analysis);
+        const content = await readStream(archive.createReadStream(archive.root + 'mda.rmsd.json'));
+        expect(content.toString()).toBe(analysis);
+        archive.close();
+        expect(fs.existsSync(entry.temporalFilepath)).toBe(false);
+    });
+
+    test('reads big files from compressed archives with a single decompression', async () => {
+        const trajectories = {
+            'project/replica_1/trajectory.xtc': '1'.repeat(300000),
+            'project/replica_2/trajectory.xtc': '2'.repeat(300000),
+            'project/replica_3/trajectory.xtc': '3'.repeat(300000),
+        };
+        const filepath = join(directory, 'trajectories.tar.gz');
+        fs.writeFileSync(filepath, zlib.gzipSync(buildTar(trajectories)));
+        const archive = await openArchive(filepath);
+        // Every decompression reads the archive from the begining
+        const createReadStream = jest.spyOn(fs, 'createReadStream');
+        const countDecompressions = () => createReadStream.mock.calls.filter(([path]) => path === filepath).length;
+        const read = async replica => {
+            const stream = archive.createReadStream(`${archive.root}${replica}/trajectory.xtc`, { highWaterMark: 1024 });
+            return (await readStream(stream)).toString();
+        };
+        try {
+            // Files read in archive order are read with the same decompression
+            expect(await read('replica_1')).toBe(trajectories['project/replica_1/trajectory.xtc']);
+            expect(await read('replica_3')).toBe(trajectories['project/replica_3/trajectory.xtc']);
+            expect(countDecompressions()).toBe(1);
+            // Files requested at the same time are read in archive order, whatever the order of the requests
+            const contents = await Promise.all(['replica_3', 'replica_2', 'replica_1'].map(read));
+            expect(contents).toEqual([3, 2, 1].map(n => trajectories[`project/replica_${n}/trajectory.xtc`]));
+            expect(countDecompressions()).toBe(2);
+            // A stream which is abandoned before its end does not block the next reads
+            const abandoned = archive.createReadStream(archive.root + 'replica_1/trajectory.xtc', { highWaterMark: 1024 });
+            await new Promise(resolve => abandoned.once('data', resolve));
+            abandoned.destroy();
+            expect(await read('replica_2')).toBe(trajectories['project/replica_2/trajectory.xtc']);
+            // Reads which are not finished fail once the archive is closed
+            const pending = read('replica_3');
+            archive.close();
+            await expect(pending).rejects.toThrow('was closed');
+        }
+        finally {
+            createReadStream.mockRestore();
+            archive.close();
+        }
+    });
+
+    test('knows the checksums of compressed files with no need to read them again', async () => {
+        const archive = await openArchive(join(directory, 'project.tar.gz'));
+        const trajectoryPath = archive.root + 'replica_1/trajectory.xtc';
+        const trajectory = files['project/replica_1/trajectory.xtc'];
+        const expected = { sha256: createChecksum().update(trajectory).digest('hex'), size: trajectory.length };
+        expect(archive.getFileChecksum(trajectoryPath)).toEqual(expected);
+        expect(await getFileChecksum(trajectoryPath, archive)).toEqual(expected);
+        // Files in uncompressed archives are read directly so they are hashed when needed
+        const tarArchive = await openArchive(join(directory, 'project.tar'));
+        expect(tarArchive.getFileChecksum(trajectoryPath.replace('.tar.gz', '.tar'))).toBeNull();
+        expect(await getFileChecksum(trajectoryPath.replace('.tar.gz', '.tar'), tarArchive)).toEqual(expected);
+    });
+});
@@ -1,5 +1,7 @@
 // File system
 const fs = require('fs');
+// Load tools to handle paths
+const { dirname, basename } = require('path');
 // Visual tool which allows to add colors in console
 const chalk = require('chalk');
 // Import auxiliar functions
@@ -7,15 +9,24 @@ const { idOrAccessionCoerce, canWrite } = require('../../../utils/auxiliar-funct
 
 const TRACE_FILENAME = '.project_id';
 
+// Get the path of a hidden file which is left along with the project
+// Project directories end with a slash and then the file is left inside of the directory
+// Otherwise the project is an archive and then the file is left next to it (e.g. .project.tar.gz.project_id)
+const getSidecarPath = (location, filename) => {
+    if (location.endsWith('/')) return location + filename;
+    return dirname(location) + '/.' + basename(location) + filename;
+}
+
 // Leave a hidden file with the project id when the load starts
 // This allows the loader to know the project id in further loads
-const leaveTrace = (directory, id) => {
+const leaveTrace = (location, id) => {
+    const traceFilepath = getSidecarPath(location, TRACE_FILENAME);
+    const directory = dirname(traceFilepath);
     // If we do not have write permissiones here then do not try to leave a trace
     if (!canWrite(directory)) {
         console.log(chalk.yellow(`WARNING: No write permissions in ${directory}. No trace will be left.`));
         return
     };
-    const traceFilepath = directory + TRACE_FILENAME;
     if (fs.existsSync(traceFilepath) &&  !canWrite(traceFilepath)) {
         console.log(chalk.yellow(`WARNING: No permission to overwrite ${traceFilepath}. Previous trace will remain.`));
         return
@@ -30,20 +41,21 @@ const leaveTrace = (directory, id) => {
 }
 
 // Find the project id trace, if exists, and return the project id
-const findTrace = directory => {
-    const tracePath = directory + TRACE_FILENAME;
+const findTrace = location => {
+    const tracePath = getSidecarPath(location, TRACE_FILENAME);
     if (!fs.existsSync(tracePath)) return null;
     const id = fs.readFileSync(tracePath, { encoding: 'utf8', flag: 'r' });
     return idOrAccessionCoerce(id);
 }
 
 // Remove a trace
-const removeTrace = directory => {
-    const tracePath = directory + TRACE_FILENAME;
+const removeTrace = location => {
+    const tracePath = getSidecarPath(location, TRACE_FILENAME);
     if (fs.existsSync(tracePath)) fs.rmSync(tracePath);
 }
 
 module.exports = {
+    getSidecarPath,
     leaveTrace,
     findTrace,
     removeTrace
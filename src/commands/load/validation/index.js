@@ -0,0 +1,150 @@
+// Files system from node
+const fs = require('fs');
+// Load a tool to join paths
+const { join } = require('path');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// JSON Schema validator
+const Ajv = require('ajv');
+// Get the rules to select loadable files
+const { getReferenceInputDataFiles } = require('../loadable-files');
+
+// Set the directory where JSON Schemas are shipped
+// Every schema version has its own directory (e.g. v1, v2, etc.)
+const SCHEMAS_DIRECTORY = join(__dirname, '../../../schemas');
+
+// Set the schema filename for every type of data
+const SCHEMA_FILENAMES = {
+    projectMetadata: 'project-metadata.json',
+    mdMetadata: 'md-metadata.json',
+    topology: 'topology.json',
+    references: 'references.json',
+    analysis: 'analysis.json',
+};
+
+// Set the maximum number of issues to be displayed per file
+// e.g. a wrong topology may have an issue for every atom
+const MAX_DISPLAYED_ISSUES = 10;
+
+// Get the available schema versions, sorted from the oldest to the latest
+const getSchemaVersions = () => fs.readdirSync(SCHEMAS_DIRECTORY)
+    .filter(version => /^v[0-9]+$/.test(version))
+    .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)));
+
+// Get the latest schema version
+const getLatestSchemaVersion = () => {
+    const versions = getSchemaVersions();
+    return versions[versions.length - 1];
+};
+
+// Compile the validation functions of a given schema version
+// Compiled validators are kept so they are compiled only once
+const compiledValidators = {};
+const getValidators = version => {
+    if (compiledValidators[version]) return compiledValidators[version];
+    const versions = getSchemaVersions();
+    if (!versions.includes(version))
+        throw new Error(`Unknown schema version '${version}'. Available versions are ${versions.join(', ')}`);
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    const validators = {};
+    for (const [key, filename] of Object.entries(SCHEMA_FILENAMES)) {
+        const schema = JSON.parse(fs.readFileSync(join(SCHEMAS_DIRECTORY, version, filename), 'utf8'));
+        validators[key] = ajv.compile(schema);
+    }
+    compiledValidators[version] = validators;
+    return validators;
+};
+
+// Validate every file which is to be loaded against the JSON Schemas
+// This includes project and MD metadata, the topology data, references and analyses, unless they are skipped
+// Nothing is written so this may be run before the load to make sure all data is fine
+// Return a list of issues, each one with the file and the problem found
+const validateProjectFiles = ({
+    projectDirectory,
+    mdDirectories,
+    categorizedProjectFiles,
+    categorizedMdFiles,
+    skipAnalyses,
+    fileSystem = fs,
+    schemaVersion,
+}, database) => {
+    const validators = getValidators(schemaVersion || getLatestSchemaVersion());
+    const issues = [];
+    // Read a JSON file and add an issue if it can not be parsed
+    // Return undefined if the file can not be read
+    const readJSON = filepath => {
+        try {
+            return JSON.parse(fileSystem.readFileSync(filepath, 'utf8'));
+        }
+        catch (error) {
+            issues.push({ file: filepath, message: `is not a valid JSON file: ${error.message}` });
+        }
+    };
+    // Validate a file with one of the validators and add its issues, if any
+    // Return the parsed file content
+    const validateFile = (filepath, validatorKey) => {
+        const content = readJSON(filepath);
+        if (content === undefined) return;
+        const validate = validators[validatorKey];
+        if (!validate(content)) {
+            for (const { instancePath, message } of validate.errors)
+                issues.push({ file: filepath, message: `${instancePath || '(root)'} ${message}` });
+        }
+        return content;
+    };
+
+    // ---- Project files ----
+
+    const { metadataFile, topologyDataFile, analysisFiles } = categorizedProjectFiles;
+    if (metadataFile) validateFile(projectDirectory + metadataFile, 'projectMetadata');
+    if (topologyDataFile) validateFile(projectDirectory + topologyDataFile, 'topology');
+    // References must also have the id field used to find them in the database
+    const referenceInputDataFiles = getReferenceInputDataFiles(categorizedProjectFiles);
+    for (const [referenceName, referenceInputDataFile] of Object.entries(referenceInputDataFiles)) {
+        if (!referenceInputDataFile) continue;
+        const filepath = projectDirectory + referenceInputDataFile;
+        const references = validateFile(filepath, 'references');
+        if (!Array.isArray(references) || !database.REFERENCES[referenceName]) continue;
+        const idField = database.REFERENCES[referenceName].idField;
+        references.forEach((reference, index) => {
+            if (reference && typeof reference === 'object' && reference[idField] === undefined)
+                issues.push({ file: filepath, message: `/${index} must have required property '${idField}'` });
+        });
+    }
+    if (!skipAnalyses) {
+        for (const file of analysisFiles) validateFile(projectDirectory + file, 'analysis');
+    }
+
+    // ---- MD files ----
+
+    for (const mdir of mdDirectories) {
+        const directoryFiles = categorizedMdFiles[mdir];
+        if (!directoryFiles) continue;
+        if (directoryFiles.metadataFile) validateFile(mdir + '/' + directoryFiles.metadataFile, 'mdMetadata');
+        if (skipAnalyses) continue;
+        for (const file of directoryFiles.analysisFiles) validateFile(mdir + '/' + file, 'analysis');
+    }
+    return issues;
+};
+
+// Display validation issues in console, grouped by file
+const printValidationIssues = issues => {
+    const issuesByFile = {};
+    for (const { file, message } of issues) {
+        if (!issuesByFile[file]) issuesByFile[file] = [];
+        issuesByFile[file].push(message);
+    }
+    for (const [file, messages] of Object.entries(issuesByFile)) {
+        console.log(chalk.red(`✘ ${file}`));
+        for (const message of messages.slice(0, MAX_DISPLAYED_ISSUES)) console.log(`    ${message}`);
+        const hiddenCount = messages.length - MAX_DISPLAYED_ISSUES;
+        if (hiddenCount > 0) console.log(chalk.grey(`    ... and ${hiddenCount} more issues`));
+    }
+};
+
+module.exports = {
+    getSchemaVersions,
+    getLatestSchemaVersion,
+    validateProjectFiles,
+    printValidationIssues,
+}
@@ -0,0 +1,70 @@
+// Tests for the validation of project files against the JSON Schemas
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { getLatestSchemaVersion, validateProjectFiles } = require('./index');
+
+describe('project files validation', () => {
+    let projectDirectory;
+    // Only the references configuration is required from the database
+    const database = { REFERENCES: { proteins: { idField: 'uniprot' } } };
+    // Write the project files and validate them
+    const validate = files => {
+        for (const [filename, content] of Object.entries(files))
+            fs.writeFileSync(projectDirectory + filename, content);
+        const mdDirectory = projectDirectory + 'replica_1';
+        return validateProjectFiles({
+            projectDirectory,
+            mdDirectories: [mdDirectory],
+            categorizedProjectFiles: {
+                metadataFile: 'metadata.json',
+                topologyDataFile: 'topology.json',
+                proteinReferencesDataFile: 'references.json',
+                analysisFiles: [],
+            },
+            categorizedMdFiles: { [mdDirectory]: { metadataFile: 'metadata.json', analysisFiles: ['mda.rmsd.json', 'mda.rgyr.json'] } },
+        }, database);
+    };
+
+    beforeEach(() => {
+        projectDirectory = fs.mkdtempSync(join(os.tmpdir(), 'validation-test-')) + '/';
+        fs.mkdirSync(projectDirectory + 'replica_1');
+    });
+    afterEach(() => fs.rmSync(projectDirectory, { recursive: true, force: true }));
+
+    test('uses the latest schema version by default', () => {
+        expect(getLatestSchemaVersion()).toMatch(/^v[0-9]+$/);
+    });
+
+    test('accepts well formed files', () => {
+        const issues = validate({
+            'metadata.json': JSON.stringify({ NAME: 'Test', AUTHORS: ['Someone'], FRAMESTEP: 0.1 }),
+            'topology.json': JSON.stringify({ atom_names: ['N', 'CA'], atom_residue_indices: [0, 0] }),
+            'references.json': JSON.stringify([{ uniprot: 'P01234' }]),
+            'replica_1/metadata.json': JSON.stringify({ name: 'replica 1' }),
+            'replica_1/mda.rmsd.json': JSON.stringify({ start: 0, step: 1, y: {} }),
+            'replica_1/mda.rgyr.json': JSON.stringify([1.2, 1.3]),
+        });
+        expect(issues).toEqual([]);
+    });
+
+    test('reports every file which does not match its schema', () => {
+        const issues = validate({
+            'metadata.json': JSON.stringify({ NAME: 'Test', AUTHORS: 'Someone, Someone else' }),
+            'topology.json': JSON.stringify({ atom_names: ['N', 1] }),
+            'references.json': JSON.stringify([{ name: 'A protein' }]),
+            'replica_1/metadata.json': JSON.stringify({ frames: 10 }),
+            'replica_1/mda.rmsd.json': '{}',
+            'replica_1/mda.rgyr.json': '{ not json',
+        });
+        const messages = issues.map(({ file, message }) => `${file.replace(projectDirectory, '')} ${message}`);
+        expect(messages).toEqual([
+            'metadata.json /AUTHORS must be array,null',
+            'topology.json /atom_names/1 must be string',
+            `references.json /0 must have required property 'uniprot'`,
+            `replica_1/metadata.json (root) must have required property 'name'`,
+            'replica_1/mda.rmsd.json (root) must NOT have fewer than 1 properties',
+            expect.stringMatching(/^replica_1\/mda.rgyr.json is not a valid JSON file/),
+        ]);
+    });
+});
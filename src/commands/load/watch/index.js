@@ -0,0 +1,159 @@
+// Files system from node
+const fs = require('fs');
+// Load a tool to normalize paths
+const { normalize } = require('path');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// This utility displays in console a dynamic loading status
+const logger = require('../../../utils/logger');
+// Load auxiliar functions
+const { directoryCoerce } = require('../../../utils/auxiliar-functions');
+// Get project files to be found and loaded
+const { EXPECTED_PROJECT_FILE, EXPECTED_MD_FILES } = require('../../../utils/constants');
+// Get the directory handlers
+const { findWildcardPaths, findMdDirectories, parseDirectories } = require('../handle-directories');
+// Get the aborting function, which is also used to stop watching
+const getAbortingFunction = require('../abort');
+// Get the load report writer
+const { writeReport } = require('../load-report');
+// Get the project archive handlers
+const { isArchive } = require('../project-archive');
+
+// Check if a filename matches any of the expected files
+const isExpectedFile = (filename, expectedFiles) => Object.values(expectedFiles)
+    .some(({ pattern }) => pattern.test(filename));
+
+// Wait for a number of seconds, but stop waiting as soon as the load is interrupted
+const waitSeconds = async seconds => {
+    for (let second = 0; second < seconds; second++) {
+        if (process.env.abort) return;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+};
+
+// Find the expected files which are currently in the project directory and its MD directories
+// Note that files in other subdirectories are not watched, since they may belong to MD directories to come
+const findWatchedFiles = (projectDirectory, mdirs) => {
+    const watchedFiles = new Set();
+    const addFiles = (directory, expectedFiles) => {
+        for (const filename of fs.readdirSync(directory)) {
+            if (!isExpectedFile(filename, expectedFiles)) continue;
+            const filepath = normalize(directory + '/' + filename);
+            if (fs.statSync(filepath).isFile()) watchedFiles.add(filepath);
+        }
+    };
+    addFiles(projectDirectory, EXPECTED_PROJECT_FILE);
+    // MD directories may appear at any moment, once the workflow writes their register files
+    const mdDirectories = mdirs
+        ? parseDirectories(projectDirectory, mdirs).filter(directory => fs.existsSync(directory))
+        : findMdDirectories(projectDirectory);
+    for (const mdDirectory of mdDirectories) addFiles(mdDirectory, EXPECTED_MD_FILES);
+    return watchedFiles;
+};
+
+// Get the files which were handled by a load according to its report
+// Note that skipped files and analyses are handled as well, since the load already decided what to do with them
+const getHandledFiles = (projectDirectory, reportData) => {
+    const handledFiles = new Set();
+    if (reportData.topology) handledFiles.add(normalize(projectDirectory + reportData.topology.source));
+    for (const { source } of [...reportData.files, ...reportData.analyses])
+        handledFiles.add(normalize(projectDirectory + source));
+    for (const md of reportData.mds) {
+        for (const { source } of [...md.files, ...md.analyses])
+            handledFiles.add(normalize(md.directory + '/' + source));
+    }
+    return handledFiles;
+};
+
+// Keep watching a project directory and load new files as they are written
+// A file is loaded once it has not changed for a while, so files which are still being written are never loaded
+// Every time there are new or changed files they are loaded with the 'include' option
+// The watch is stopped on interrupt (Control + C) through the regular aborting function
+const watchProject = async (args, database, load) => {
+    const { pdir, mdirs, include, exclude, dryRun, report, watchInterval = 10, watchStable = 30 } = args;
+    // Check the options are compatible with the watch mode
+    if (dryRun) throw new Error('Options watch and dry-run are not compatible');
+    if (include) throw new Error('Options watch and include are not compatible');
+    if (isArchive(pdir)) throw new Error('Archives can not be watched since they are not written further');
+    const projectDirectory = directoryCoerce(pdir);
+    // Set the aborting function, which is checked while waiting for new files
+    const checkAbort = getAbortingFunction(database);
+    // Keep track of every watched file
+    // The version of a file is its size and modification time, so it changes every time the file is written
+    // Also keep when the file was last changed and which version was already handled by a load
+    const fileStates = new Map();
+    // Collect the load report of every pass
+    const reports = [];
+    let passCount = 0;
+    console.log(chalk.cyan(`== Watching '${projectDirectory}' (every ${watchInterval}s, ` +
+        `files are loaded once they have not changed for ${watchStable}s)`));
+    console.log(chalk.cyan('== Press Control + C to stop watching'));
+    while (!process.env.abort) {
+        // Find the current state of every watched file
+        const now = Date.now();
+        const watchedFiles = findWatchedFiles(projectDirectory, mdirs);
+        const excludedFiles = new Set(findWildcardPaths(projectDirectory, exclude));
+        for (const filepath of watchedFiles) {
+            if (excludedFiles.has(filepath)) continue;
+            const stats = fs.statSync(filepath);
+            const version = `${stats.size}:${stats.mtimeMs}`;
+            const state = fileStates.get(filepath);
+            if (!state) fileStates.set(filepath, { version, changedAt: now, handled: null, deferred: null });
+            else if (state.version !== version) Object.assign(state, { version, changedAt: now });
+        }
+        // Find files which have not changed for long enough and were not handled yet
+        const stableFiles = [...fileStates].filter(([filepath, state]) => watchedFiles.has(filepath)
+            && state.handled !== state.version && now - state.changedAt >= watchStable * 1000);
+        // Files deferred by a previous pass are only loaded along with new files
+        // e.g. files in an MD directory whose metadata was not written yet
+        // Note that metadata files are never reported as loaded so they are always loaded along with new files
+        // This way the load always knows which MD every directory belongs to
+        const newFiles = stableFiles.filter(([, state]) => state.deferred !== state.version);
+        if (newFiles.length > 0) {
+            passCount += 1;
+            console.log(chalk.cyan(`== Watch pass ${passCount}: ${newFiles.length} new or changed files`));
+            const passFiles = stableFiles.map(([filepath]) => filepath);
+            const passInclude = passFiles.map(filepath => filepath.slice(projectDirectory.length));
+            // Run the load only with the new files
+            // The database setup is run only in the first pass
+            const passArgs = { ...args, include: passInclude, exclude: undefined, watch: false,
+                resume: args.resume && passCount === 1 };
+            const reportCount = reports.length;
+            try {
+                const finalMessage = await load(passArgs, database, { skipSetup: passCount > 1, reports });
+                if (finalMessage) finalMessage();
+            }
+            catch (error) {
+                // Stop the logger, if running, and display the error
+                // Note that the logger fail would throw the error again and thus end the watch
+                if (logger.isLogRunning()) logger.warnLog(`Interrupted while doing '${logger.logText()}'`);
+                console.error(chalk.bgRed(error.stack));
+                console.log(chalk.yellow(`WARNING: Failed to load new files. Not loaded files will be retried along with further new files.`));
+            }
+            // Forget the data inserted in this pass, so further reverts never delete data from previous passes
+            finally {
+                database.inserted_data = [];
+                database.new_accession_issued = false;
+            }
+            // Mark files as handled or deferred according to the load report
+            const passReport = reports[reportCount];
+            const handledFiles = passReport ? getHandledFiles(projectDirectory, passReport) : new Set();
+            for (const filepath of passFiles) {
+                const state = fileStates.get(filepath);
+                if (handledFiles.has(filepath)) state.handled = state.version;
+                else state.deferred = state.version;
+            }
+            // Update the report after every pass, since the watch only ends when it is interrupted
+            if (report) writeReport(report, { passes: reports });
+        }
+        // Wait for the next check
+        await waitSeconds(watchInterval);
+        // If the watch has been interrupted then ask the user what to do
+        // Resuming clears the interrupt, so the watch goes on
+        await checkAbort();
+    }
+    // Make sure the user is asked if the watch ended with an interrupt which was not handled yet
+    await checkAbort();
+};
+
+module.exports = watchProject;
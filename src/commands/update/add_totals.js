@@ -30,7 +30,8 @@ const addTotals = async (database, verbose) => {
             const project = new Project(projectData, database);
 
             // Check if project already has all fields
-            const hasTotalSize = project.data.totalSize !== undefined && project.data.totalSize !== 0;
+            const hasTotalSize = project.data.totalSize !== undefined && project.data.totalSize !== 0 &&
+                project.data.totalLogicalSize !== undefined;
             const hasTotalTime = project.data.totalTime !== undefined && project.data.totalTime !== 0;
             const hasCreationDate = project.data.creationDate !== undefined;
             const hasMdCount = project.data.mdcount !== undefined && project.data.mdcount !== 0;
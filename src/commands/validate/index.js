@@ -0,0 +1,63 @@
+// Files system from node
+const fs = require('fs');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
+// Load auxiliar functions
+const { directoryCoerce } = require('../../utils/auxiliar-functions');
+// Get the load steps which find and classify the project files
+const { findMdDirectories, parseDirectories } = require('../load/handle-directories');
+const findAllFiles = require('../load/find-all-files');
+const categorizeFiles = require('../load/categorize-files');
+// Get the project archive handlers
+const { isArchive, openArchive } = require('../load/project-archive');
+// Get the validation handlers
+const {
+  getLatestSchemaVersion,
+  validateProjectFiles,
+  printValidationIssues
+} = require('../load/validation');
+
+// Validate the files in a project directory against the JSON Schemas, just as the load would do
+// Nothing is written in the database
+const validate = async (
+  // Command additional arguments
+  {
+    pdir,
+    mdirs,
+    skipAnalyses,
+    schemaVersion,
+  },
+  // Database handler
+  database,
+) => {
+  // Find the project files exactly as the load does
+  const archive = isArchive(pdir) ? await openArchive(pdir) : null;
+  const fileSystem = archive || fs;
+  const projectDirectory = archive ? archive.root : directoryCoerce(pdir);
+  const mdDirectories = mdirs
+    ? parseDirectories(projectDirectory, mdirs)
+    : findMdDirectories(projectDirectory, fileSystem);
+  const [projectFiles, mdFiles] = findAllFiles(projectDirectory, mdDirectories, [], [], fileSystem);
+  const [categorizedProjectFiles, categorizedMdFiles] = categorizeFiles(projectFiles, mdFiles);
+  // Validate all files
+  const validationSchemaVersion = schemaVersion || getLatestSchemaVersion();
+  console.log(chalk.cyan(`== Validation of '${pdir}' (schema ${validationSchemaVersion})`));
+  const issues = validateProjectFiles({
+    projectDirectory,
+    mdDirectories,
+    categorizedProjectFiles,
+    categorizedMdFiles,
+    skipAnalyses,
+    fileSystem,
+    schemaVersion: validationSchemaVersion,
+  }, database);
+  if (archive) archive.close();
+  return () => {
+    if (issues.length === 0) return console.log(chalk.green(`✔ All files are valid`));
+    printValidationIssues(issues);
+    const fileCount = new Set(issues.map(issue => issue.file)).size;
+    console.log(chalk.red(`== Found ${issues.length} validation issues in ${fileCount} files`));
+  };
+};
+
+module.exports = validate;
@@ -1,5 +1,14 @@
+// Files system from node
+const fs = require('fs');
+// Load a tool to handle paths
+const { dirname } = require('path');
 // Import the MDDB database handler
 const { databaseConnection, Database } = require('mddb-database');
+// The MongoDB driver of the MDDB database handler, used to connect other databases than the one in the .env file
+// The very same copy of the driver must be used, since data from different copies (e.g. ids) is not compatible
+const { MongoClient } = require(require.resolve('mongodb', { paths: [dirname(require.resolve('mddb-database'))] }));
+// Parse environment files
+const dotenv = require('dotenv');
 // This utility displays in console a dynamic loading status
 const logger = require('../utils/logger');
 // Add colors in console
@@ -128,24 +137,50 @@ class Database4Loader extends Database {
         }
     }
 
+    // Find out what would happen with a new reference load, without changing anything
+    // Return 'new' when the reference is not in the database yet, 'skipped' when it is already updated
+    // and 'overwritten' when the new reference data has a greater version
+    // A conflict policy action may be passed to conserve or overwrite already existing references no matter their versions
+    previewReferenceLoad = async (referenceName, referenceData, policyAction = null) => {
+        // Set the reference configuration
+        const refereceConfig = this.REFERENCES[referenceName];
+        const collection = this[refereceConfig.collectionName];
+        const idField = refereceConfig.idField;
+        // Check if the reference is already in the database
+        const previousData = await collection.findOne({ [idField]: referenceData[idField] });
+        if (!previousData) return 'new';
+        // If the policy says so then conserve the previous reference
+        if (policyAction === 'conserve') return 'skipped';
+        // If the policy says so then overwrite the previous reference, unless they are identical
+        if (policyAction === 'overwrite') {
+            const previousContent = { ...previousData };
+            delete previousContent._id;
+            return JSON.stringify(previousContent) === JSON.stringify(referenceData) ? 'skipped' : 'overwritten';
+        }
+        // Compare both versions
+        const previousVersion = new Version(previousData.version);
+        const newVersion = new Version(referenceData.version);
+        // If there are no changes then there is nothing to upload
+        if (newVersion <= previousVersion) return 'skipped';
+        return 'overwritten';
+    };
+
     // Add a new reference in the references collection in case it does not exist yet
-    loadReferenceIfProper = async (referenceName, referenceData, conserve, overwrite) => {
+    // A conflict policy may be passed to conserve or overwrite specific references
+    loadReferenceIfProper = async (referenceName, referenceData, conserve, overwrite, policy = null) => {
         // Set the reference configuration
         const refereceConfig = this.REFERENCES[referenceName];
         const collection = this[refereceConfig.collectionName];
         const idField = refereceConfig.idField;
         const label = `${referenceName} reference ${referenceData[idField]}`;
-        // Check if the reference is already in the database
         const referenceQuery = { [idField]: referenceData[idField] };
-        const previousData = await collection.findOne(referenceQuery);
-        // If so we must compare previous and new reference data
-        if (previousData) {
-            // Compare both versions
-            const previousVersion = new Version(previousData.version);
-            const newVersion = new Version(referenceData.version);
-            // If there are no changes then there is nothing to upload
-            if (newVersion <= previousVersion)
-                return console.log(chalk.grey(`  The ${label} is already in the database and updated`));
+        // Check if the reference is already in the database and, if so, compare previous and new reference data
+        const policyAction = policy ? policy.getAction('references', referenceData[idField]) : null;
+        const status = await this.previewReferenceLoad(referenceName, referenceData, policyAction);
+        // If there are no changes then there is nothing to upload
+        if (status === 'skipped')
+            return console.log(chalk.grey(`  The ${label} is already in the database and updated`));
+        if (status === 'overwritten') {
             // Otherwise we must load the updated reference data
             logger.startLog(`💽 Updating ${label}`);
             // Replace the old reference with the updated data
@@ -281,17 +316,75 @@ class Database4Loader extends Database {
         // Delete inserted data one by one
         for (const data of this.inserted_data) {
             const collection = data.collection;
+            // Files may be content-addressed and thus shared with other projects, so only the reference is released
             if (collection === this.files) {
-                await this.bucket.delete(data.id);
+                await this.releaseFile(data.id, data.reference);
             } 
             else {
                 const result = await data.collection.deleteOne({ _id: data.id });
                 if (result.acknowledged === false) throw new Error(`Failed to delete ${data.name}`);
             }
             console.log(`🗑️  Deleted ${data.name} <- ${data.id}`);
+            // If the inserted data replaced a previous document then the previous document is restored
+            if (data.previous) {
+                const result = await data.collection.insertOne(data.previous);
+                if (result.acknowledged === false) throw new Error(`Failed to restore the previous ${data.name}`);
+                console.log(`♻️  Restored previous ${data.name} -> ${data.previous._id}`);
+            }
         }
     };
 
+    // Delete an upload which was interrupted before being completed
+    // Note that GridFS writes the file document only once all chunks are written
+    // For this reason chunks are deleted explicitly, since the bucket would fail to find the file
+    deleteHalfWrittenUpload = async id => {
+        const fileResult = await this.files.deleteOne({ _id: id });
+        if (fileResult.acknowledged === false) throw new Error(`Failed to delete file ${id}`);
+        const chunksResult = await this.chunks.deleteMany({ files_id: id });
+        if (chunksResult.acknowledged === false) throw new Error(`Failed to delete chunks from file ${id}`);
+        console.log(`🗑️  Deleted half-written upload (${chunksResult.deletedCount} chunks) <- ${id}`);
+    };
+
+    // Add a reference to a content-addressed file, which is shared by every project file with identical content
+    // References are { project, md, name } objects and the reference count is kept along with them
+    addFileReference = async (id, reference) => {
+        const result = await this.files.updateOne({ _id: id, 'metadata.contentAddressed': true }, {
+            $push: { 'metadata.references': reference },
+            $inc: { 'metadata.refCount': 1 },
+        });
+        if (result.acknowledged === false || result.matchedCount === 0) throw new Error(`Failed to add a reference to file ${id}`);
+    };
+
+    // Release the reference of a project file to a file and delete the file once no project file references it
+    // Files which are not content-addressed have a single reference, so they are always deleted
+    // If the released reference was the file owner (i.e. metadata project, md and filename) then another reference becomes the owner
+    // Return true if the file was deleted
+    releaseFile = async (id, reference) => {
+        const file = await this.files.findOne({ _id: id });
+        if (file && file.metadata && file.metadata.contentAddressed && reference) {
+            const result = await this.files.findOneAndUpdate(
+                { _id: id, 'metadata.references': { $elemMatch: reference } },
+                { $pull: { 'metadata.references': reference }, $inc: { 'metadata.refCount': -1 } },
+                { returnDocument: 'after', includeResultMetadata: true });
+            if (result.acknowledged === false) throw new Error(`Failed to release a reference to file ${id}`);
+            // If the reference was already released then the current file is used
+            const releasedFile = result.value || file;
+            const references = releasedFile.metadata.references || [];
+            if (references.length > 0) {
+                const { project, md, name } = references[0];
+                const isOwnerReleased = String(releasedFile.metadata.project) === String(reference.project) &&
+                    (releasedFile.metadata.md ?? null) === reference.md && releasedFile.filename === reference.name;
+                if (isOwnerReleased) await this.files.updateOne({ _id: id },
+                    { $set: { filename: name, 'metadata.project': project, 'metadata.md': md } });
+                return false;
+            }
+        }
+        // GridFSBucket.delete has no callback but when it fails (i.e. file not found) it kills the process
+        // https://mongodb.github.io/node-mongodb-native/6.3/classes/GridFSBucket.html#delete
+        await this.bucket.delete(id);
+        return true;
+    };
+
     // Set the options counters which are missing
     // If the reset argument is passed then count again all fields, even if they already have a value
     updateOptionCounts = async () => {
@@ -388,11 +481,15 @@ class Database4Loader extends Database {
         // Get documents in the requested collection not having any parent value in their local fields
         const query = {};
         query[parent.localField] = { $nin: Array.from(parentValues) };
+        // Content-addressed files are not orphan while any project still references them
+        if (collectionKey === 'files') query['metadata.references.project'] = { $nin: Array.from(parentValues) };
         console.log(`  Searching for current collection (${collectionKey}) documents not including any parent value in their local field (${parent.localField})`);
         const cursor = await collection.find(query, { projection: { _id: true } });
         const results = await cursor.toArray();
         // Get only the internal ids
         const resultIds = results.map(r => r._id);
+        // Files with the values of big analyses are also orphan when their analysis does not exist anymore
+        if (collectionKey === 'files') resultIds.push(...await this.findOrphanAnalysisValues(resultIds));
         // Log the number of documents found
         const documentsName = this.nameCollectionDocuments(collectionKey, resultIds.length);
         console.log(`  Found ${resultIds.length} orphan ${documentsName} to delete`);
@@ -402,6 +499,22 @@ class Database4Loader extends Database {
         return resultIds;
     }
 
+    // Get the ids of files with analysis values whose analysis does not exist anymore
+    // Ids which are already known to be orphan are skipped
+    // Note that these files are few, so their analyses are searched one query for all of them
+    findOrphanAnalysisValues = async (knownIds = []) => {
+        console.log(`  Searching for analysis value files whose analysis does not exist`);
+        const knownValues = new Set(knownIds.map(id => id.toString()));
+        const valueCursor = await this.files.find({ 'metadata.analysis': { $exists: true } },
+            { projection: { _id: true, 'metadata.analysis': true } });
+        const valueFiles = (await valueCursor.toArray()).filter(file => !knownValues.has(file._id.toString()));
+        if (valueFiles.length === 0) return [];
+        const analysisCursor = await this.analyses.find(
+            { _id: { $in: valueFiles.map(file => file.metadata.analysis) } }, { projection: { _id: true } });
+        const analysisIds = new Set((await analysisCursor.toArray()).map(analysis => analysis._id.toString()));
+        return valueFiles.filter(file => !analysisIds.has(file.metadata.analysis.toString())).map(file => file._id);
+    }
+
     // Get the ids of orphan documents to be deleted in a given collection
     // DANI: This is the fastest aproach to the problem and it would show the progress
     // DANI: However it is not working properly and I think it is a Mongo problem
@@ -515,9 +628,45 @@ class Database4Loader extends Database {
     }
 }
 
+// Set the path to the environment file of a connection profile
+// Connection profiles are '.env.<profile>' files next to the main .env file, with the same fields
+// e.g. the 'production' profile is read from the '.env.production' file
+const getProfilePath = profile => `${__dirname}/../../.env.${profile}`;
+
+// Connect to the database of a connection profile
+// Then construct and return the database handler
+const getProfileDatabase = async profile => {
+    // Read the connection profile
+    const profilePath = getProfilePath(profile);
+    if (!fs.existsSync(profilePath)) throw new Error(`Connection profile '${profile}' not found. Expected file ${profilePath}`);
+    const environment = dotenv.parse(fs.readFileSync(profilePath));
+    const missingFields = ['DB_SERVER', 'DB_PORT', 'DB_NAME'].filter(field => !environment[field]);
+    if (missingFields.length > 0) throw new Error(`Missing ${missingFields.join(', ')} in connection profile '${profile}'`);
+    // Connect to the profile database
+    const auth = environment.DB_AUTH_USER
+        ? { username: environment.DB_AUTH_USER, password: environment.DB_AUTH_PASSWORD }
+        : undefined;
+    const client = await MongoClient.connect(`mongodb://${environment.DB_SERVER}:${environment.DB_PORT}`, {
+        auth,
+        authSource: environment.DB_AUTHSOURCE,
+    });
+    // The database handler takes its database from the client, by the name in the .env file
+    // For this reason the client is set to return the profile database instead, whatever name is asked
+    const profileClient = new Proxy(client, {
+        get: (target, key) => {
+            if (key === 'db') return (name, options) => target.db(environment.DB_NAME, options);
+            const value = Reflect.get(target, key);
+            return typeof value === 'function' ? value.bind(target) : value;
+        },
+    });
+    return new Database4Loader(profileClient);
+};
+
 // Connect to the database
 // Then construct and return the database handler
-const getDatabase = async () => {
+// A connection profile may be passed to connect to another database than the one in the .env file
+const getDatabase = async (profile = null) => {
+    if (profile) return await getProfileDatabase(profile);
     // Save the mongo database connection
     const client = await databaseConnection;
     // Instantiate the database handler
@@ -63,4 +63,71 @@ describe('database getDatabase', () => {
         expect(project).not.toBeNull();
         expect(project.data.accession).toBe('A0001');
     });
+
+    describe('file references', () => {
+        let owner;
+        let other;
+
+        beforeAll(async () => {
+            // Set references from both seeded projects
+            owner = { project: (await database.findProject('A0001'))._id, md: null, name: 'shared.txt' };
+            other = { project: (await database.findProject('A0002'))._id, md: 0, name: 'copy.txt' };
+        });
+
+        // Upload a file owned by the first project, which is content-addressed unless otherwise specified
+        const uploadFile = (contentAddressed = true) => new Promise((resolve, reject) => {
+            const metadata = { project: owner.project, md: owner.md };
+            if (contentAddressed) Object.assign(metadata, { contentAddressed, refCount: 1, references: [owner] });
+            const uploadStream = database.bucket.openUploadStream(owner.name, { metadata });
+            uploadStream.on('error', reject);
+            uploadStream.end(Buffer.from('Some shared content'), () => resolve(uploadStream.id));
+        });
+
+        it('adds references to content-addressed files only', async () => {
+            const id = await uploadFile();
+            await database.addFileReference(id, other);
+            const { metadata } = await database.files.findOne({ _id: id });
+            expect(metadata.refCount).toBe(2);
+            expect(metadata.references).toEqual([owner, other]);
+            const notSharedId = await uploadFile(false);
+            await expect(database.addFileReference(notSharedId, other)).rejects.toThrow('Failed to add a reference');
+        });
+
+        it('keeps the owner when another reference is released', async () => {
+            const id = await uploadFile();
+            await database.addFileReference(id, other);
+            expect(await database.releaseFile(id, other)).toBe(false);
+            const file = await database.files.findOne({ _id: id });
+            expect(file.filename).toBe(owner.name);
+            expect(file.metadata.refCount).toBe(1);
+            expect(file.metadata.references).toEqual([owner]);
+        });
+
+        it('hands the ownership over when the owner reference is released', async () => {
+            const id = await uploadFile();
+            await database.addFileReference(id, other);
+            expect(await database.releaseFile(id, owner)).toBe(false);
+            const file = await database.files.findOne({ _id: id });
+            expect(file.filename).toBe(other.name);
+            expect(file.metadata.project).toEqual(other.project);
+            expect(file.metadata.md).toBe(other.md);
+            expect(file.metadata.refCount).toBe(1);
+            expect(file.metadata.references).toEqual([other]);
+        });
+
+        it('deletes files once the last reference is released', async () => {
+            const id = await uploadFile();
+            await database.addFileReference(id, other);
+            expect(await database.releaseFile(id, other)).toBe(false);
+            expect(await database.releaseFile(id, owner)).toBe(true);
+            expect(await database.files.findOne({ _id: id })).toBeNull();
+            expect(await database.chunks.countDocuments({ files_id: id })).toBe(0);
+        });
+
+        it('deletes files which are not content-addressed right away', async () => {
+            const id = await uploadFile(false);
+            expect(await database.releaseFile(id, owner)).toBe(true);
+            expect(await database.files.findOne({ _id: id })).toBeNull();
+        });
+    });
 });
@@ -10,6 +10,8 @@ const prettyMs = require('pretty-ms');
 const throttle = require('lodash.throttle');
 // Function to execute command and retrieve output line by line
 const readAndParseTrajectory = require('../../utils/read-and-parse-trajectory');
+// Native trajectory readers, which do not require Gromacs
+const { readTrajectory } = require('../../utils/trajectory-readers');
 // Load auxiliar functions
 const {
     userConfirm,
@@ -25,15 +27,43 @@ const {
 const { merge_metadata } = require('./metadata-handlers');
 // Get constants
 const { ANALYSIS_ASSOCIATED_FILES } = require('../../utils/constants');
+// Get the file checksum handlers
+const { createChecksum, createChecksumStream, getFileChecksum } = require('../../utils/checksum');
+// Get the file compression handlers
+const { findFileEncoding, createCompressStream, createDecompressStream } = require('../../utils/file-compression');
+// Get the frame selection handlers
+const {
+    FULL_SELECTION,
+    isFrameSelected,
+    getSelectedFrames,
+    matchesFrameSelection,
+} = require('../../utils/frame-selection');
+// Get the atom selection handlers
+const {
+    BYTES_PER_ATOM,
+    filterAtoms,
+    checkAtomSelection,
+    matchesAtomSelection,
+} = require('../../utils/atom-selection');
+// Get the trajectory codec handlers
+const { describeCodec, encodeFrame, matchesTrajectoryCodec } = require('../../utils/trajectory-codec');
+// Get the frame index handlers
+const { FRAME_INDEX_FORMAT, nameFrameIndex, encodeFrameIndex } = require('../../utils/frame-index');
+// Get the chunk size handlers
+const { getFileCategory, getChunking, getChunkSize } = require('../../utils/chunk-size');
 
 // Constants
-const N_COORDINATES = 3; // x, y, z
 // Time it takes to the trajectory uploading logs to refresh
 const THROTTLE_TIME = 1000; // 1 second
 // Time it takes to the trajectory uploading logs to complain if there is no progress
 const TIMEOUT_WARNING = 30000; // 30 seconds
 // Default time to wait for newly uploaded file documents to become visible in MongoDB
 const FILE_DOCUMENT_TIMEOUT = 10000; // 10 seconds
+// Files of this size or bigger are uploaded chunk by chunk, so their upload may be resumed if it is interrupted
+const RESUMABLE_UPLOAD_SIZE = 1024 * 1024 * 1024; // 1 GiB
+// Analyses whose value is bigger than this once serialized as JSON are stored in GridFS instead of in their document
+// Mongo documents can not be bigger than 16 MB and the BSON of numeric arrays may be a few times bigger than their JSON
+const ANALYSIS_VALUE_LIMIT = 4 * 1024 * 1024; // 4 MiB
     
 // Set the project class
 class Project {
@@ -44,9 +74,10 @@ class Project {
         this.id = this.data._id;
         // Store the database handler
         this.database = database;
-        // Keep track of the currently inserting file
+        // Keep track of the currently inserting files
         // This way, in case anything goes wrong, we can delete orphan chunks
-        this.currentUploadId = null;
+        // Note that there may be several files being inserted at the same time in concurrent loads
+        this.currentUploadIds = new Set();
         // Fix data format issues
         // These may come from old project formats
         if (this.data.analyses === undefined) this.data.analyses = [];
@@ -57,10 +88,56 @@ class Project {
         this._confirmedAssociatedDataLoad = {};
         // Allow command-line overrides for timeout behavior
         this.fileDocumentTimeoutMs = FILE_DOCUMENT_TIMEOUT;
+        // Set the minimum size of files to be uploaded in a resumable way
+        this.resumableUploadSize = RESUMABLE_UPLOAD_SIZE;
+        // Set the maximum size of analysis values to be stored in their documents
+        this.analysisValueLimit = ANALYSIS_VALUE_LIMIT;
+        // Set the file system where source files are read from
+        // This may be replaced by a project archive, so files are read directly from the archive
+        this.fileSystem = fs;
+        // Load journal, if any, where the current upload ids are also recorded
+        // This way a further resumed load is able to clean the chunks of an upload which was interrupted
+        this.journal = null;
+        // Conflict policy, if any, which may change the conserve and overwrite flags for specific data
+        this.policy = null;
+        // Set if files are content-addressed, so files identical to already loaded files are not uploaded again
+        // Instead, the project file points to the already loaded file, which keeps a reference count
+        this.deduplicate = false;
+        // Compression rules, if any, which set which uploaded files are compressed and how
+        this.fileCompression = null;
+        // Keep the last remote update, so further updates are chained after it
+        this._lastRemoteUpdate = Promise.resolve();
+    };
+
+    // Get the conserve and overwrite flags to be applied for a given category and name according to the policy
+    _applyPolicy = (category, name, conserve, overwrite) => this.policy
+        ? this.policy.resolve(category, name, conserve, overwrite)
+        : { conserve, overwrite };
+
+    // Register a file which is being inserted
+    trackUpload = id => {
+        this.currentUploadIds.add(id);
+        if (this.journal) this.journal.addCurrentUpload(id);
+    };
+
+    // Unregister a file once its insertion is completed
+    untrackUpload = id => {
+        this.currentUploadIds.delete(id);
+        if (this.journal) this.journal.removeCurrentUpload(id);
     };
 
     // Update remote project data by overwritting it all with current project data
+    // Updates are run one after another, even if they are requested by concurrent loads
+    // Otherwise an older snapshot of the project data could overwrite a newer one
     updateRemote = async () => {
+        const update = this._lastRemoteUpdate.then(this._replaceRemote);
+        // Further updates must be run even if this update fails
+        this._lastRemoteUpdate = update.catch(() => {});
+        return await update;
+    };
+
+    // Overwrite remote project data with current project data
+    _replaceRemote = async () => {
         logger.startLog(`📝 Updating database project data`);
         // Add last modification timestamp
         this.data.updateDate = new Date();
@@ -114,6 +191,7 @@ class Project {
 
     // Calculate and update the total size of all files in the project
     // This is done once at the end of the load process to avoid per-file overhead
+    // The total size is the size actually stored while the total logical size is the size of files once decompressed
     updateTotalSize = async () => {
         // Collect all file IDs from project files and MD files
         const allFileIds = [];
@@ -135,19 +213,27 @@ class Project {
         // If no files, set totalSize to 0
         if (allFileIds.length === 0) {
             this.data.totalSize = 0;
+            this.data.totalLogicalSize = 0;
             console.log(`  📏 Total project size: 0 bytes (no files)`);
             return;
         }
         
         // Aggregate the total size from GridFS
+        // Compressed files have their original size in metadata, while the length of any other file is its original size
         const result = await this.database.files.aggregate([
             { $match: { _id: { $in: allFileIds } } },
-            { $group: { _id: null, totalBytes: { $sum: '$length' } } }
+            { $group: { _id: null,
+                totalBytes: { $sum: '$length' },
+                totalLogicalBytes: { $sum: { $ifNull: ['$metadata.originalSize', '$length'] } }
+            } }
         ]).toArray();
         
         const totalBytes = result.length > 0 ? result[0].totalBytes : 0;
+        const totalLogicalBytes = result.length > 0 ? result[0].totalLogicalBytes : 0;
         this.data.totalSize = totalBytes;
-        console.log(`  📏 Total project size: ${this.formatBytes(totalBytes)}`);
+        this.data.totalLogicalSize = totalLogicalBytes;
+        console.log(`  📏 Total project size: ${this.formatBytes(totalBytes)} stored` +
+            ` (${this.formatBytes(totalLogicalBytes)} once decompressed)`);
     };
 
     updateTotals = async () => {
@@ -318,6 +404,7 @@ class Project {
         // Update the remote
         this.data.mdcount = this.countAvailableMDs();
         await this.updateMdMetadata(metadata, mdIndex, false, false);
+        return mdIndex;
     }
 
     // Remove an existing MD directory
@@ -452,7 +539,7 @@ class Project {
         // If there is an already existing metadata then we modify it and send it back to mongo
         // WARNING: Note that values in current metadata which are missing in new metadata will remain
         // This makes sense since we are 'appending' new data
-        const changed = await merge_metadata(previousMetadata, newMetadata, conserve, overwrite);
+        const changed = await merge_metadata(previousMetadata, newMetadata, conserve, overwrite, this.policy);
         // If there were no changes in metadata then there is no need to update remote project data
         if (!changed) return console.log(chalk.grey(`Project metadata is already up to date`));
         // Finally, load the modified current metadata object into mongo
@@ -470,7 +557,7 @@ class Project {
         // At this point metadata should exist
         if (!mdData) throw new Error(`MD with index ${mdIndex} does not exist`);
         // Update the MD object with the MD metadata
-        const changed = await merge_metadata(mdData, newMetadata, conserve, overwrite);
+        const changed = await merge_metadata(mdData, newMetadata, conserve, overwrite, this.policy);
         // If there were no changes in metadata then there is no need to update remote project data
         if (!changed) return console.log(chalk.grey(`MD metadata is already up to date`));
         // Finally, load the new mds object into mongo
@@ -478,21 +565,35 @@ class Project {
         this.updatedAnyMetadata = true;
     };
 
-    // Check if there is a previous document already saved
-    // If so, check if we must delete it or conserve it
-    forestallTopologyLoad = async (newTopology, conserve, overwrite) => {
+    // Find out what would happen with a new topology load, without changing anything
+    // Return 'new' when there is no previous topology, 'skipped' when the previous topology is to be conserved,
+    // 'overwritten' when it is to be replaced and 'conflicting' when the user is to be asked
+    previewTopologyLoad = async (newTopology, conserve, overwrite) => {
+        // Apply the conflict policy, if any
+        ({ conserve, overwrite } = this._applyPolicy('topology', 'topology', conserve, overwrite));
         // Check if current project already has a topology in the database
         const exist = await this.database.topologies.findOne({ project: this.id });
         // In case it does not exist we are done
-        if (!exist) return true;
+        if (!exist) return 'new';
         // In case it exists and the 'conserve' flag has been passed we end here
-        if (conserve) return false;
+        if (conserve) return 'skipped';
         // Check if both documents are identical
         // In this case we stop here since it makes not sense uploading the same
-        if (JSON.stringify(exist) === JSON.stringify(newTopology)) return false;
+        if (JSON.stringify(exist) === JSON.stringify(newTopology)) return 'skipped';
+        // In case the 'overwrite' flag has been passed there is no need to ask the user
+        if (overwrite) return 'overwritten';
+        return 'conflicting';
+    };
+
+    // Check if there is a previous document already saved
+    // If so, check if we must delete it or conserve it
+    forestallTopologyLoad = async (newTopology, conserve, overwrite) => {
+        const status = await this.previewTopologyLoad(newTopology, conserve, overwrite);
+        if (status === 'new') return true;
+        if (status === 'skipped') return false;
         // Ask the user in case the 'overwrite' flag has not been passed
         const message = 'There is already a topology in this project.';
-        const confirm = overwrite ? true : await userConfirmDataLoad(message);
+        const confirm = status === 'overwritten' ? true : await userConfirmDataLoad(message);
         // If the user has asked to conserve current data then abort the process
         if (!confirm) return false;
         // We must delete the current document in mongo
@@ -502,10 +603,11 @@ class Project {
 
     // Set handler to update the topologies collection, which is not coordinated with 'projects'
     // Check if there is already a loaded value different from the the new value to warn the user
+    // Return the new topology id or null if the topology was not loaded
     loadTopology = async (newTopology, conserve, overwrite) => {
         // Anticipate the load and delete previous topology if necessary
         const userConsent = await this.forestallTopologyLoad(newTopology, conserve, overwrite);
-        if (!userConsent) return;
+        if (!userConsent) return null;
         logger.startLog(`💽 Loading topology data`);
         // Upload the new topology
         const result = await this.database.topologies.insertOne(newTopology);
@@ -517,6 +619,7 @@ class Project {
             collection: this.database.topologies,
             id: result.insertedId
         });
+        return result.insertedId;
     };
 
     // Get the current project topology
@@ -537,21 +640,80 @@ class Project {
         ? this.data.mds[mdIndex].files
         : this.data.files;
 
-    // Check if there is a previous file with the same name
-    // If so, check if we must delete it or conserve it
-    forestallFileLoad = async (filename, mdIndex, conserve, overwrite) => {
+    // Check if a previously loaded file is identical to a new file to be loaded
+    // Files are compared through the checksum and size stored in the file metadata when they were loaded
+    // The source file is only hashed when sizes match, since it may be huge
+    // Note that files loaded before checksums were stored are never identical
+    isFileUnchanged = async (filename, mdIndex, sourceFilepath, trajectoryOptions) => {
+        const alreadyExistingFile = this.findFile(filename, mdIndex);
+        if (!alreadyExistingFile) return false;
+        // Files in a group of associated data are overwritten or conserved together, so they are never skipped alone
+        const associatedDataLabel = this.findFileAssociatedDataLabel(filename);
+        const associatedData = associatedDataLabel &&
+            await this.findAssociatedData(associatedDataLabel, mdIndex);
+        if (associatedData && associatedData.count > 1) return false;
+        // Get the stored checksum
+        const fileDocument = await this.database.files.findOne({ _id: alreadyExistingFile.id });
+        const metadata = fileDocument && fileDocument.metadata;
+        if (!metadata || !metadata.sha256) return false;
+        if (this.fileSystem.statSync(sourceFilepath).size !== metadata.sourceSize) return false;
+        // If trajectory options are passed then the loaded trajectory must have the same frames, atoms and codec
+        if (trajectoryOptions) {
+            const { frameSelection = FULL_SELECTION, atomSelection = null, codec = null } = trajectoryOptions;
+            if (!matchesFrameSelection(frameSelection, metadata)) return false;
+            if (!matchesAtomSelection(atomSelection, metadata)) return false;
+            if (!matchesTrajectoryCodec(codec, metadata)) return false;
+        }
+        // If there is a metadata file associated to this file then its values must be identical as well
+        const metadataFilepath = sourceFilepath + '.meta.json';
+        if (this.fileSystem.existsSync(metadataFilepath)) {
+            const additionalMetadata = loadJSON(metadataFilepath, this.fileSystem) || {};
+            const sameMetadata = Object.entries(additionalMetadata)
+                .every(([key, value]) => JSON.stringify(metadata[key]) === JSON.stringify(value));
+            if (!sameMetadata) return false;
+        }
+        // Hash the source file and compare checksums
+        logger.startLog(`🔍 Comparing ${filename} with the already loaded file`);
+        const { sha256 } = await getFileChecksum(sourceFilepath, this.fileSystem);
+        const unchanged = sha256 === metadata.sha256;
+        logger.successLog(`🔍 ${filename} is ${unchanged ? 'identical to' : 'different from'} the already loaded file`);
+        return unchanged;
+    };
+
+    // Find out what would happen with a new file load, without changing anything
+    // Return 'new' when there is no previous file, 'skipped' when the previous file is to be conserved,
+    // 'overwritten' when it is to be replaced and 'conflicting' when the user is to be asked
+    // The category is used to find the conflict policy rules to apply (i.e. files or trajectories)
+    // If the source filepath is passed then identical files are 'skipped' regardless of the policy
+    // Trajectories are only identical if they were loaded with the same trajectory options (frames, atoms and codec) as well
+    previewFileLoad = async (filename, mdIndex, conserve, overwrite, category = 'files', sourceFilepath, trajectoryOptions) => {
+        // Apply the conflict policy, if any
+        ({ conserve, overwrite } = this._applyPolicy(category, filename, conserve, overwrite));
         // Find the file summary
         const alreadyExistingFile = this.findFile(filename, mdIndex);
         // If the new file is not among the current files then there is no problem
-        if (!alreadyExistingFile) return true;
+        if (!alreadyExistingFile) return 'new';
+        // If the new file is identical to the current file then there is nothing to do
+        if (sourceFilepath && await this.isFileUnchanged(filename, mdIndex, sourceFilepath, trajectoryOptions)) return 'skipped';
         // Check if the load was previously confirmed for the associated data group
         const associatedDataLabel = this.findFileAssociatedDataLabel(filename);
         const previousConfirm = this.getAssociatedDataLoadConfirmation(mdIndex, associatedDataLabel);
         // In case it exists and the 'conserve' flag has been passed we end here
-        if (conserve || previousConfirm === false) return false;
-        // Note that here we do not check if files are identical since they may be huge
+        if (conserve || previousConfirm === false) return 'skipped';
+        if (overwrite || previousConfirm === true) return 'overwritten';
+        return 'conflicting';
+    };
+
+    // Check if there is a previous file with the same name
+    // If so, check if we must delete it or conserve it
+    forestallFileLoad = async (filename, mdIndex, conserve, overwrite, category = 'files') => {
+        const status = await this.previewFileLoad(filename, mdIndex, conserve, overwrite, category);
+        // If the new file is not among the current files then there is no problem
+        if (status === 'new') return true;
+        if (status === 'skipped') return false;
         // Ask the user in case the 'overwrite' flag has not been passed
-        let confirm = overwrite || previousConfirm === true;
+        const associatedDataLabel = this.findFileAssociatedDataLabel(filename);
+        let confirm = status === 'overwritten';
         if (!confirm) {
             // Find if there is data associated to this file
             let message = `There is already a file named "${filename}" in this project.`;
@@ -576,50 +738,129 @@ class Project {
         return true;
     };
 
+    // Set the metadata of a new file, including the metadata file associated to the source file, if any
+    // Return the metadata and the label of the file to be displayed in the logs
+    _getFileMetadata = (filename, mdIndex, sourceFilepath) => {
+        // If there is a metadata file associated to this file then load it
+        let additionalMetadata = {};
+        const metadataFilepath = sourceFilepath + '.meta.json';
+        const metadataExists = this.fileSystem.existsSync(metadataFilepath)
+        if (metadataExists) additionalMetadata = loadJSON(metadataFilepath, this.fileSystem);
+        // Set metadata to be written in the file entry
+        const metadata = { project: this.id, md: mdIndex, ...additionalMetadata };
+        const label = `${filename}${metadataExists ? ' (+ meta)' : ''}`;
+        return { metadata, label };
+    };
+
+    // Set the reference of a project file to its file in the files collection
+    // Project files are null for files which belong to the project and not to any MD
+    _getFileReference = (filename, mdIndex) => ({ project: this.id, md: mdIndex ?? null, name: filename });
+
+    // Check if a source file is to be stored content-addressed
+    // Files with a metadata file are never deduplicated, since their metadata is specific of every project
+    _isContentAddressed = sourceFilepath => this.deduplicate &&
+        !this.fileSystem.existsSync(sourceFilepath + '.meta.json');
+
+    // Set the metadata which makes a new file content-addressed, referenced only by the new project file so far
+    _getContentAddressedMetadata = (filename, mdIndex) => ({
+        contentAddressed: true,
+        refCount: 1,
+        references: [this._getFileReference(filename, mdIndex)],
+    });
+
+    // Find an already loaded content-addressed file identical to a source file, given the source checksum and size
+    // If there is any then reference it from this project instead of uploading the file again
+    // Return the already loaded file id and size or null if there is no identical file
+    _reuseIdenticalFile = async (filename, mdIndex, { sha256, size }) => {
+        const identicalFile = await this.database.files.findOne({
+            'metadata.contentAddressed': true, 'metadata.sha256': sha256, 'metadata.sourceSize': size });
+        if (!identicalFile) {
+            logger.successLog(`🔍 There is no already loaded file identical to ${filename}`);
+            return null;
+        }
+        await this.database.addFileReference(identicalFile._id, this._getFileReference(filename, mdIndex));
+        logger.successLog(`🔗 Reused file ${identicalFile._id} for ${filename} ` +
+            `(already loaded as ${identicalFile.filename} by project ${identicalFile.metadata.project})`);
+        // Update project data as the file has been loaded
+        await this._addProjectFile(filename, mdIndex, identicalFile._id);
+        return { id: identicalFile._id, size: identicalFile.length, deduplicated: true };
+    };
+
     // Load a file using the mongo gridfs bucket
+    // The checksum of the file content is calculated along the upload and stored in the file metadata
+    // The chunk size depends on the file category and it is stored in the file metadata as well
+    // Very large files are uploaded chunk by chunk instead, so the upload may be resumed if it is interrupted
+    // In content-addressed mode, files identical to an already loaded file are not uploaded but referenced
+    // The source file is hashed in advance then, so its checksum is passed to the upload instead of hashing it again
+    // Return the new file id and size
     loadFile = async (filename, mdIndex, sourceFilepath, abort) => {
+        const contentAddressed = this._isContentAddressed(sourceFilepath);
+        let sourceChecksum = null;
+        if (contentAddressed) {
+            logger.startLog(`🔍 Looking for an already loaded file identical to ${filename}`);
+            sourceChecksum = await getFileChecksum(sourceFilepath, this.fileSystem);
+            const reusedFile = await this._reuseIdenticalFile(filename, mdIndex, sourceChecksum);
+            if (reusedFile) return reusedFile;
+        }
+        if (this.fileSystem.statSync(sourceFilepath).size >= this.resumableUploadSize)
+            return await this.loadFileResumably(filename, mdIndex, sourceFilepath, abort, sourceChecksum);
+        // Hash the file content as it is read, unless it is already hashed
+        const checksum = sourceChecksum ? null : createChecksum();
+        // Set the content encoding, if the file is to be compressed
+        const contentEncoding = findFileEncoding(this.fileCompression, filename);
+        // Track the amount of data read and actually stored, which is smaller than the file if it is compressed
+        let currentData = 0;
+        let storedData = 0;
         // Wrap all this function inside a promise which is resolved by the stream
-        await new Promise((resolve, reject) => {
-            // If there is a metadata file associated to this file then load it
-            let additionalMetadata = {};
-            const metadataFilepath = sourceFilepath + '.meta.json';
-            const metadataExists = fs.existsSync(metadataFilepath)
-            if (metadataExists) additionalMetadata = loadJSON(metadataFilepath);
+        // The promise returns the id of the new file
+        const uploadedFileId = await new Promise((resolve, reject) => {
             // Set metadata to be written in the file entry
-            const metadata = { project: this.id, md: mdIndex, ...additionalMetadata };
+            const { metadata, label: fileLabel } = this._getFileMetadata(filename, mdIndex, sourceFilepath);
+            const label = fileLabel + (contentEncoding ? ` (${contentEncoding})` : '');
+            // Set the chunk size, which is also the size of the read buffer
+            const chunking = getChunking(getFileCategory(filename));
             // Start the logs
-            const label = `${filename}${metadataExists ? ' (+ meta)' : ''}`; 
             logger.startLog(`💽 Loading new file: ${label}`);
             // Create variables to track the ammount of data to be passed and already passed
-            const totalData = fs.statSync(sourceFilepath).size;
-            let currentData = 0;
+            const totalData = this.fileSystem.statSync(sourceFilepath).size;
             const startTime = Date.now();
             // Start reading the file by streaming
-            const readStream = fs.createReadStream(sourceFilepath,
-                { highWaterMark: 4 * 1024 * 1024 } // 4 MiB buffer
+            const readStream = this.fileSystem.createReadStream(sourceFilepath,
+                { highWaterMark: chunking.size }
             );
+            // Hash the original content, even if it is compressed, so further loads may compare it with the source file
+            readStream.on('data', data => {
+                currentData += data.length;
+                if (checksum) checksum.update(data);
+            });
+            // Compress the file content, if requested
+            // Note that the compressed stream is paused along with the upload, which pauses the file reading as well
+            const compressStream = contentEncoding && createCompressStream(contentEncoding);
+            const dataStream = compressStream ? readStream.pipe(compressStream) : readStream;
             // Open the mongo writable stream with a few customized options
             // All data uploaded to mongo by this way is stored in fs.chunks
             // fs.chunks is a default collection of mongo which is managed internally
             const uploadStream = this.database.bucket.openUploadStream(filename, {
                 // Check that the file format is accepted. If not, change it to "octet-stream"
                 contentType: getMimeTypeFromFilename(filename),
-                metadata: metadata,
-                chunkSizeBytes: 4 * 1024 * 1024, // 4 MiB
+                metadata: { ...metadata, chunking, ...(contentEncoding ? { contentEncoding } : {}) },
+                chunkSizeBytes: chunking.size,
             });
             // The resulting id of the current upload stream is saved as an environment variable
             // In case of abort, this id is used by the automatic cleanup to find orphan chunks
-            this.currentUploadId = uploadStream.id;
+            this.trackUpload(uploadStream.id);
             // Promise is not resolved if the readable stream returns error
-            readStream.on('error', () => {
+            const handleError = () => {
                 const progress = Math.round((currentData / totalData) * 10000) / 100;
                 logger.failLog(`💽 Failed to load file ${label} -> ${uploadStream.id} at ${progress} %`);
                 reject();
-            });
+            };
+            readStream.on('error', handleError);
+            if (compressStream) compressStream.on('error', handleError);
             // Output the percentaje of data already loaded to the logs
-            readStream.on('data', async data => {
+            dataStream.on('data', async data => {
                 // Sum the new data chunk number of bytes
-                currentData += data.length;
+                storedData += data.length;
                 // Calculate the progress rounded to 2 decimals
                 const progress = Math.round((currentData / totalData) * 10000) / 100;
                 // Calculate the amount of time we have been loading the file
@@ -630,23 +871,25 @@ class Project {
                 // Update the logs
                 logger.updateLog(`💽 Loading file ${label} -> ${uploadStream.id}\n  at ${progress} % (in ${time}) [${speedMBps} MB/s]`);
                 // Pause and wait for the callback to resume
-                readStream.pause();
+                dataStream.pause();
                 // Check that local buffer is sending data out before continue to prevent memory leaks
                 uploadStream.write(data, 'utf8', async () => {
                     await abort();
-                    readStream.resume();
+                    dataStream.resume();
+                });
+            });
+            // At the end
+            dataStream.on('end', () => {
+                uploadStream.end(() => {
+                    // Calculate final average speed
+                    const totalSeconds = (Date.now() - startTime) / 1000;
+                    const avgSpeedMBps = (totalData / totalSeconds / (1000 * 1000)).toFixed(2);
+                    // Display it through the logs
+                    const compressedProgress = Math.round((storedData / totalData) * 10000) / 100;
+                    const compression = contentEncoding ? ` (compressed to ${compressedProgress} %)` : '';
+                    logger.successLog(`💽 Loaded file ${label} -> ${uploadStream.id} (100 %) [avg: ${avgSpeedMBps} MB/s]${compression}`);
+                    resolve(uploadStream.id);
                 });
-                // At the end
-                if (currentData / totalData === 1) {
-                    uploadStream.end(() => {
-                        // Calculate final average speed
-                        const totalSeconds = (Date.now() - startTime) / 1000;
-                        const avgSpeedMBps = (totalData / totalSeconds / (1000 * 1000)).toFixed(2);
-                        // Display it through the logs
-                        logger.successLog(`💽 Loaded file ${label} -> ${uploadStream.id} (100 %) [avg: ${avgSpeedMBps} MB/s]`);
-                        resolve();
-                    });
-                }
             });
         });
         // Wait until the file document is visible in Mongo before registering it in the project
@@ -662,19 +905,170 @@ class Project {
             }
             throw new Error(`File not found with id: ${fileId}`);
         };
-        const uploadedFileId = this.currentUploadId;
         const result = await waitForFileDocument(uploadedFileId);
+        // Add the checksum to the file metadata, so further loads may find out if the file has changed
+        // This can not be set when the upload starts since the checksum is only known at the end
+        // Content-addressed files are marked once they are complete, so they are never reused half written
+        // The source size is the original size, which is also stored along with the compressed size for compressed files
+        const completeMetadata = {
+            'metadata.sha256': checksum ? checksum.digest('hex') : sourceChecksum.sha256,
+            'metadata.sourceSize': currentData
+        };
+        if (contentEncoding) Object.assign(completeMetadata, {
+            'metadata.originalSize': currentData,
+            'metadata.compressedSize': result.length,
+        });
+        if (contentAddressed) Object.entries(this._getContentAddressedMetadata(filename, mdIndex))
+            .forEach(([key, value]) => completeMetadata[`metadata.${key}`] = value);
+        await this.database.files.updateOne({ _id: uploadedFileId }, { $set: completeMetadata });
         // Update project data as the new file has been loaded
         // Pass the file length (size in bytes) to update the totalSize
         await this._addProjectFile(filename, mdIndex, uploadedFileId, result.length);
         // Remove this id from the current upload id
-        this.currentUploadId = null;
+        this.untrackUpload(uploadedFileId);
+        return { id: uploadedFileId, size: result.length };
     }
 
+    // Load a file by writing GridFS chunks one by one, so the upload may be resumed after a restart
+    // A provisional file document is written first, so further loads find the upload and resume it
+    // Chunks are written in order, so the number of already written chunks says where to resume
+    // The file document is only completed (length and checksum) and registered in the project once the last chunk is written
+    // Provisional uploads are only resumed if the source file has the same size and modification time
+    // Note that the whole source file is read even when resuming, since it has to be hashed anyway
+    // If the source checksum is passed then the source is not hashed again
+    // Note that these uploads are not tracked as current uploads, since resumed loads would delete their chunks
+    // Compressed uploads are restarted from the first chunk instead, since compressing the file again is not granted
+    // to give the very same bytes (e.g. after a zlib update) and mixing chunks from both would corrupt the file silently
+    // Return the new file id and size
+    loadFileResumably = async (filename, mdIndex, sourceFilepath, abort, sourceChecksum = null) => {
+        let { metadata, label } = this._getFileMetadata(filename, mdIndex, sourceFilepath);
+        // Set the source file identity
+        // Note that files in project archives have no modification time
+        const { size: totalData, mtimeMs } = this.fileSystem.statSync(sourceFilepath);
+        const source = { size: totalData, modified: mtimeMs || null };
+        // Find a previous provisional upload of this file, if any
+        let provisional = await this.database.files.findOne({ filename, 'metadata.project': this.id,
+            'metadata.md': mdIndex ?? null, 'metadata.resumableUpload': { $exists: true } });
+        // If the source file has changed since then the previous upload is useless
+        // Previous compressed uploads are useless as well, as explained above
+        const sourceChanged = provisional
+            && JSON.stringify(provisional.metadata.resumableUpload.source) !== JSON.stringify(source);
+        if (provisional && (sourceChanged || provisional.metadata.contentEncoding)) {
+            await this.database.deleteHalfWrittenUpload(provisional._id);
+            provisional = null;
+        }
+        // Write a new provisional file document otherwise
+        if (!provisional) {
+            const chunking = getChunking(getFileCategory(filename));
+            const contentEncoding = findFileEncoding(this.fileCompression, filename);
+            provisional = {
+                length: 0,
+                chunkSize: chunking.size,
+                uploadDate: new Date(),
+                filename: filename,
+                contentType: getMimeTypeFromFilename(filename),
+                metadata: { ...metadata, chunking, ...(contentEncoding ? { contentEncoding } : {}), resumableUpload: { source } },
+            };
+            const result = await this.database.files.insertOne(provisional);
+            if (result.acknowledged === false) throw new Error(`Failed to write the provisional document of file ${filename}`);
+            provisional._id = result.insertedId;
+        }
+        // Note that resumed uploads keep their chunk size, even if a different one is set now
+        const fileId = provisional._id;
+        const chunkSize = provisional.chunkSize;
+        const contentEncoding = provisional.metadata.contentEncoding || null;
+        // Find where to resume the upload
+        const writtenChunks = await this.database.chunks.countDocuments({ files_id: fileId });
+        const resumedData = Math.min(writtenChunks * chunkSize, totalData);
+        const resumedProgress = Math.round((resumedData / totalData) * 10000) / 100;
+        const resumed = `at ${resumedProgress} %`;
+        if (contentEncoding) label += ` (${contentEncoding})`;
+        logger.startLog(`💽 Loading new file: ${label} -> ${fileId}` +
+            (writtenChunks > 0 ? ` (resuming ${resumed})` : ''));
+        // Hash the file content as it is read, unless it is already hashed
+        const checksum = sourceChecksum ? null : createChecksum();
+        let currentData = 0;
+        let storedData = 0;
+        const startTime = Date.now();
+        // Write the next chunk, unless it was already written
+        let chunkNumber = 0;
+        const writeChunk = async data => {
+            if (chunkNumber >= writtenChunks) {
+                const result = await this.database.chunks.insertOne({ files_id: fileId, n: chunkNumber, data: data });
+                if (result.acknowledged === false) throw new Error(`Failed to write chunk ${chunkNumber} of file ${filename}`);
+            }
+            chunkNumber += 1;
+        };
+        // Read the file and write its data in chunks of the exact chunk size
+        // The original content is hashed, even if it is compressed, so further loads may compare it with the source file
+        let pendingData = Buffer.alloc(0);
+        const readStream = this.fileSystem.createReadStream(sourceFilepath, { highWaterMark: chunkSize });
+        readStream.on('data', data => {
+            currentData += data.length;
+            if (checksum) checksum.update(data);
+        });
+        const dataStream = contentEncoding ? readStream.pipe(createCompressStream(contentEncoding)) : readStream;
+        for await (const data of dataStream) {
+            storedData += data.length;
+            pendingData = Buffer.concat([pendingData, data]);
+            while (pendingData.length >= chunkSize) {
+                await writeChunk(pendingData.subarray(0, chunkSize));
+                pendingData = pendingData.subarray(chunkSize);
+            }
+            // Update the logs
+            const progress = Math.round((currentData / totalData) * 10000) / 100;
+            const time = prettyMs(Date.now() - logger.logTime());
+            const elapsedSeconds = (Date.now() - startTime) / 1000;
+            const speedMBps = (Math.max(0, currentData - resumedData) / elapsedSeconds / (1000 * 1000)).toFixed(2);
+            logger.updateLog(`💽 Loading file ${label} -> ${fileId}\n  at ${progress} % (in ${time}) [${speedMBps} MB/s]`);
+            await abort();
+        }
+        // Write the last chunk, which is usually smaller
+        if (pendingData.length > 0) await writeChunk(pendingData);
+        if (currentData !== totalData) throw new Error(`File ${filename} changed while it was being loaded`);
+        // Complete the file document with the file length and checksum
+        // Note that the resumable upload metadata is removed as well, so the file is not provisional anymore
+        const compression = contentEncoding
+            ? { contentEncoding, originalSize: totalData, compressedSize: storedData }
+            : {};
+        const result = await this.database.files.updateOne({ _id: fileId }, { $set: {
+            length: storedData,
+            uploadDate: new Date(),
+            metadata: { ...metadata, chunking: provisional.metadata.chunking, ...compression,
+                sha256: checksum ? checksum.digest('hex') : sourceChecksum.sha256, sourceSize: totalData,
+                ...(this._isContentAddressed(sourceFilepath) ? this._getContentAddressedMetadata(filename, mdIndex) : {}) },
+        } });
+        if (result.acknowledged === false) throw new Error(`Failed to complete the document of file ${filename}`);
+        logger.successLog(`💽 Loaded file ${label} -> ${fileId} (100 %)` +
+            (writtenChunks > 0 ? ` (resumed ${resumed})` : ''));
+        // Update project data as the new file has been loaded
+        await this._addProjectFile(filename, mdIndex, fileId);
+        return { id: fileId, size: storedData };
+    };
+
     // Load a file using the mongo gridfs bucket
-    loadTrajectoryFile = async (filename, mdIndex, sourceFilepath, gromacsCommand, abort) => {
+    // The trajectory is read natively unless a Gromacs command is passed
+    // Note that Gromacs needs an actual file in disk, so the project file system is only used by native readers
+    // The checksum of the source trajectory is stored in the file metadata, since the loaded data is parsed
+    // The checksum of the loaded data is stored as well, so the upload may be verified
+    // Return the new file id and size as well as the number of frames and atoms
+    // Trajectory options are:
+    // - frameSelection: only these frames are loaded, but the whole trajectory is read to count the original frames
+    // - atomSelection: only these atoms are loaded, if any
+    // - codec: how coordinates are stored, if not raw
+    loadTrajectoryFile = async (filename, mdIndex, sourceFilepath, gromacsCommand, abort, trajectoryOptions = {}) => {
+        const { frameSelection = FULL_SELECTION, atomSelection = null, codec = null } = trajectoryOptions;
         // Get the filename alone, without the whole path, for displaying
         const basename = getBasename(sourceFilepath);
+        const fileSystem = gromacsCommand ? fs : this.fileSystem;
+        // Native readers hash the source trajectory from the same stream they read, so it is read only once
+        // Gromacs reads the file on its own so in this case the source is hashed apart, while it is being parsed
+        // If the source can not be read then the parsing fails as well, so the checksum is just not stored
+        const checksumStream = gromacsCommand ? null : createChecksumStream();
+        const hashSource = () => getFileChecksum(sourceFilepath, fileSystem).catch(() => null);
+        const sourceChecksum = gromacsCommand ? hashSource() : null;
+        // Hash the loaded data as it is uploaded
+        const dataChecksum = createChecksum();
         // Display the start of this process in console
         logger.startLog(`💽 Loading trajectory file '${basename}' as '${filename}'`);
         // Track the current frame
@@ -683,6 +1077,8 @@ class Project {
         const startTime = Date.now();
         let bytesWritten = 0;
         const totalFrames = this.data.mds[mdIndex]?.frames || 0;
+        // Keep the id of the new file once the upload stream is open
+        let uploadedFileId;
         // This throttle wrap makes the function not to be called more than once in a time range (1 second)
         const updateLogs = throttle(() => {
             // Update logs periodically to show the user the time taken for the running process
@@ -694,7 +1090,7 @@ class Project {
             const progressInfo = totalFrames > 0 
                 ? `${((frameCount / totalFrames) * 100).toFixed(1)}% `
                 : '';
-            logger.updateLog(`💽 Loading trajectory file '${basename}' as '${filename}' [${this.currentUploadId}]\n`+
+            logger.updateLog(`💽 Loading trajectory file '${basename}' as '${filename}' [${uploadedFileId}]\n`+
                 `     ${progressInfo}(frame ${frameCount}${totalFrames > 0 ? '/' + totalFrames : ''} in ${timeTaken}) [${speedMBps} MB/s]`);
             // Warn user if the process is stuck
             // "setTimeout" and "clearTimeout" are node built-in functions
@@ -708,91 +1104,325 @@ class Project {
                 logger.updateLog(`${logger.logText()} ${chalk.yellow(message)}`);
             }, TIMEOUT_WARNING);
         }, THROTTLE_TIME);
+        // Keep the step, time and box of the current frame, if the trajectory reader/parser knows them
+        let frameInfo = {};
         // Set a function which adds one to to the frame counter
         // This function is then passed to the trajectory reader/parser
-        const addOneFrame = () => {
+        const addOneFrame = (newFrameInfo = {}) => {
             frameCount += 1
+            frameInfo = newFrameInfo;
             updateLogs();
         };
-        await new Promise(async (resolve, reject) => {
+        // Keep where every loaded frame starts in the new file, along with its step, time and box
+        const frameIndexEntries = [];
+        // The promise returns the size of the new file, the number of loaded frames and the number of atoms
+        const { size, frames, atoms } = await new Promise(async (resolve, reject) => {
             // Set initial metadata for the file document
             const metadata = { project: this.id, md: mdIndex };
-            // Open an upload stream to mongo
-            // All data uploaded to mongo by this way is stored in fs.chunks
-            // fs.chunks is a default collection of mongo which is managed internally
-            const uploadStream = this.database.bucket.openUploadStream(filename, {
-                filename: filename,
-                contentType: 'application/octet-stream',
-                metadata: metadata,
-                chunkSizeBytes: 4 * 1024 * 1024, // 4 MiB
-            });
-            // The resulting id of the current upload stream is saved as an environment variable
-            // In case of abort, this id is used by the automatic cleanup to find orphan chunks
-            this.currentUploadId = uploadStream.id;
-            // If there is an error then display the end of this process as failure in console
-            uploadStream.on('error', error => {
-                logger.failLog(error);
-                reject();
-            });
-            // This function is equivalent to openning a new terinal and typing this:
+            // Set how the trajectory is to be chunked
+            // Chunks may have a fixed number of frames, so frame ranges are read from as few chunks as possible
+            const chunking = getChunking('trajectory');
+            // The upload stream is opened along with the first write, since frame-aligned chunks need the frame size
+            let uploadStream = null;
+            const openUploadStream = frameSize => {
+                // Add the actual chunking to the metadata, since frames per chunk are limited by the maximum chunk size
+                const { chunkSize, frames } = getChunkSize(chunking, frameSize);
+                metadata.chunking = { category: chunking.category, size: chunkSize };
+                if (frames) metadata.chunking.frames = frames;
+                // Open an upload stream to mongo
+                // All data uploaded to mongo by this way is stored in fs.chunks
+                // fs.chunks is a default collection of mongo which is managed internally
+                uploadStream = this.database.bucket.openUploadStream(filename, {
+                    filename: filename,
+                    contentType: 'application/octet-stream',
+                    metadata: metadata,
+                    chunkSizeBytes: chunkSize,
+                });
+                // The resulting id of the current upload stream is saved as an environment variable
+                // In case of abort, this id is used by the automatic cleanup to find orphan chunks
+                uploadedFileId = uploadStream.id;
+                this.trackUpload(uploadedFileId);
+                // If there is an error then display the end of this process as failure in console
+                uploadStream.on('error', error => {
+                    logger.warnLog(`💽 Failed to upload trajectory file '${basename}' as '${filename}': ${error.message}`);
+                    reject(error);
+                });
+            };
+            // If a Gromacs command is passed then this function is equivalent to openning a new terinal and typing this:
             // gmx dump -f path/to/trajectory
             // This assembly runs Gromacs as a paralel process which returns an output in string chunks
             // These strings are converted in standarized "lines"
-            const trajectoryCoordinates = readAndParseTrajectory(sourceFilepath, gromacsCommand, addOneFrame, abort);
+            // Otherwise the trajectory is decoded natively, frame by frame
+            const trajectoryCoordinates = gromacsCommand
+                ? readAndParseTrajectory(sourceFilepath, gromacsCommand, addOneFrame, abort)
+                : readTrajectory(sourceFilepath, addOneFrame, abort, fileSystem, checksumStream);
             // Set a timeout
             let timeout;
             // Iterate over buffers of binary coordinates
-            for await (const coordinates of trajectoryCoordinates) {
+            // Note that the frame counter is updated before the coordinates of every frame are received
+            // Gromacs coordinates may come in several buffers per frame
+            // Track the number of atoms already received in the current frame
+            let currentFrame = 0;
+            let frameAtoms = 0;
+            // Track the number of loaded atoms, which can not be guessed from the file size if coordinates are encoded
+            let loadedAtoms = 0;
+            // If there is a codec then coordinates of every frame are accumulated and encoded once the frame is complete
+            // Frame-aligned chunks also need whole frames, so the first write sets the frame size
+            const wholeFrames = Boolean(codec || chunking.frames);
+            let framePieces = [];
+            // Upload data to the database
+            const writeData = async data => {
+                // Encoded frames have no fixed size, so they are never aligned with chunks
+                if (!uploadStream) openUploadStream(codec ? null : data.length);
                 // Track bytes written
-                bytesWritten += coordinates.length;
+                bytesWritten += data.length;
+                dataChecksum.update(data);
                 // In case of overload stop writing streams and wait until the drain is resolved
-                const keepGoing = uploadStream.write(coordinates);
+                const keepGoing = uploadStream.write(data);
                 if (!keepGoing) {
                     // Stop the loop here until the drain signal is sent
                     await new Promise(next => uploadStream.once('drain', next));
                     // Once passed, we remove the timeout
                     if (timeout) clearTimeout(timeout);
                 }
+            };
+            // Handle the end of a frame
+            const completeFrame = async () => {
+                if (currentFrame === 0) return;
+                // Check the atom selection fits the frame
+                if (atomSelection) checkAtomSelection(atomSelection, frameAtoms);
+                if (framePieces.length === 0) return;
+                const frame = Buffer.concat(framePieces);
+                framePieces = [];
+                await writeData(codec ? encodeFrame(codec, frame, currentFrame) : frame);
+            };
+            try {
+                for await (const coordinates of trajectoryCoordinates) {
+                    // Once a frame is complete start counting atoms of the new frame
+                    if (frameCount !== currentFrame) {
+                        await completeFrame();
+                        currentFrame = frameCount;
+                        frameAtoms = 0;
+                    }
+                    const atomOffset = frameAtoms;
+                    frameAtoms += coordinates.length / BYTES_PER_ATOM;
+                    // Skip frames out of the frame selection
+                    if (!isFrameSelected(frameSelection, frameCount)) continue;
+                    // Keep only the selected atoms
+                    const selectedCoordinates = atomSelection ? filterAtoms(atomSelection, coordinates, atomOffset) : coordinates;
+                    if (selectedCoordinates.length === 0) continue;
+                    // Add the frame to the frame index once its first coordinates are received
+                    // Previous frames are always completely written at this point
+                    const lastEntry = frameIndexEntries[frameIndexEntries.length - 1];
+                    if (!lastEntry || lastEntry.frame !== frameCount)
+                        frameIndexEntries.push({ frame: frameCount, offset: bytesWritten, ...frameInfo });
+                    // Count the loaded atoms in the first loaded frame, which is always the first frame of the selection
+                    if (frameCount === frameSelection.firstFrame) loadedAtoms += selectedCoordinates.length / BYTES_PER_ATOM;
+                    // Raw coordinates are uploaded as they come, unless whole frames are required
+                    if (wholeFrames) framePieces.push(selectedCoordinates);
+                    else await writeData(selectedCoordinates);
+                }
+                // Complete the last frame as well
+                await completeFrame();
+            }
+            // If the trajectory can not be read (e.g. it is corrupted) then stop here
+            catch (error) {
+                updateLogs.cancel();
+                if (timeoutID) clearTimeout(timeoutID);
+                // Remove the chunks which were already uploaded
+                if (uploadStream) {
+                    await uploadStream.abort();
+                    this.untrackUpload(uploadedFileId);
+                }
+                logger.warnLog(`💽 Failed to read trajectory file '${basename}' at frame ${frameCount + 1}: ${error.message}`);
+                return reject(error);
             }
             // Update the logs
             updateLogs.cancel();
             if (timeoutID) clearTimeout(timeoutID);
             logger.updateLog(`💽 All trajectory frames loaded (${frameCount}). Waiting for Mongo...`);
+            // If nothing was written then open the upload stream anyway, so the empty file is handled below
+            if (!uploadStream) openUploadStream(null);
             // Wait until one of the endings has ended and stop any reamining timeout
+            // Note that errors thrown in this callback would never reach the promise, so they are passed to it
             uploadStream.end(async () => {
-                // Remove the timeout
-                if (timeout) clearTimeout(timeout);
-                // Check we actually loaded any frame
-                if (frameCount === 0) {
-                    // Delete the wrong trajectory entry
-                    // WARNING: If not deleted here, it would create a duplicate entry
-                    await this.database.bucket.delete(uploadStream.id);
-                    logger.failLog(`💽 Failed to load any frame in trajectory file '${basename}' as '${filename}' [${uploadStream.id}] -> Check Gromacs is working fine`);
-                    reject();
+                try {
+                    // Remove the timeout
+                    if (timeout) clearTimeout(timeout);
+                    // Find which frames were actually loaded
+                    const { frames, stride, frameRange } = getSelectedFrames(frameSelection, frameCount);
+                    // Check we actually loaded any frame
+                    if (frames === 0) {
+                        // Delete the wrong trajectory entry
+                        // WARNING: If not deleted here, it would create a duplicate entry
+                        await this.database.bucket.delete(uploadStream.id);
+                        this.untrackUpload(uploadStream.id);
+                        const hint = frameCount > 0 ? `The frame selection leaves no frames out of ${frameCount}`
+                            : gromacsCommand ? 'Check Gromacs is working fine' : 'Check the trajectory file is fine';
+                        const message = `Failed to load any frame in trajectory file '${basename}' as '${filename}' -> ${hint}`;
+                        logger.warnLog(`💽 ${message} [${uploadStream.id}]`);
+                        return reject(new Error(message));
+                    }
+                    // Display the end of this process as success in console
+                    const totalSeconds = (Date.now() - startTime) / 1000;
+                    const avgSpeedMBps = (bytesWritten / totalSeconds / (1000 * 1000)).toFixed(2);
+                    logger.successLog(
+                        `💽 Loaded trajectory file '${basename}' as '${filename}' [${uploadStream.id}]\n` +
+                        `(${frames === frameCount ? frames : `${frames} of ${frameCount}`} frames) [avg: ${avgSpeedMBps} MB/s]`);
+                    // Add the number of frames to the matadata object
+                    metadata.frames = frames;
+                    // Add how loaded frames map to the original trajectory frames
+                    // Loaded frame i (0-based) is the original frame frameRange[0] + i * stride (1-based)
+                    metadata.originalFrames = frameCount;
+                    metadata.stride = stride;
+                    metadata.frameRange = frameRange;
+                    // Add the number of atoms in the loaded trajectory to the metadata object
+                    metadata.atoms = loadedAtoms;
+                    // Add the number of atoms in the original trajectory and which of them were loaded, if not all
+                    // Loaded atoms are those in the atom ranges (first and last atom indices, 0-based and included)
+                    metadata.originalAtoms = frameAtoms;
+                    if (atomSelection) {
+                        metadata.atomSelection = atomSelection.definition;
+                        metadata.atomRanges = atomSelection.ranges;
+                    }
+                    // Add how coordinates are encoded, if they are, along with a description of the format
+                    if (codec) metadata.codec = { ...codec, format: describeCodec(codec) };
+                    // Add the source checksum to the metadata object, so further loads may find out if the source has changed
+                    // Readers may stop before the end of the file (e.g. trailing data), so the file is hashed apart in this case
+                    const checksum = checksumStream ? (checksumStream.getChecksum() || await hashSource()) : await sourceChecksum;
+                    if (checksum) {
+                        metadata.sha256 = checksum.sha256;
+                        metadata.sourceSize = checksum.size;
+                    }
+                    // Add the checksum of the loaded data, which is different from the source since it is parsed
+                    metadata.dataSha256 = dataChecksum.digest('hex');
+                    // Updated the recently created file document with additional metadata
+                    const result = await this.database.files.findOneAndUpdate({ _id: uploadStream.id }, { $set: { metadata: metadata } }, { includeResultMetadata: true });
+                    // If the operation failed then warn the user
+                    if (result.acknowledged === false) throw new Error(`Failed to update file data`);
+                    if (result.value === null) throw new Error(`File not found`);
+                    resolve({ size: uploadStream.length, frames, atoms: metadata.atoms });
+                }
+                catch (error) {
+                    reject(error);
                 }
-                // Display the end of this process as success in console
-                const totalSeconds = (Date.now() - startTime) / 1000;
-                const avgSpeedMBps = (bytesWritten / totalSeconds / (1000 * 1000)).toFixed(2);
-                logger.successLog(
-                    `💽 Loaded trajectory file '${basename}' as '${filename}' [${uploadStream.id}]\n(${frameCount} frames) [avg: ${avgSpeedMBps} MB/s]`);
-                // Add the number of frames to the matadata object
-                metadata.frames = frameCount;
-                // Calculate the number of atoms in the loaded trajectory and add it to the metadata object
-                metadata.atoms = uploadStream.length / frameCount / Float32Array.BYTES_PER_ELEMENT / N_COORDINATES;
-                // Updated the recently created file document with additional metadata
-                const result = await this.database.files.findOneAndUpdate({ _id: uploadStream.id }, { $set: { metadata: metadata } }, { includeResultMetadata: true });
-                // If the operation failed then warn the user
-                if (result.acknowledged === false) throw new Error(`Failed to update file data`);
-                if (result.value === null) throw new Error(`File not found`);
-                resolve();
             });
         });
         // Update project data as the new file has been loaded
-        await this._addProjectFile(filename, mdIndex, this.currentUploadId);
+        await this._addProjectFile(filename, mdIndex, uploadedFileId);
         // Remove this id from the current upload id
-        this.currentUploadId = null;
+        this.untrackUpload(uploadedFileId);
+        // Load the frame index, so frames can be found with no need to guess their size
+        const frameIndexId = await this._loadFrameIndex(filename, mdIndex, uploadedFileId, frameIndexEntries);
+        return { id: uploadedFileId, size, frames, atoms, frameIndex: frameIndexId };
     }
 
+    // Load the frame index of an already loaded trajectory
+    // The frame index is a companion file which is not listed among the project files, just like analysis values
+    // Instead, the frame index is linked to the trajectory and the trajectory is linked to the frame index
+    _loadFrameIndex = async (trajectoryFilename, mdIndex, trajectoryId, entries) => {
+        const filename = nameFrameIndex(trajectoryFilename);
+        logger.startLog(`📑 Loading frame index of '${trajectoryFilename}' as '${filename}'`);
+        const data = encodeFrameIndex(entries);
+        // Tell if boxes are known, so consumers may skip PBC handling with no need to read the frame index
+        const box = entries.length > 0 && entries.every(entry => entry.box);
+        const metadata = { project: this.id, md: mdIndex, trajectory: trajectoryId, frames: entries.length, box, format: FRAME_INDEX_FORMAT };
+        const uploadStream = this.database.bucket.openUploadStream(filename, {
+            contentType: 'application/octet-stream',
+            metadata: metadata,
+        });
+        this.trackUpload(uploadStream.id);
+        await new Promise((resolve, reject) => {
+            uploadStream.on('error', reject);
+            uploadStream.end(data, resolve);
+        });
+        this.untrackUpload(uploadStream.id);
+        // Update the inserted data in case we need to revert the change
+        this.database.inserted_data.push({
+            name: filename + ' frame index',
+            collection: this.database.files,
+            id: uploadStream.id
+        });
+        // Link the trajectory to its frame index
+        const result = await this.database.files.updateOne({ _id: trajectoryId }, { $set: { 'metadata.frameIndex': uploadStream.id } });
+        if (result.acknowledged === false) throw new Error(`Failed to link the frame index to the trajectory`);
+        logger.successLog(`📑 Loaded frame index of '${trajectoryFilename}' as '${filename}' [${uploadStream.id}] (${entries.length} frames)`);
+        return uploadStream.id;
+    };
+
+    // Verify a loaded file by downloading it again
+    // The downloaded data must have the size in the file document and the checksum stored along the load
+    // Trajectories must also have the size expected from their frames and atoms and the frames expected by the MD, if passed
+    // Frames of encoded trajectories have no fixed size, so their frame index must have as many frames as the trajectory instead
+    // Files loaded before checksums were stored are only checked by size
+    // Compressed files are decompressed as well, so their original content and size are checked
+    // If anything is wrong then the file is removed, so a broken file never stays registered in the project, and an error is thrown
+    verifyFile = async (filename, mdIndex, expectedFrames) => {
+        const file = this.findFile(filename, mdIndex);
+        if (!file) throw new Error(`File '${filename}' not found`);
+        logger.startLog(`🔎 Verifying file '${filename}' [${file.id}]`);
+        const fileDocument = await this.database.files.findOne({ _id: file.id });
+        if (!fileDocument) throw new Error(`File document of '${filename}' not found`);
+        const metadata = fileDocument.metadata || {};
+        // Download the whole file while it is hashed
+        const checksum = createChecksum();
+        let downloadedSize = 0;
+        let decompressedSize = 0;
+        let decompressionError = null;
+        await new Promise((resolve, reject) => {
+            const downloadStream = this.database.bucket.openDownloadStream(file.id);
+            downloadStream.on('error', reject);
+            downloadStream.on('data', data => {
+                downloadedSize += data.length;
+            });
+            // Compressed files are hashed once decompressed, since the checksum is of the original content
+            const decompressStream = metadata.contentEncoding && createDecompressStream(metadata.contentEncoding);
+            const dataStream = decompressStream ? downloadStream.pipe(decompressStream) : downloadStream;
+            // If the data can not be decompressed then the file is broken
+            if (decompressStream) decompressStream.on('error', error => {
+                decompressionError = error;
+                resolve();
+            });
+            dataStream.on('data', data => {
+                checksum.update(data);
+                decompressedSize += data.length;
+            });
+            dataStream.on('end', resolve);
+        });
+        // Find everything wrong with the file
+        const issues = [];
+        if (downloadedSize !== fileDocument.length)
+            issues.push(`${downloadedSize} bytes were downloaded while the file should have ${fileDocument.length} bytes`);
+        if (decompressionError) issues.push(`the file can not be decompressed (${decompressionError.message})`);
+        else if (metadata.contentEncoding && decompressedSize !== metadata.originalSize)
+            issues.push(`the file has ${decompressedSize} bytes once decompressed while it should have ${metadata.originalSize} bytes`);
+        // Trajectories have a checksum of their loaded data while other files have the checksum of their content
+        const isTrajectory = isNumber(metadata.frames) && isNumber(metadata.atoms);
+        const storedChecksum = isTrajectory ? metadata.dataSha256 : metadata.sha256;
+        if (storedChecksum && !decompressionError && storedChecksum !== checksum.digest('hex'))
+            issues.push(`the checksum of the downloaded data does not match the stored checksum`);
+        if (isTrajectory && !metadata.codec) {
+            const expectedSize = metadata.frames * metadata.atoms * BYTES_PER_ATOM;
+            if (downloadedSize !== expectedSize) issues.push(`the trajectory has ${downloadedSize} bytes while ` +
+                `${metadata.frames} frames of ${metadata.atoms} atoms should have ${expectedSize} bytes`);
+        }
+        if (isTrajectory && metadata.codec) {
+            const frameIndexDocument = metadata.frameIndex && await this.database.files.findOne({ _id: metadata.frameIndex });
+            const indexedFrames = frameIndexDocument && frameIndexDocument.metadata.frames;
+            if (indexedFrames !== metadata.frames)
+                issues.push(`the frame index has ${indexedFrames || 0} frames while the trajectory has ${metadata.frames} frames`);
+        }
+        // The MD frames refer to the whole trajectory, regardless of the frame selection
+        const trajectoryFrames = metadata.originalFrames || metadata.frames;
+        if (isTrajectory && isNumber(expectedFrames) && trajectoryFrames !== expectedFrames)
+            issues.push(`the trajectory has ${trajectoryFrames} frames while the MD metadata says it has ${expectedFrames} frames`);
+        if (issues.length === 0) return logger.successLog(`🔎 Verified file '${filename}' [${file.id}] (${downloadedSize} bytes)`);
+        // Note that the fail log throws an error, so the file is removed after a warning instead
+        logger.warnLog(`🔎 File '${filename}' [${file.id}] is broken: ${issues.join('; ')}`);
+        await this.deleteFile(filename, mdIndex, false);
+        throw new Error(`Verification of file '${filename}' failed: ${issues.join('; ')}`);
+    };
+
     // Update the project to register that a file has been loaded
     // WARNING: Note that this function will not check for previously existing file with identical name
     // WARNING: This should be done by the forestallFileLoad function previously
@@ -803,10 +1433,12 @@ class Project {
         availableFiles.push({ name: filename, id: id });
         await this.updateRemote();
         // Update the inserted data in case we need to revert the change
+        // The reference is also kept, since the file may be content-addressed and shared with other projects
         this.database.inserted_data.push({
             name: filename + ' file',
             collection: this.database.files,
-            id: id
+            id: id,
+            reference: this._getFileReference(filename, mdIndex)
         });
     };
 
@@ -840,10 +1472,16 @@ class Project {
         // The file should always exist at this point, but make sure it does
         if (targetFile) {
             // Delete the file from fs.files and its chunks from fs.chunks using the file id
-            // GridFSBucket.delete has no callback but when it fails (i.e. file not found) it kills the process
-            // https://mongodb.github.io/node-mongodb-native/6.3/classes/GridFSBucket.html#delete
-            await this.database.bucket.delete(currentFile.id);
-            logger.successLog(`🗑️  Deleted file ${filename} <- ${currentFile.id}`);
+            // Content-addressed files are only deleted once no other project file references them
+            const deleted = await this.database.releaseFile(currentFile.id, this._getFileReference(filename, mdIndex));
+            if (deleted) logger.successLog(`🗑️  Deleted file ${filename} <- ${currentFile.id}`);
+            else logger.successLog(`🔗 Released file ${filename} <- ${currentFile.id} (still referenced by other project files)`);
+            // Delete the frame index of the file as well, if any, since it makes no sense without its trajectory
+            const frameIndexId = deleted && targetFile.metadata && targetFile.metadata.frameIndex;
+            if (frameIndexId && await this.database.files.findOne({ _id: frameIndexId })) {
+                await this.database.bucket.delete(frameIndexId);
+                console.log(`🗑️  Deleted frame index of ${filename} <- ${frameIndexId}`);
+            }
         }
         // However a desynchronization between projects and fs.files may happen if the loader is abuptly interrupted
         else {
@@ -862,8 +1500,22 @@ class Project {
         if (!currentFile) throw new Error(`File ${filename} is not in the available files list (MD index ${mdIndex})`);
         logger.startLog(`📝 Renaming file ${filename} from MD with index ${mdIndex} (${currentFile.id}) as ${newFilename}`);
         // Update filename in the files collection document
-        const result = await this.database.files.findOneAndUpdate({ _id: currentFile.id }, { $set: { filename: newFilename }}, { includeResultMetadata: true });
+        // Content-addressed files may be shared, so the reference is renamed and the filename only if this file is the owner
+        const fileDocument = await this.database.files.findOne({ _id: currentFile.id });
+        const fileMetadata = (fileDocument && fileDocument.metadata) || {};
+        let update = { $set: { filename: newFilename }};
+        if (fileMetadata.contentAddressed) {
+            const reference = this._getFileReference(filename, mdIndex);
+            const isOwner = String(fileMetadata.project) === String(this.id) &&
+                (fileMetadata.md ?? null) === reference.md && fileDocument.filename === filename;
+            const references = (fileMetadata.references || []).map(other =>
+                JSON.stringify(other) === JSON.stringify(reference) ? { ...other, name: newFilename } : other);
+            update = { $set: { 'metadata.references': references, ...(isOwner ? { filename: newFilename } : {}) } };
+        }
+        const result = await this.database.files.findOneAndUpdate({ _id: currentFile.id }, update, { includeResultMetadata: true });
         if (result.acknowledged === false) return logger.failLog(`📝 Failed to renamed file ${filename} from MD with index ${mdIndex} (${currentFile.id}) as ${newFilename}`);
+        // Rename the frame index as well, if any, since it is named after its trajectory
+        if (fileMetadata.frameIndex) await this.database.bucket.rename(fileMetadata.frameIndex, nameFrameIndex(newFilename));
         logger.successLog(`📝 Renamed file ${filename} from MD with index ${mdIndex} (${currentFile.id}) as ${newFilename}`);
         // Rename the file object name and update the project
         currentFile.name = newFilename;
@@ -875,22 +1527,37 @@ class Project {
         ? this.data.mds[mdIndex].analyses
         : this.data.analyses;
 
-    // Check if there is a previous analysis with the same name
-    // If so, check if we must delete it or conserve it
-    // DANI: En teoría no existen los análisis de proyecto, pero le doy soporte porque me los pedirán pronto (imagino)
-    forestallAnalysisLoad = async (name, mdIndex, conserve, overwrite) => {
+    // Find out what would happen with a new analysis load, without changing anything
+    // Return 'new' when there is no previous analysis, 'skipped' when the previous analysis is to be conserved,
+    // 'overwritten' when it is to be replaced and 'conflicting' when the user is to be asked
+    previewAnalysisLoad = async (name, mdIndex, conserve, overwrite) => {
+        // Apply the conflict policy, if any
+        ({ conserve, overwrite } = this._applyPolicy('analyses', name, conserve, overwrite));
         // Find the already existing analysis, if any
         const alreadyExistingAnalysis = this.findAnalysis(name, mdIndex);
         // If the new analysis is not among the current analyses then there is no problem
-        if (!alreadyExistingAnalysis) return true;
+        if (!alreadyExistingAnalysis) return 'new';
         // Check if the load was previously confirmed for the associated data group
         const associatedDataLabel = this.findAnalysisAssociatedDataLabel(name);
         const previousConfirm = this.getAssociatedDataLoadConfirmation(mdIndex, associatedDataLabel);
         // In case it exists and the 'conserve' flag has been passed we end here
-        if (conserve || previousConfirm === false) return false;
+        if (conserve || previousConfirm === false) return 'skipped';
         // Note that here we do not check if analyses are identical since they may be huge
+        if (overwrite || previousConfirm === true) return 'overwritten';
+        return 'conflicting';
+    };
+
+    // Check if there is a previous analysis with the same name
+    // If so, check if we must delete it or conserve it
+    // DANI: En teoría no existen los análisis de proyecto, pero le doy soporte porque me los pedirán pronto (imagino)
+    forestallAnalysisLoad = async (name, mdIndex, conserve, overwrite) => {
+        const status = await this.previewAnalysisLoad(name, mdIndex, conserve, overwrite);
+        // If the new analysis is not among the current analyses then there is no problem
+        if (status === 'new') return true;
+        if (status === 'skipped') return false;
         // Ask the user in case the 'overwrite' flag has not been passed
-        let confirm = overwrite || previousConfirm === true;
+        const associatedDataLabel = this.findAnalysisAssociatedDataLabel(name);
+        let confirm = status === 'overwritten';
         if (!confirm) {
             // Find if there is data associated to this analysis
             let message = `There is already an analysis named "${name}" in this project.`;
@@ -914,19 +1581,72 @@ class Project {
         return true;
     };
 
+    // Summarize an analysis value which is stored in GridFS, so the analysis document still says what it contains
+    // Objects keep their keys along with the length of their array values and arrays keep their length
+    _summarizeAnalysisValue = value => {
+        if (Array.isArray(value)) return { length: value.length };
+        if (!value || typeof value !== 'object') return {};
+        const keys = {};
+        for (const [key, subvalue] of Object.entries(value))
+            keys[key] = Array.isArray(subvalue) ? { length: subvalue.length } : { type: typeof subvalue };
+        return { keys };
+    };
+
+    // Upload an analysis value as a JSON file in GridFS
+    // The file is not a project file, but it belongs to the analysis, which is set once the analysis is inserted
+    // Return the new file id
+    _uploadAnalysisValue = async (name, mdIndex, json) => {
+        const filename = `mda.${name}.json`;
+        const chunking = getChunking(getFileCategory(filename));
+        const uploadStream = this.database.bucket.openUploadStream(filename, {
+            contentType: 'application/json',
+            metadata: { project: this.id, md: mdIndex, chunking, sha256: createChecksum().update(json).digest('hex') },
+            chunkSizeBytes: chunking.size,
+        });
+        this.trackUpload(uploadStream.id);
+        await new Promise((resolve, reject) => {
+            uploadStream.on('error', reject);
+            uploadStream.end(json, resolve);
+        });
+        this.untrackUpload(uploadStream.id);
+        // Update the inserted data in case we need to revert the change
+        this.database.inserted_data.push({
+            name: name + ' analysis value',
+            collection: this.database.files,
+            id: uploadStream.id
+        });
+        return uploadStream.id;
+    };
+
     // Load a new analysis
     // The analysis object contains a name and a value (the actual content)
     // In this function we also asign the project and the md index
+    // Values which may not fit in a Mongo document are stored as a JSON file in GridFS instead
+    // In this case the analysis document has the file id (valueFile) and a summary of the value (valueSummary) but no value
     // WARNING: Note that this function will not check for previously existing analysis with identical name
     // WARNING: This is done previously by the forestallAnalysisLoad function
     loadAnalysis = async (analysis, mdIndex) => {
         analysis.project = this.id;
         if (mdIndex !== undefined) analysis.md = mdIndex;
         logger.startLog(`💽 Loading analysis ${analysis.name}`);
+        // Store the value in GridFS if it is too big
+        const json = JSON.stringify(analysis.value);
+        const valueSize = Buffer.byteLength(json);
+        let valueFileId = null;
+        if (valueSize > this.analysisValueLimit) {
+            logger.updateLog(`💽 Loading analysis ${analysis.name} value in GridFS (${this.formatBytes(valueSize)})`);
+            valueFileId = await this._uploadAnalysisValue(analysis.name, mdIndex, json);
+            analysis.valueFile = valueFileId;
+            analysis.valueSummary = { size: valueSize, ...this._summarizeAnalysisValue(analysis.value) };
+            delete analysis.value;
+        }
         // Insert a new document in the analysis collection
         const result = await this.database.analyses.insertOne(analysis);
         if (result.acknowledged === false) return logger.failLog(`💽 Failed to load analysis ${analysis.name}`);
-        logger.successLog(`💽 Loaded analysis ${analysis.name} -> ${result.insertedId}`);
+        // Link the value file to its analysis, so orphan value files may be found
+        if (valueFileId) await this.database.files.updateOne({ _id: valueFileId }, { $set: { 'metadata.analysis': result.insertedId } });
+        logger.successLog(`💽 Loaded analysis ${analysis.name} -> ${result.insertedId}` +
+            (valueFileId ? ` (value in GridFS -> ${valueFileId})` : ''));
         // Get a list of available analyses
         const availableAnalyses = this.getAvailableAnalyses(mdIndex);
         // Update the project to register that an analysis has been loaded
@@ -938,6 +1658,7 @@ class Project {
             collection: this.database.analyses,
             id: result.insertedId
         });
+        return result.insertedId;
     }
 
     // Find an analysis in this project
@@ -964,12 +1685,12 @@ class Project {
         }
         logger.startLog(`🗑️  Deleting analysis ${name} (MD index ${mdIndex})`);
         // Delete the current analysis from the database
-        const result = await this.database.analyses.deleteOne({
-            name: name,
-            project: this.id,
-            md: mdIndex
-        });
+        const query = { name: name, project: this.id, md: mdIndex };
+        const analysisDocument = await this.database.analyses.findOne(query, { projection: { valueFile: true } });
+        const result = await this.database.analyses.deleteOne(query);
         if (!result) logger.failLog(`🗑️  Failed to delete analysis ${name} (MD index ${mdIndex})`);
+        // Delete the value file as well, if the value was stored in GridFS
+        if (analysisDocument && analysisDocument.valueFile) await this.database.bucket.delete(analysisDocument.valueFile);
         logger.successLog(`🗑️  Deleted analysis ${name} from MD with index ${mdIndex} <- ${currentAnalysis.id}`);
         // Remove the current analysis entry from the analyses list and update the project
         const analysisIndex = availableAnalyses.indexOf(currentAnalysis);
@@ -986,6 +1707,9 @@ class Project {
         // Update analysis name in the analyses collection document
         const result = await this.database.analyses.findOneAndUpdate({ _id: currentAnalysis.id }, { $set: { name: newName }}, { includeResultMetadata: true });
         if (result.acknowledged === false) return logger.failLog(`📝 Failed to renamed analysis ${oldName} from MD with index ${mdIndex} (${currentAnalysis.id}) as ${newName}`);
+        // Rename the value file as well, if the value was stored in GridFS
+        const valueFile = result.value && result.value.valueFile;
+        if (valueFile) await this.database.bucket.rename(valueFile, `mda.${newName}.json`);
         logger.successLog(`📝 Renamed analysis ${oldName} from MD with index ${mdIndex} (${currentAnalysis.id}) as ${newName}`);
         // Rename the analysis object name and update the project
         currentAnalysis.name = newName;
@@ -0,0 +1,333 @@
+// Tests for the project handler
+// These run against the fake Mongo Memory Server seeded by mddb-database, which
+// includes the project with accession 'A0001' (see fake-mongo/project_2.json)
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { join } = require('path');
+const getDatabase = require('../index');
+const { getFileCompression } = require('../../utils/file-compression');
+const { FULL_SELECTION } = require('../../utils/frame-selection');
+const { writeDcdHeader, writeDcdFrame } = require('../../utils/trajectory-writers/dcd');
+
+// Mock the logger, since spinners keep the event loop alive (see the delete command tests)
+// failLog must keep throwing, since the code relies on that to abort on failures
+jest.mock('../../utils/logger', () => ({
+    startLog: jest.fn(),
+    updateLog: jest.fn(),
+    successLog: jest.fn(),
+    warnLog: jest.fn(),
+    failLog: jest.fn(message => {
+        throw new Error(message);
+    }),
+    logText: jest.fn(),
+    logTime: jest.fn(() => Date.now()),
+    isLogRunning: jest.fn(() => false),
+}));
+
+// Set an abort function which never aborts
+const neverAbort = async () => false;
+
+describe('project handler', () => {
+    let database;
+    let project;
+    let directory;
+
+    beforeAll(async () => {
+        // Silence the noisy fake Mongo Memory Server setup logs while connecting
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            database = await getDatabase();
+        } finally {
+            logSpy.mockRestore();
+            errorSpy.mockRestore();
+        }
+        project = await database.syncProject('A0001');
+        directory = fs.mkdtempSync(join(os.tmpdir(), 'project-test-'));
+    }, 60000);
+
+    afterAll(async () => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        const client = database && database.client;
+        if (client && 'close' in client) await client.close();
+        if (client && client._mongod) await client._mongod.stop();
+    });
+
+    // Download the whole content of a file
+    const downloadFile = async fileId => {
+        const chunks = [];
+        for await (const chunk of database.bucket.openDownloadStream(fileId)) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    };
+
+    // Write a source file and the provisional document of an interrupted upload of this file
+    // The already written chunks are passed as well
+    const interruptUpload = async (filename, content, contentEncoding, writtenChunks) => {
+        const sourceFilepath = join(directory, filename);
+        fs.writeFileSync(sourceFilepath, content);
+        const { size, mtimeMs } = fs.statSync(sourceFilepath);
+        const chunkSize = 16;
+        const { insertedId } = await database.files.insertOne({
+            length: 0,
+            chunkSize,
+            uploadDate: new Date(),
+            filename,
+            metadata: {
+                project: project.id,
+                md: null,
+                chunking: { category: 'generic', size: chunkSize },
+                ...(contentEncoding ? { contentEncoding } : {}),
+                resumableUpload: { source: { size, modified: mtimeMs } },
+            },
+        });
+        for (const [n, data] of writtenChunks.entries())
+            await database.chunks.insertOne({ files_id: insertedId, n, data });
+        return { sourceFilepath, provisionalId: insertedId };
+    };
+
+    describe('resumable uploads', () => {
+        const content = 'ATOM      1  N   MET A   1      '.repeat(10);
+
+        test('resume raw uploads after the already written chunks', async () => {
+            const writtenChunks = [Buffer.from(content.slice(0, 16)), Buffer.from(content.slice(16, 32))];
+            const { sourceFilepath, provisionalId } = await interruptUpload('raw.txt', content, null, writtenChunks);
+            const { id, size } = await project.loadFileResumably('raw.txt', undefined, sourceFilepath, neverAbort);
+            expect(id.toString()).toBe(provisionalId.toString());
+            expect(size).toBe(content.length);
+            expect((await downloadFile(id)).toString()).toBe(content);
+        });
+
+        test('restart compressed uploads from the first chunk', async () => {
+            project.fileCompression = getFileCompression({ compressFiles: ['gz.txt'] });
+            // Chunks written by a different compressor would not match the ones written now
+            const writtenChunks = [Buffer.alloc(16, 1), Buffer.alloc(16, 2)];
+            const { sourceFilepath, provisionalId } = await interruptUpload('gz.txt', content, 'gzip', writtenChunks);
+            const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+            try {
+                const { id } = await project.loadFileResumably('gz.txt', undefined, sourceFilepath, neverAbort);
+                expect(id.toString()).not.toBe(provisionalId.toString());
+                expect(zlib.gunzipSync(await downloadFile(id)).toString()).toBe(content);
+                const fileDocument = await database.files.findOne({ _id: id });
+                expect(fileDocument.metadata.contentEncoding).toBe('gzip');
+                expect(fileDocument.metadata.resumableUpload).toBeUndefined();
+            } finally {
+                logSpy.mockRestore();
+                project.fileCompression = null;
+            }
+            expect(await database.files.findOne({ _id: provisionalId })).toBeNull();
+            expect(await database.chunks.countDocuments({ files_id: provisionalId })).toBe(0);
+        });
+    });
+
+    describe('trajectories', () => {
+        let sourceFilepath;
+
+        // Write a trajectory with 2 frames of 2 atoms
+        beforeAll(() => {
+            sourceFilepath = join(directory, 'trajectory.dcd');
+            fs.writeFileSync(sourceFilepath, Buffer.concat([
+                writeDcdHeader({ atomCount: 2, frameCount: 2, hasUnitCell: false }),
+                writeDcdFrame([1, 2, 3, 4, 5, 6]),
+                writeDcdFrame([1.5, 2.5, 3.5, 4.5, 5.5, 6.5]),
+            ]));
+        });
+
+        test('link the frame index to its trajectory instead of listing it', async () => {
+            const { id, frameIndex } = await project.loadTrajectoryFile('trajectory.bin', 0, sourceFilepath, null, neverAbort);
+            expect(project.getAvailableFiles(0).map(file => file.name)).toEqual(expect.not.arrayContaining(['trajectory.index.bin']));
+            expect((await database.files.findOne({ _id: id })).metadata.frameIndex).toEqual(frameIndex);
+            const frameIndexDocument = await database.files.findOne({ _id: frameIndex });
+            expect(frameIndexDocument.filename).toBe('trajectory.index.bin');
+            expect(frameIndexDocument.metadata.trajectory).toEqual(id);
+            expect(frameIndexDocument.metadata.frames).toBe(2);
+            // The frame index is removed as well if the load is reverted
+            expect(database.inserted_data.map(data => String(data.id))).toContain(String(frameIndex));
+        });
+
+        test('rename and delete the frame index along with its trajectory', async () => {
+            const trajectory = await database.files.findOne({ _id: project.findFile('trajectory.bin', 0).id });
+            const { frameIndex } = trajectory.metadata;
+            await project.renameFile('trajectory.bin', 0, 'trajectory.renamed.bin');
+            expect((await database.files.findOne({ _id: frameIndex })).filename).toBe('trajectory.renamed.index.bin');
+            const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+            try {
+                await project.deleteFile('trajectory.renamed.bin', 0);
+            } finally {
+                logSpy.mockRestore();
+            }
+            expect(await database.files.findOne({ _id: frameIndex })).toBeNull();
+            expect(await database.chunks.countDocuments({ files_id: frameIndex })).toBe(0);
+        });
+
+        test('reject frame selections which leave no frames', async () => {
+            const frameSelection = { ...FULL_SELECTION, firstFrame: 5 };
+            await expect(project.loadTrajectoryFile('trajectory.bin', 0, sourceFilepath, null, neverAbort, { frameSelection }))
+                .rejects.toThrow('The frame selection leaves no frames out of 2');
+            // The empty upload is removed
+            expect(await database.files.countDocuments({ filename: 'trajectory.bin', 'metadata.project': project.id })).toBe(0);
+            expect(project.findFile('trajectory.bin', 0)).toBeUndefined();
+        });
+    });
+
+    describe('unchanged files', () => {
+        const content = 'Some notes about the project\n'.repeat(10);
+        let sourceFilepath;
+        let readSpy;
+
+        beforeAll(async () => {
+            sourceFilepath = join(directory, 'notes.txt');
+            fs.writeFileSync(sourceFilepath, content);
+            await project.loadFile('notes.txt', undefined, sourceFilepath, neverAbort);
+        });
+
+        // Source files are only read to be hashed, so reads tell if the short-circuits were reached
+        beforeEach(() => {
+            fs.writeFileSync(sourceFilepath, content);
+            readSpy = jest.spyOn(fs, 'createReadStream');
+        });
+        afterEach(() => {
+            readSpy.mockRestore();
+            fs.rmSync(sourceFilepath + '.meta.json', { force: true });
+        });
+
+        test('find identical files by their checksum', async () => {
+            expect(await project.isFileUnchanged('notes.txt', undefined, sourceFilepath)).toBe(true);
+            expect(readSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('find files with the same size but a different content', async () => {
+            fs.writeFileSync(sourceFilepath, content.replace('notes', 'NOTES'));
+            expect(await project.isFileUnchanged('notes.txt', undefined, sourceFilepath)).toBe(false);
+            expect(readSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('do not hash files with a different size', async () => {
+            fs.writeFileSync(sourceFilepath, content + 'More notes\n');
+            expect(await project.isFileUnchanged('notes.txt', undefined, sourceFilepath)).toBe(false);
+            expect(readSpy).not.toHaveBeenCalled();
+        });
+
+        test('do not hash files with a different metadata file', async () => {
+            fs.writeFileSync(sourceFilepath + '.meta.json', JSON.stringify({ author: 'someone' }));
+            expect(await project.isFileUnchanged('notes.txt', undefined, sourceFilepath)).toBe(false);
+            expect(readSpy).not.toHaveBeenCalled();
+        });
+
+        test('do not hash trajectories loaded with different options', async () => {
+            // Pretend the file is a trajectory with 10 frames which was fully loaded
+            const fileId = project.findFile('notes.txt', undefined).id;
+            await database.files.updateOne({ _id: fileId }, { $set: { 'metadata.frames': 10 } });
+            try {
+                const strided = { frameSelection: { ...FULL_SELECTION, stride: 2 } };
+                expect(await project.isFileUnchanged('notes.txt', undefined, sourceFilepath, strided)).toBe(false);
+                const selected = { atomSelection: { ranges: [[0, 9]] } };
+                expect(await project.isFileUnchanged('notes.txt', undefined, sourceFilepath, selected)).toBe(false);
+                expect(readSpy).not.toHaveBeenCalled();
+                expect(await project.isFileUnchanged('notes.txt', undefined, sourceFilepath, {})).toBe(true);
+            } finally {
+                await database.files.updateOne({ _id: fileId }, { $unset: { 'metadata.frames': '' } });
+            }
+        });
+    });
+
+    describe('content-addressed files', () => {
+        let resumableUploadSize;
+        let hashSpy;
+
+        beforeEach(() => {
+            resumableUploadSize = project.resumableUploadSize;
+            project.deduplicate = true;
+            hashSpy = jest.spyOn(crypto, 'createHash');
+        });
+        afterEach(() => {
+            hashSpy.mockRestore();
+            project.deduplicate = false;
+            project.resumableUploadSize = resumableUploadSize;
+        });
+
+        // Sources are hashed to find identical files, so the upload must not hash them again
+        test.each([['shared.txt', false], ['shared-big.txt', true]])('hash the source of %s only once', async (filename, resumable) => {
+            const content = `Content of ${filename}\n`.repeat(10);
+            const sourceFilepath = join(directory, filename);
+            fs.writeFileSync(sourceFilepath, content);
+            if (resumable) project.resumableUploadSize = 1;
+            const { id } = await project.loadFile(filename, undefined, sourceFilepath, neverAbort);
+            expect(hashSpy).toHaveBeenCalledTimes(1);
+            const fileDocument = await database.files.findOne({ _id: id });
+            expect(fileDocument.metadata.sha256).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+            expect(fileDocument.metadata.contentAddressed).toBe(true);
+        });
+    });
+
+    describe('analysis values', () => {
+        // Values bigger than this limit are stored in GridFS
+        const limit = 64;
+        const bigValue = { x: [...Array(50).keys()], y: [...Array(50).keys()].map(n => n / 10), units: 'nm' };
+
+        let defaultLimit;
+        beforeAll(() => {
+            defaultLimit = project.analysisValueLimit;
+            project.analysisValueLimit = limit;
+        });
+        afterAll(() => project.analysisValueLimit = defaultLimit);
+
+        test('keep small values in the analysis document', async () => {
+            const id = await project.loadAnalysis({ name: 'small', value: { y: [1, 2] } }, undefined);
+            const analysis = await database.analyses.findOne({ _id: id });
+            expect(analysis.value).toEqual({ y: [1, 2] });
+            expect(analysis.valueFile).toBeUndefined();
+        });
+
+        test('store big values in GridFS and read them back', async () => {
+            const id = await project.loadAnalysis({ name: 'dist', value: bigValue }, undefined);
+            const analysis = await database.analyses.findOne({ _id: id });
+            expect(analysis.value).toBeUndefined();
+            expect(analysis.valueSummary).toEqual({
+                size: Buffer.byteLength(JSON.stringify(bigValue)),
+                keys: { x: { length: 50 }, y: { length: 50 }, units: { type: 'string' } },
+            });
+            const valueFile = await database.files.findOne({ _id: analysis.valueFile });
+            expect(valueFile.filename).toBe('mda.dist.json');
+            expect(valueFile.metadata.analysis).toEqual(id);
+            expect(JSON.parse(await downloadFile(analysis.valueFile))).toEqual(bigValue);
+        });
+
+        test('rename the value file along with its analysis', async () => {
+            await project.renameAnalysis('dist', undefined, 'distance');
+            const analysis = await database.analyses.findOne({ _id: project.findAnalysis('distance', undefined).id });
+            expect(analysis.name).toBe('distance');
+            expect((await database.files.findOne({ _id: analysis.valueFile })).filename).toBe('mda.distance.json');
+        });
+
+        test('delete the value file along with its analysis', async () => {
+            const { id } = project.findAnalysis('distance', undefined);
+            const { valueFile } = await database.analyses.findOne({ _id: id });
+            await project.deleteAnalysis('distance', undefined);
+            expect(project.findAnalysis('distance', undefined)).toBeUndefined();
+            expect(await database.analyses.findOne({ _id: id })).toBeNull();
+            expect(await database.files.findOne({ _id: valueFile })).toBeNull();
+            expect(await database.chunks.countDocuments({ files_id: valueFile })).toBe(0);
+        });
+
+        test('find value files whose analysis does not exist anymore', async () => {
+            const keptId = await project.loadAnalysis({ name: 'kept', value: bigValue }, undefined);
+            const { valueFile: keptValueFile } = await database.analyses.findOne({ _id: keptId });
+            const lostId = await project.loadAnalysis({ name: 'lost', value: bigValue }, undefined);
+            const { valueFile: lostValueFile } = await database.analyses.findOne({ _id: lostId });
+            // Remove the analysis document only, as an interrupted deletion would do
+            await database.analyses.deleteOne({ _id: lostId });
+            const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+            try {
+                const orphanIds = (await database.findOrphanAnalysisValues()).map(String);
+                expect(orphanIds).toContain(String(lostValueFile));
+                expect(orphanIds).not.toContain(String(keptValueFile));
+                // Already known orphan files are not returned again
+                expect(await database.findOrphanAnalysisValues([lostValueFile])).toEqual([]);
+            } finally {
+                logSpy.mockRestore();
+            }
+        });
+    });
+});
@@ -6,7 +6,8 @@ const chalk = require('chalk');
 // Given a previous and a new metadata objects, add missing new fields to the previous metadata
 // Handle also conflicts when the new value already exists and it has a different value
 // If something was added or changed then return true and otherwise return false
-merge_metadata = async (previousMetadata, newMetadata, conserve = false, overwrite = false) => {
+// A conflict policy may be passed to solve conflicts for specific keys
+merge_metadata = async (previousMetadata, newMetadata, conserve = false, overwrite = false, policy = null) => {
     let changed = false;
     // Check the status of each new metadata key in the current metadata
     for (const [key, newValue] of Object.entries(newMetadata)) {
@@ -28,10 +29,12 @@ merge_metadata = async (previousMetadata, newMetadata, conserve = false, overwri
             if (JSON.stringify(previousValue) === JSON.stringify(newValue)) continue;
         }
         // Keys with different values are conflictive and we must ask the user for each one
+        // The conflict policy, if any, may have a specific rule for this key
+        const flags = policy ? policy.resolve('metadata', key, conserve, overwrite) : { conserve, overwrite };
         // If the 'conserve' option is passed then we always keep the original value
-        if (conserve) continue;
+        if (flags.conserve) continue;
         // If the 'overwrite' option is passed then we always keep the new value
-        if (overwrite) {
+        if (flags.overwrite) {
             previousMetadata[key] = newValue;
             changed = true;
             continue;
@@ -0,0 +1,130 @@
+// Files system from node
+const fs = require('fs');
+
+// Size in bytes of the coordinates of an atom in the binary trajectory (x, y, z as float32)
+const BYTES_PER_ATOM = 3 * Float32Array.BYTES_PER_ELEMENT;
+
+// Convert a list of atom indices into ranges of consecutive indices (first and last, both included)
+// Ranges are much shorter than indices when whole molecules are selected
+const indicesToRanges = indices => {
+    const sorted = Array.from(new Set(indices)).sort((a, b) => a - b);
+    const ranges = [];
+    for (const index of sorted) {
+        const lastRange = ranges[ranges.length - 1];
+        if (lastRange && lastRange[1] === index - 1) lastRange[1] = index;
+        else ranges.push([index, index]);
+    }
+    return ranges;
+};
+
+// Read a file with a list of atom indices (0-based, as in the topology)
+// Indices may be separated by spaces, new lines or commas and the file may be a JSON array as well
+const loadAtomIndices = (filepath, fileSystem = fs) => {
+    if (!fileSystem.existsSync(filepath)) throw new Error(`Atom indices file ${filepath} does not exist`);
+    const content = fileSystem.readFileSync(filepath, 'utf8');
+    return content.split(/[\s,[\]]+/).filter(value => value.length > 0).map(value => {
+        const index = Number(value);
+        if (!Number.isInteger(index) || index < 0)
+            throw new Error(`Wrong atom index '${value}' in ${filepath}. Atom indices must be 0-based integers`);
+        return index;
+    });
+};
+
+// Set which atoms are to be loaded in trajectories, from the command line options and the inputs file
+// Options are:
+// - atomIndices: a file with the indices of the atoms to be loaded
+// - excludeResidues: names of residues whose atoms are not to be loaded (e.g. SOL, NA, CL)
+// - excludePbcResidues: do not load atoms in the topology PBC residues (i.e. solvent and ions)
+// The inputs file may set the same options, e.g.
+//   load_atoms:
+//     indices_file: atoms.txt
+//     exclude_residues: [SOL, NA, CL]
+//     exclude_pbc_residues: true
+// Command line options have priority over the inputs file
+// The topology is only requested if residues are to be excluded
+// Return null if every atom is to be loaded
+// Otherwise return the selection options, the ranges of selected atoms and the number of atoms in the topology, if known
+const getAtomSelection = async ({ atomIndices, excludeResidues, excludePbcResidues }, inputs, getTopology, projectDirectory, fileSystem = fs) => {
+    const loadAtoms = (inputs && inputs.load_atoms) || {};
+    // Command line files are relative to the current directory, while inputs files are relative to the project directory
+    const indicesFile = atomIndices || (loadAtoms.indices_file && projectDirectory + loadAtoms.indices_file);
+    const indicesFileSystem = atomIndices ? fs : fileSystem;
+    let residueNames = excludeResidues || loadAtoms.exclude_residues || [];
+    // Residue names may be also passed as a single string separated by commas (e.g. SOL,NA,CL)
+    if (typeof residueNames === 'string') residueNames = [residueNames];
+    residueNames = residueNames.flatMap(names => String(names).split(',')).map(name => name.trim()).filter(name => name);
+    const excludePbc = Boolean(excludePbcResidues || loadAtoms.exclude_pbc_residues);
+    if (!indicesFile && residueNames.length === 0 && !excludePbc) return null;
+    // Set the selection definition, which is stored along with the trajectory
+    const definition = {};
+    if (indicesFile) definition.indicesFile = indicesFile.split('/').pop();
+    if (residueNames.length > 0) definition.excludeResidues = residueNames;
+    if (excludePbc) definition.excludePbcResidues = true;
+    // Set the selected atoms
+    let indices = indicesFile ? loadAtomIndices(indicesFile, indicesFileSystem) : null;
+    let atomCount = null;
+    if (residueNames.length > 0 || excludePbc) {
+        const topology = await getTopology();
+        if (!topology) throw new Error('Atoms can not be selected by residue since there is no topology');
+        // Find which residues are excluded
+        const atomResidueIndices = topology.atom_residue_indices;
+        if (!atomResidueIndices) throw new Error('Atoms can not be selected by residue since the topology has no atom residue indices');
+        atomCount = atomResidueIndices.length;
+        const excludedResidues = new Set(excludePbc ? (topology.pbc_residues || []) : []);
+        if (residueNames.length > 0) {
+            if (!topology.residue_names) throw new Error('Atoms can not be selected by residue name since the topology has no residue names');
+            const excludedNames = new Set(residueNames);
+            topology.residue_names.forEach((name, residue) => {
+                if (excludedNames.has(name)) excludedResidues.add(residue);
+            });
+        }
+        // If there was no indices file then start from all atoms
+        if (!indices) indices = Array.from({ length: atomCount }, (_, atom) => atom);
+        indices = indices.filter(atom => !excludedResidues.has(atomResidueIndices[atom]));
+    }
+    if (indices.length === 0) throw new Error('The atom selection leaves no atoms to be loaded');
+    if (atomCount !== null && indices.some(atom => atom >= atomCount))
+        throw new Error(`The atom selection includes atoms beyond the ${atomCount} atoms in the topology`);
+    const ranges = indicesToRanges(indices);
+    const selectedAtoms = ranges.reduce((count, [first, last]) => count + last - first + 1, 0);
+    return { definition, ranges, selectedAtoms, atomCount };
+};
+
+// Keep only the coordinates of the selected atoms in a buffer of binary coordinates
+// The buffer may include only some atoms of a frame, starting at a given atom offset
+const filterAtoms = ({ ranges }, coordinates, atomOffset = 0) => {
+    const batchEnd = atomOffset + coordinates.length / BYTES_PER_ATOM;
+    const pieces = [];
+    for (const [first, last] of ranges) {
+        if (last < atomOffset) continue;
+        if (first >= batchEnd) break;
+        const start = Math.max(first, atomOffset) - atomOffset;
+        const end = Math.min(last + 1, batchEnd) - atomOffset;
+        pieces.push(coordinates.subarray(start * BYTES_PER_ATOM, end * BYTES_PER_ATOM));
+    }
+    return pieces.length === 1 ? pieces[0] : Buffer.concat(pieces);
+};
+
+// Check the atom selection fits the number of atoms in every trajectory frame
+const checkAtomSelection = ({ ranges, atomCount }, frameAtoms) => {
+    if (atomCount !== null && atomCount !== frameAtoms)
+        throw new Error(`The trajectory has ${frameAtoms} atoms while the topology used to select atoms has ${atomCount} atoms`);
+    const lastAtom = ranges[ranges.length - 1][1];
+    if (lastAtom >= frameAtoms)
+        throw new Error(`The atom selection includes atom ${lastAtom} but the trajectory has ${frameAtoms} atoms`);
+};
+
+// Check if an already loaded trajectory has the atoms a given selection would load
+// Trajectories loaded with no atom selection data had all their atoms loaded
+const matchesAtomSelection = (selection, metadata) => {
+    if (!selection) return !metadata.atomRanges;
+    return JSON.stringify(selection.ranges) === JSON.stringify(metadata.atomRanges);
+};
+
+module.exports = {
+    BYTES_PER_ATOM,
+    getAtomSelection,
+    filterAtoms,
+    checkAtomSelection,
+    matchesAtomSelection,
+};
@@ -0,0 +1,83 @@
+// Tests for the atom selection of trajectories
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getAtomSelection,
+    filterAtoms,
+    checkAtomSelection,
+    matchesAtomSelection,
+} = require('./index');
+
+// A protein residue, a water molecule and two ions
+const TOPOLOGY = {
+    atom_names: ['N', 'CA', 'C', 'OW', 'HW1', 'HW2', 'NA', 'CL'],
+    atom_residue_indices: [0, 0, 0, 1, 1, 1, 2, 3],
+    residue_names: ['ALA', 'SOL', 'NA', 'CL'],
+    pbc_residues: [1, 2, 3],
+};
+
+// Build the binary coordinates of a frame where every coordinate is the index of its atom
+const buildFrame = atomCount => Buffer.from(Float32Array.from({ length: atomCount * 3 }, (_, i) => Math.floor(i / 3)).buffer);
+// Get the atom of every coordinate in a binary buffer
+const readAtoms = buffer => Array.from(new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)))
+    .filter((_, i) => i % 3 === 0);
+
+describe('atom selection', () => {
+    const getTopology = async () => TOPOLOGY;
+
+    test('load every atom by default', async () => {
+        expect(await getAtomSelection({}, null, getTopology, '/project/')).toBe(null);
+    });
+
+    test('exclude residues by name or PBC residues', async () => {
+        const byName = await getAtomSelection({ excludeResidues: ['SOL,NA'] }, null, getTopology, '/project/');
+        expect(byName.ranges).toEqual([[0, 2], [7, 7]]);
+        expect(byName.definition).toEqual({ excludeResidues: ['SOL', 'NA'] });
+        expect(byName.selectedAtoms).toBe(4);
+        const inputs = { load_atoms: { exclude_pbc_residues: true } };
+        const byPbc = await getAtomSelection({}, inputs, getTopology, '/project/');
+        expect(byPbc.ranges).toEqual([[0, 2]]);
+        expect(byPbc.atomCount).toBe(8);
+    });
+
+    test('select atoms from an indices file', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'atom-selection-'));
+        try {
+            fs.writeFileSync(path.join(directory, 'atoms.txt'), '0 1, 2\n6 3\n');
+            const inputs = { load_atoms: { indices_file: 'atoms.txt', exclude_residues: 'NA' } };
+            const selection = await getAtomSelection({}, inputs, getTopology, directory + '/');
+            expect(selection.ranges).toEqual([[0, 3]]);
+            expect(selection.definition).toEqual({ indicesFile: 'atoms.txt', excludeResidues: ['NA'] });
+            fs.writeFileSync(path.join(directory, 'wrong.txt'), '0 -1');
+            await expect(getAtomSelection({ atomIndices: path.join(directory, 'wrong.txt') }, null, getTopology, '/project/'))
+                .rejects.toThrow('Wrong atom index');
+        }
+        finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('filter coordinates of whole frames and of batches', () => {
+        const selection = { ranges: [[0, 2], [7, 7]], atomCount: 8 };
+        expect(readAtoms(filterAtoms(selection, buildFrame(8)))).toEqual([0, 1, 2, 7]);
+        // Gromacs coordinates may come in several batches per frame
+        const frame = buildFrame(8);
+        const firstBatch = filterAtoms(selection, frame.subarray(0, 2 * 12), 0);
+        const secondBatch = filterAtoms(selection, frame.subarray(2 * 12, 5 * 12), 2);
+        const thirdBatch = filterAtoms(selection, frame.subarray(5 * 12), 5);
+        expect(readAtoms(Buffer.concat([firstBatch, secondBatch, thirdBatch]))).toEqual([0, 1, 2, 7]);
+    });
+
+    test('check the selection fits the trajectory', () => {
+        expect(() => checkAtomSelection({ ranges: [[0, 2]], atomCount: 8 }, 8)).not.toThrow();
+        expect(() => checkAtomSelection({ ranges: [[0, 2]], atomCount: 8 }, 9)).toThrow('while the topology');
+        expect(() => checkAtomSelection({ ranges: [[0, 9]], atomCount: null }, 8)).toThrow('includes atom 9');
+    });
+
+    test('compare selections with loaded trajectories', () => {
+        expect(matchesAtomSelection(null, { atoms: 8 })).toBe(true);
+        expect(matchesAtomSelection(null, { atoms: 3, atomRanges: [[0, 2]] })).toBe(false);
+        expect(matchesAtomSelection({ ranges: [[0, 2]] }, { atoms: 3, atomRanges: [[0, 2]] })).toBe(true);
+    });
+});
@@ -29,9 +29,20 @@ const mongoidFormat = new RegExp('^[0-9a-f]{24}$');
 // Set problematic signs for directory/folder names
 FORBIDEN_DIRECTORY_CHARACTERS = [new RegExp('^./'), '.', ',', ';', ':', 'º'];
 
+// Keep the last question thrown to the user
+// Questions are thrown one after another, even if they are asked by concurrent tasks
+let lastQuestion = Promise.resolve();
+
 // Throw a question for the user trough the console
 // Await for the user to confirm
 const userConfirm = async question => {
+    const answer = lastQuestion.then(() => askUser(question));
+    lastQuestion = answer.catch(() => {});
+    return await answer;
+};
+
+// Actually throw the question
+const askUser = async question => {
     const response = await prompts({
         type: 'text',
         name: 'confirm',
@@ -162,9 +173,10 @@ const getMimeTypeFromFilename = filename => {
 };
 
 // Read and parse a JSON file
-const loadJSON = filepath => {
+// A different file system may be passed (e.g. a project archive)
+const loadJSON = (filepath, fileSystem = fs) => {
     try {
-        const fileContent = fs.readFileSync(filepath, 'utf8');
+        const fileContent = fileSystem.readFileSync(filepath, 'utf8');
         const output = JSON.parse(fileContent);
         return output;
     } catch (error) {
@@ -174,9 +186,9 @@ const loadJSON = filepath => {
 };
 
 // Read and parse a YAML file
-const loadYAML = filepath => {
+const loadYAML = (filepath, fileSystem = fs) => {
     try {
-        const fileContent = fs.readFileSync(filepath, 'utf8');
+        const fileContent = fileSystem.readFileSync(filepath, 'utf8');
         const output = YAML.parse(fileContent);
         return output;
     } catch (error) {
@@ -186,12 +198,12 @@ const loadYAML = filepath => {
 };
 
 // Read a file which may be a YAML or a JSON
-const loadYAMLorJSON = filepath => {
+const loadYAMLorJSON = (filepath, fileSystem = fs) => {
     const splits = filepath.split('.');
     const extension = splits[splits.length-1];
     if (extension.length === filepath.length) throw new Error(`File ${filepath} has no extension`);
-    if (extension === 'yaml' || extension === 'yml') return loadYAML(filepath);
-    if (extension === 'json') return loadJSON(filepath);
+    if (extension === 'yaml' || extension === 'yml') return loadYAML(filepath, fileSystem);
+    if (extension === 'json') return loadJSON(filepath, fileSystem);
     throw new Error(`File ${filepath} has a non supported extension`);
 }
 
@@ -236,6 +248,12 @@ const isNumber = value => {
     return false;
 }
 
+// Convert a pattern with wildcards (* and ?) into a regular expression
+const patternToRegExp = pattern => {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped.replaceAll('*', '.*').replaceAll('?', '.') + '$');
+};
+
 module.exports = {
     mongoidFormat,
     userConfirm,
@@ -254,4 +272,5 @@ module.exports = {
     getValueGetter,
     canWrite,
     isNumber,
+    patternToRegExp,
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Files system from node
+const fs = require('fs');
+// Node cryptographic tools, used to hash file contents
+const crypto = require('crypto');
+// Stream tools from node
+const { Transform } = require('stream');
+
+// Set the hash algorithm used for file checksums
+// Checksums are stored in the database so this must not be changed unless all stored checksums are recalculated
+const CHECKSUM_ALGORITHM = 'sha256';
+
+// Create a new hash which may be fed with data chunks along a file stream
+const createChecksum = () => crypto.createHash(CHECKSUM_ALGORITHM);
+
+// Create a stream which hashes the data passing through it, so a file may be hashed while it is read for anything else
+// Once all data has passed the 'getChecksum' function returns the sha256 hex digest and the size in bytes
+// If the stream was not read until the end then 'getChecksum' returns null, since the hash is not complete
+const createChecksumStream = () => {
+  const hash = createChecksum();
+  let size = 0;
+  let checksum = null;
+  const stream = new Transform({
+    transform (data, encoding, callback) {
+      hash.update(data);
+      size += data.length;
+      callback(null, data);
+    },
+    flush (callback) {
+      checksum = { sha256: hash.digest('hex'), size };
+      callback();
+    },
+  });
+  stream.getChecksum = () => checksum;
+  return stream;
+};
+
+// Calculate the checksum and the size of a file by streaming it, so huge files are never fully loaded in memory
+// The file system may be replaced (e.g. by a project archive) to read files which are not in disk
+// Some file systems know checksums already (e.g. compressed archives hash their files while indexing them)
+// Return an object with the sha256 hex digest and the size in bytes
+const getFileChecksum = (filepath, fileSystem = fs) => new Promise((resolve, reject) => {
+  const knownChecksum = fileSystem.getFileChecksum && fileSystem.getFileChecksum(filepath);
+  if (knownChecksum) return resolve(knownChecksum);
+  const hash = createChecksum();
+  let size = 0;
+  const readStream = fileSystem.createReadStream(filepath, { highWaterMark: 4 * 1024 * 1024 }); // 4 MiB buffer
+  readStream.on('error', reject);
+  readStream.on('data', data => {
+    hash.update(data);
+    size += data.length;
+  });
+  readStream.on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+});
+
+module.exports = {
+  createChecksum,
+  createChecksumStream,
+  getFileChecksum,
+};
@@ -0,0 +1,48 @@
+// Tests for the file checksums
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createChecksum, createChecksumStream, getFileChecksum } = require('./index');
+
+describe('checksum', () => {
+  const content = 'Some content to be hashed\n'.repeat(100);
+  const expected = { sha256: createChecksum().update(content).digest('hex'), size: content.length };
+  let directory;
+  beforeAll(() => {
+    directory = fs.mkdtempSync(join(os.tmpdir(), 'checksum-test-'));
+    fs.writeFileSync(join(directory, 'file.txt'), content);
+  });
+  afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('hash files by streaming them', async () => {
+    await expect(getFileChecksum(join(directory, 'file.txt'))).resolves.toEqual(expected);
+  });
+
+  test('reject missing files', async () => {
+    await expect(getFileChecksum(join(directory, 'missing.txt'))).rejects.toThrow('ENOENT');
+  });
+
+  test('use the checksums already known by the file system', async () => {
+    const fileSystem = { getFileChecksum: () => expected, createReadStream: jest.fn() };
+    await expect(getFileChecksum('file.txt', fileSystem)).resolves.toEqual(expected);
+    expect(fileSystem.createReadStream).not.toHaveBeenCalled();
+  });
+
+  test('read files from the file system when checksums are not known', async () => {
+    const fileSystem = { getFileChecksum: () => null, createReadStream: () => Readable.from([content]) };
+    await expect(getFileChecksum('file.txt', fileSystem)).resolves.toEqual(expected);
+  });
+
+  test('hash the data passing through a checksum stream', async () => {
+    const checksumStream = createChecksumStream();
+    const chunks = [];
+    expect(checksumStream.getChecksum()).toBe(null);
+    await pipeline(Readable.from([content.slice(0, 100), content.slice(100)]), checksumStream, async source => {
+      for await (const chunk of source) chunks.push(chunk);
+    });
+    expect(Buffer.concat(chunks).toString()).toBe(content);
+    expect(checksumStream.getChecksum()).toEqual(expected);
+  });
+});
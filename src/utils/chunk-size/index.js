@@ -0,0 +1,74 @@
+// Set the default size of GridFS chunks
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024; // 4 MiB
+// Set the maximum size of GridFS chunks
+// Every chunk is a Mongo document, which can not be bigger than 16 MB
+const MAX_CHUNK_SIZE = 15 * 1024 * 1024; // 15 MiB
+
+// Set the environment variable with the chunk size of every file category
+// - trajectory: parsed trajectories (.bin), which may be also chunked by frames (e.g. 10frames)
+// - structure: structure and topology files
+// - generic: any other file
+const CHUNK_SIZE_VARIABLES = {
+    trajectory: 'TRAJECTORY_CHUNK_SIZE',
+    structure: 'STRUCTURE_CHUNK_SIZE',
+    generic: 'GENERIC_CHUNK_SIZE',
+};
+
+// Set the formats of structure and topology files
+const STRUCTURE_FILE_REGEXP = /\.(pdb|cif|mmcif|gro|psf|prmtop|top|tpr|itp)$/i;
+
+// Set the multiplier of every size unit
+const SIZE_UNITS = { '': 1, b: 1, kb: 1000, kib: 1024, mb: 1000 ** 2, mib: 1024 ** 2 };
+
+// Find the category of a file which is not a parsed trajectory from its name
+const getFileCategory = filename => STRUCTURE_FILE_REGEXP.test(filename) ? 'structure' : 'generic';
+
+// Parse a chunk size from the environment
+// Sizes may have units (e.g. 255KiB, 8MiB or 1048576) and trajectories may be chunked by frames (e.g. 10frames)
+// Return an object with either the size in bytes or the number of frames per chunk
+const parseChunkSize = (value, variable, category) => {
+    const frames = value.match(/^\s*(\d+)\s*frames?\s*$/i);
+    if (frames) {
+        if (category !== 'trajectory') throw new Error(`Wrong ${variable} '${value}'. Only trajectories may be chunked by frames`);
+        if (+frames[1] < 1) throw new Error(`Wrong ${variable} '${value}'. There must be at least 1 frame per chunk`);
+        return { frames: +frames[1] };
+    }
+    const size = value.match(/^\s*(\d+(?:\.\d+)?)\s*([kKmM]?i?[bB]?)\s*$/);
+    const unit = size && SIZE_UNITS[size[2].toLowerCase()];
+    if (!unit) throw new Error(`Wrong ${variable} '${value}'. Set a size (e.g. 255KiB, 8MiB or 1048576)` +
+        (category === 'trajectory' ? ' or a number of frames (e.g. 10frames)' : ''));
+    const bytes = Math.round(+size[1] * unit);
+    if (bytes < 1 || bytes > MAX_CHUNK_SIZE) throw new Error(`Wrong ${variable} '${value}'. ` +
+        `It must be between 1 byte and ${MAX_CHUNK_SIZE / 1024 / 1024} MiB`);
+    return { size: bytes };
+};
+
+// Get how files of a given category are to be chunked, according to the environment
+// Return the chunking choice, which is also stored in the file metadata
+const getChunking = (category, environment = process.env) => {
+    const variable = CHUNK_SIZE_VARIABLES[category];
+    if (!variable) throw new Error(`Wrong file category '${category}'`);
+    const value = environment[variable];
+    if (!value) return { category, size: DEFAULT_CHUNK_SIZE };
+    return { category, ...parseChunkSize(value, variable, category) };
+};
+
+// Get the chunk size in bytes of a chunking choice
+// Chunks of frame-aligned choices have as many whole frames as they fit, thus the frame size is required
+// If frames have no fixed size (i.e. they are encoded) or a single frame does not fit then the default size is used
+// Return the chunk size and the actual number of frames per chunk, if frame-aligned
+const getChunkSize = (chunking, frameSize) => {
+    if (!chunking.frames) return { chunkSize: chunking.size, frames: null };
+    if (!frameSize || frameSize > MAX_CHUNK_SIZE) return { chunkSize: DEFAULT_CHUNK_SIZE, frames: null };
+    const frames = Math.min(chunking.frames, Math.floor(MAX_CHUNK_SIZE / frameSize));
+    return { chunkSize: frames * frameSize, frames };
+};
+
+module.exports = {
+    DEFAULT_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    CHUNK_SIZE_VARIABLES,
+    getFileCategory,
+    getChunking,
+    getChunkSize,
+};
@@ -0,0 +1,37 @@
+// Tests for the chunk size of every file category
+const {
+    DEFAULT_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    getFileCategory,
+    getChunking,
+    getChunkSize,
+} = require('./index');
+
+describe('chunk size', () => {
+    test('find the category of files', () => {
+        expect(getFileCategory('structure.pdb')).toBe('structure');
+        expect(getFileCategory('topology.tpr')).toBe('structure');
+        expect(getFileCategory('trajectory.xtc')).toBe('generic');
+    });
+
+    test('read chunk sizes from the environment', () => {
+        expect(getChunking('generic', {})).toEqual({ category: 'generic', size: DEFAULT_CHUNK_SIZE });
+        expect(getChunking('generic', { GENERIC_CHUNK_SIZE: '8MiB' })).toEqual({ category: 'generic', size: 8 * 1024 * 1024 });
+        expect(getChunking('structure', { STRUCTURE_CHUNK_SIZE: '255 KiB' })).toEqual({ category: 'structure', size: 255 * 1024 });
+        expect(getChunking('trajectory', { TRAJECTORY_CHUNK_SIZE: '10frames' })).toEqual({ category: 'trajectory', frames: 10 });
+        expect(() => getChunking('generic', { GENERIC_CHUNK_SIZE: '10frames' })).toThrow('Only trajectories');
+        expect(() => getChunking('generic', { GENERIC_CHUNK_SIZE: '20MiB' })).toThrow('between 1 byte and 15 MiB');
+        expect(() => getChunking('generic', { GENERIC_CHUNK_SIZE: 'big' })).toThrow('Wrong GENERIC_CHUNK_SIZE');
+    });
+
+    test('align chunks with frames', () => {
+        expect(getChunkSize({ size: 1024 }, 1200)).toEqual({ chunkSize: 1024, frames: null });
+        expect(getChunkSize({ frames: 10 }, 1200)).toEqual({ chunkSize: 12000, frames: 10 });
+        // Chunks may not be bigger than the maximum chunk size
+        const frameSize = 4 * 1024 * 1024;
+        expect(getChunkSize({ frames: 10 }, frameSize)).toEqual({ chunkSize: 3 * frameSize, frames: 3 });
+        // Encoded frames have no fixed size and huge frames do not fit in a chunk
+        expect(getChunkSize({ frames: 10 }, null)).toEqual({ chunkSize: DEFAULT_CHUNK_SIZE, frames: null });
+        expect(getChunkSize({ frames: 10 }, MAX_CHUNK_SIZE + 1)).toEqual({ chunkSize: DEFAULT_CHUNK_SIZE, frames: null });
+    });
+});
@@ -84,8 +84,9 @@ module.exports = {
             singleFile: true,
         },
         // The main trajectory, one for every MD directory
+        // Supported formats are XTC, TRR, DCD, AMBER NetCDF and multi-model PDB
         mainTrajectory: {
-            pattern: /^trajectory.xtc$/i,
+            pattern: /^trajectory.(xtc|trr|dcd|nc|pdb)$/i,
             singleFile: true,
         },
         // Analyses, any number for every MD directory
@@ -102,7 +103,7 @@ module.exports = {
         },
         // Additional trajectory files to parse-load, any number for every MD directory
         uploadableTrajectories: {
-            pattern: /^mdt.[\s\S]*.xtc$/i,
+            pattern: /^mdt.[\s\S]*.(xtc|trr|dcd|nc|pdb)$/i,
         }
     },
     // Set analysis-associated files
@@ -0,0 +1,80 @@
+// Compression library from node
+const zlib = require('zlib');
+// Load auxiliar functions
+const { patternToRegExp } = require('../auxiliar-functions');
+
+// Set the supported content encodings of uploaded files
+// Names are the ones used in the HTTP Content-Encoding header, so API servers may send files as they are stored
+// Note that zstd is only available in recent node versions (22.15 or later)
+const ENCODINGS = {
+    gzip: { compress: () => zlib.createGzip(), decompress: () => zlib.createGunzip() },
+    zstd: { compress: () => zlib.createZstdCompress(), decompress: () => zlib.createZstdDecompress() },
+};
+// Set the default encoding of patterns with no encoding
+const DEFAULT_ENCODING = 'gzip';
+
+// Check an encoding is supported by this node version
+const isEncodingAvailable = encoding => encoding !== 'zstd' || typeof zlib.createZstdCompress === 'function';
+
+// Parse a compression rule: the pattern of the files to be compressed and the encoding
+// Patterns are matched against file names and they may have wildcards (e.g. *.pdb or sidecar_*.json)
+// Patterns which are just an extension (e.g. pdb or .pdb) match every file with this extension
+const parseCompressionRule = (pattern, encoding, source) => {
+    if (typeof pattern !== 'string' || pattern.length === 0)
+        throw new Error(`Wrong file compression pattern in ${source}`);
+    if (!(encoding in ENCODINGS)) throw new Error(`Wrong file compression '${encoding}' for '${pattern}' in ${source}. ` +
+        `Supported compressions are ${Object.keys(ENCODINGS).join(', ')}`);
+    if (!isEncodingAvailable(encoding))
+        throw new Error(`The ${encoding} compression is not available in node ${process.version}. Use gzip or update node`);
+    const isExtension = /^\.?[\w-]+$/.test(pattern);
+    const filenamePattern = isExtension ? `*.${pattern.replace(/^\./, '')}` : pattern;
+    return { pattern, regexp: patternToRegExp(filenamePattern), encoding };
+};
+
+// Set which uploaded files are compressed from the command line options and the inputs file
+// Command line rules are patterns, optionally followed by the encoding (e.g. *.pdb or prmtop:zstd)
+// The inputs file may set rules as well, e.g.
+//   load_compression:
+//     pdb: gzip
+//     '*.json': zstd
+// Rules are checked in order and the first match wins, so command line rules have priority over the inputs file
+// Return null if no file is to be compressed
+const getFileCompression = ({ compressFiles }, inputs) => {
+    const rules = [];
+    for (const rule of compressFiles || []) {
+        const separator = String(rule).lastIndexOf(':');
+        if (separator === -1) rules.push(parseCompressionRule(String(rule), DEFAULT_ENCODING, 'the command line'));
+        else rules.push(parseCompressionRule(rule.slice(0, separator), rule.slice(separator + 1), 'the command line'));
+    }
+    const loadCompression = inputs && inputs.load_compression;
+    if (loadCompression) {
+        if (typeof loadCompression !== 'object' || Array.isArray(loadCompression))
+            throw new Error('Wrong load_compression in the inputs file: it must be an object with file patterns as keys');
+        for (const [pattern, encoding] of Object.entries(loadCompression))
+            rules.push(parseCompressionRule(pattern, encoding, 'the inputs file'));
+    }
+    if (rules.length === 0) return null;
+    return rules;
+};
+
+// Find the encoding of a file according to the compression rules
+// Return null if the file is not to be compressed
+const findFileEncoding = (rules, filename) => {
+    if (!rules) return null;
+    const rule = rules.find(rule => rule.regexp.test(filename));
+    return rule ? rule.encoding : null;
+};
+
+// Create a transform stream which compresses data with a given encoding
+const createCompressStream = encoding => ENCODINGS[encoding].compress();
+
+// Create a transform stream which decompresses data with a given encoding
+const createDecompressStream = encoding => ENCODINGS[encoding].decompress();
+
+module.exports = {
+    getFileCompression,
+    findFileEncoding,
+    isEncodingAvailable,
+    createCompressStream,
+    createDecompressStream,
+};
@@ -0,0 +1,50 @@
+// Tests for the compression of uploaded files
+const {
+    getFileCompression,
+    findFileEncoding,
+    isEncodingAvailable,
+    createCompressStream,
+    createDecompressStream,
+} = require('./index');
+
+describe('file compression', () => {
+    test('read compression rules from the command line and the inputs file', () => {
+        expect(getFileCompression({}, null)).toBe(null);
+        const rules = getFileCompression({ compressFiles: ['pdb', '*.prmtop:gzip'] }, { load_compression: { '.psf': 'gzip' } });
+        expect(rules.map(rule => [rule.pattern, rule.encoding])).toEqual([['pdb', 'gzip'], ['*.prmtop', 'gzip'], ['.psf', 'gzip']]);
+        expect(() => getFileCompression({ compressFiles: ['*.pdb:bzip2'] })).toThrow('Supported compressions are gzip, zstd');
+        expect(() => getFileCompression({}, { load_compression: ['*.pdb'] })).toThrow('Wrong load_compression');
+    });
+
+    test('find the encoding of files', () => {
+        const rules = getFileCompression({ compressFiles: ['structure.pdb:gzip', 'pdb:gzip'] });
+        expect(findFileEncoding(rules, 'structure.pdb')).toBe('gzip');
+        expect(findFileEncoding(rules, 'other.PDB')).toBe(null);
+        expect(findFileEncoding(rules, 'topology.json')).toBe(null);
+        expect(findFileEncoding(null, 'structure.pdb')).toBe(null);
+    });
+
+    test('compress and decompress files', async () => {
+        const content = Buffer.from('ATOM      1  N   MET A   1      10.000  20.000  30.000\n'.repeat(100));
+        for (const encoding of ['gzip', 'zstd'].filter(isEncodingAvailable)) {
+            const compressed = await new Promise((resolve, reject) => {
+                const chunks = [];
+                const stream = createCompressStream(encoding);
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => resolve(Buffer.concat(chunks)));
+                stream.on('error', reject);
+                stream.end(content);
+            });
+            expect(compressed.length).toBeLessThan(content.length / 5);
+            const decompressed = await new Promise((resolve, reject) => {
+                const chunks = [];
+                const stream = createDecompressStream(encoding);
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => resolve(Buffer.concat(chunks)));
+                stream.on('error', reject);
+                stream.end(compressed);
+            });
+            expect(decompressed.equals(content)).toBe(true);
+        }
+    });
+});
@@ -0,0 +1,64 @@
+// Every frame index entry has 3 float64: the byte offset of the frame in the trajectory, the step and the time
+// Float64 keeps integers exact up to 2^53, which is far beyond any trajectory size or step
+const ENTRY_VALUES = 3;
+// Then every entry has the 3 box vectors of the frame as 9 float32, which is the precision of coordinates
+const BOX_VALUES = 9;
+const BOX_OFFSET = ENTRY_VALUES * Float64Array.BYTES_PER_ELEMENT;
+const FRAME_INDEX_ENTRY_SIZE = BOX_OFFSET + BOX_VALUES * Float32Array.BYTES_PER_ELEMENT;
+
+// Describe the frame index format in plain words
+// This description is stored along with every frame index so consumers know how to read it
+const FRAME_INDEX_FORMAT = `Every frame has ${ENTRY_VALUES} float64 and ${BOX_VALUES} float32 (little endian): ` +
+    'the byte offset where the frame starts in the trajectory file, the simulation step, the time in picoseconds ' +
+    'and the box vectors in Ångströms (ax, ay, az, bx, by, bz, cx, cy, cz). ' +
+    'Steps, times and boxes are NaN when they are unknown. ' +
+    'Frame i (0-based) ends where frame i + 1 starts or at the end of the trajectory file.';
+
+// Set the name of the frame index of a trajectory file
+// e.g. trajectory.bin -> trajectory.index.bin
+const nameFrameIndex = filename => filename.replace(/\.bin$/i, '') + '.index.bin';
+
+// Write frame index entries ({ offset, step, time, box }) in a buffer
+// Boxes may be any array-like of 9 values
+const encodeFrameIndex = entries => {
+    const buffer = Buffer.alloc(entries.length * FRAME_INDEX_ENTRY_SIZE);
+    entries.forEach(({ offset, step, time, box }, frame) => {
+        const entryOffset = frame * FRAME_INDEX_ENTRY_SIZE;
+        buffer.writeDoubleLE(offset, entryOffset);
+        buffer.writeDoubleLE(typeof step === 'number' ? step : NaN, entryOffset + 8);
+        buffer.writeDoubleLE(typeof time === 'number' ? time : NaN, entryOffset + 16);
+        for (let i = 0; i < BOX_VALUES; i++)
+            buffer.writeFloatLE(box ? box[i] : NaN, entryOffset + BOX_OFFSET + i * Float32Array.BYTES_PER_ELEMENT);
+    });
+    return buffer;
+};
+
+// Read frame index entries from a buffer
+// Unknown steps, times and boxes are returned as null
+const decodeFrameIndex = buffer => {
+    const entries = [];
+    const readValue = offset => {
+        const value = buffer.readDoubleLE(offset);
+        return isNaN(value) ? null : value;
+    };
+    const readBox = offset => {
+        const box = Array.from({ length: BOX_VALUES }, (_, i) => buffer.readFloatLE(offset + i * Float32Array.BYTES_PER_ELEMENT));
+        return box.some(isNaN) ? null : box;
+    };
+    for (let entryOffset = 0; entryOffset + FRAME_INDEX_ENTRY_SIZE <= buffer.length; entryOffset += FRAME_INDEX_ENTRY_SIZE)
+        entries.push({
+            offset: buffer.readDoubleLE(entryOffset),
+            step: readValue(entryOffset + 8),
+            time: readValue(entryOffset + 16),
+            box: readBox(entryOffset + BOX_OFFSET),
+        });
+    return entries;
+};
+
+module.exports = {
+    FRAME_INDEX_ENTRY_SIZE,
+    FRAME_INDEX_FORMAT,
+    nameFrameIndex,
+    encodeFrameIndex,
+    decodeFrameIndex,
+};
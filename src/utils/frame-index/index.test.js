@@ -0,0 +1,27 @@
+// Tests for the frame index of trajectories
+const {
+    FRAME_INDEX_ENTRY_SIZE,
+    nameFrameIndex,
+    encodeFrameIndex,
+    decodeFrameIndex,
+} = require('./index');
+
+describe('frame index', () => {
+    test('name frame indices after their trajectories', () => {
+        expect(nameFrameIndex('trajectory.bin')).toBe('trajectory.index.bin');
+        expect(nameFrameIndex('trajectory.unfolded.bin')).toBe('trajectory.unfolded.index.bin');
+    });
+
+    test('encode and decode frame index entries', () => {
+        const entries = [
+            { offset: 0, step: 0, time: 0, box: [50, 0, 0, 0, 60, 0, 0, 0, 70.5] },
+            { offset: 1200, step: 500, time: 1.5, box: [50, 0, 0, 0, 60, 0, 0, 0, 70.5] },
+            // Huge trajectories may be over 4 GB
+            { offset: 2 ** 40, step: null, time: null, box: null },
+        ];
+        const buffer = encodeFrameIndex(entries);
+        expect(buffer.length).toBe(entries.length * FRAME_INDEX_ENTRY_SIZE);
+        expect(decodeFrameIndex(buffer)).toEqual(entries);
+        expect(decodeFrameIndex(encodeFrameIndex([]))).toEqual([]);
+    });
+});
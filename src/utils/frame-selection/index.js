@@ -0,0 +1,111 @@
+// Set the frame selection options and their names in the inputs file
+// - stride: load one of every N frames
+// - firstFrame: first frame to be loaded (1-based)
+// - lastFrame: last frame which may be loaded (1-based, included)
+// - maxFrames: maximum number of frames to be loaded
+const FRAME_SELECTION_OPTIONS = {
+    stride: 'stride',
+    firstFrame: 'first_frame',
+    lastFrame: 'last_frame',
+    maxFrames: 'max_frames',
+};
+
+// The default frame selection, which loads every frame
+const FULL_SELECTION = { stride: 1, firstFrame: 1, lastFrame: null, maxFrames: null };
+
+// Parse and check the frame selection options
+// Missing options are left undefined, so they can be completed by other sources
+const parseFrameSelection = (options, source) => {
+    const selection = {};
+    if (!options) return selection;
+    if (typeof options !== 'object' || Array.isArray(options))
+        throw new Error(`Wrong frame selection in ${source}: it must be an object`);
+    for (const [option, value] of Object.entries(options)) {
+        if (value === undefined || value === null) continue;
+        if (!Number.isInteger(value) || value < 1)
+            throw new Error(`Wrong frame selection in ${source}: ${option} must be a positive integer but it is ${value}`);
+        selection[option] = value;
+    }
+    if (selection.firstFrame && selection.lastFrame && selection.firstFrame > selection.lastFrame)
+        throw new Error(`Wrong frame selection in ${source}: the first frame (${selection.firstFrame}) ` +
+            `is after the last frame (${selection.lastFrame})`);
+    return selection;
+};
+
+// Get the frame selection options from a section of the inputs file, which uses snake case names
+const parseInputsFrameSelection = (section, source) => {
+    if (!section) return {};
+    const options = {};
+    for (const [option, inputsName] of Object.entries(FRAME_SELECTION_OPTIONS))
+        options[option] = section[inputsName];
+    return parseFrameSelection(options, source);
+};
+
+// Set the frame selection for every trajectory from the command line options and the inputs file
+// The inputs file may set the selection for the whole load and for specific files, e.g.
+//   load_frames:
+//     stride: 10
+//     files:
+//       trajectory.xtc:
+//         max_frames: 1000
+//       replica_2/trajectory.xtc:
+//         first_frame: 5001
+// Files may be set by their name or by their MD directory and their name, which has priority
+// Command line options have priority over the whole load selection in the inputs file
+// Selections for specific files have priority over both
+// Return a function which returns the frame selection for a given MD directory and trajectory file
+const getFrameSelectionHandler = (commandOptions, inputs) => {
+    const loadFrames = inputs && inputs.load_frames;
+    const inputsSelection = parseInputsFrameSelection(loadFrames, 'inputs file');
+    const commandSelection = parseFrameSelection(commandOptions, 'command line');
+    const loadSelection = { ...FULL_SELECTION, ...inputsSelection, ...commandSelection };
+    const fileSections = (loadFrames && loadFrames.files) || {};
+    const fileSelections = {};
+    for (const [file, section] of Object.entries(fileSections))
+        fileSelections[file] = parseInputsFrameSelection(section, `inputs file (${file})`);
+    // Make sure the combined selection is still consistent
+    parseFrameSelection(loadSelection, 'inputs file and command line');
+    return (mdir, file) => {
+        const mdirName = mdir.replace(/\/+$/, '').split('/').pop();
+        const selection = { ...loadSelection, ...fileSelections[file], ...fileSelections[`${mdirName}/${file}`] };
+        return { ...FULL_SELECTION, ...parseFrameSelection(selection, `frame selection of ${mdirName}/${file}`) };
+    };
+};
+
+// Check if a frame is to be loaded by its number (1-based)
+const isFrameSelected = ({ stride, firstFrame, lastFrame, maxFrames }, frameNumber) => {
+    if (frameNumber < firstFrame) return false;
+    if (lastFrame !== null && frameNumber > lastFrame) return false;
+    const offset = frameNumber - firstFrame;
+    if (offset % stride !== 0) return false;
+    return maxFrames === null || offset / stride < maxFrames;
+};
+
+// Find which frames are loaded from a trajectory with a given number of frames
+// Return the number of loaded frames, the stride and the first and last loaded frames (1-based)
+// Loaded frame i (0-based) is the original frame frameRange[0] + i * stride
+const getSelectedFrames = ({ stride, firstFrame, lastFrame, maxFrames }, originalFrames) => {
+    const windowEnd = lastFrame === null ? originalFrames : Math.min(lastFrame, originalFrames);
+    if (firstFrame > windowEnd) return { frames: 0, stride, frameRange: null };
+    let frames = Math.floor((windowEnd - firstFrame) / stride) + 1;
+    if (maxFrames !== null) frames = Math.min(frames, maxFrames);
+    return { frames, stride, frameRange: [firstFrame, firstFrame + (frames - 1) * stride] };
+};
+
+// Check if an already loaded trajectory has the frames a given selection would load
+// Trajectories loaded with no frame selection data had all their frames loaded
+const matchesFrameSelection = (selection, metadata) => {
+    const originalFrames = metadata.originalFrames || metadata.frames;
+    const expected = getSelectedFrames(selection, originalFrames);
+    return expected.frames === metadata.frames
+        && expected.stride === (metadata.stride || 1)
+        && JSON.stringify(expected.frameRange) === JSON.stringify(metadata.frameRange || [1, metadata.frames]);
+};
+
+module.exports = {
+    FULL_SELECTION,
+    getFrameSelectionHandler,
+    isFrameSelected,
+    getSelectedFrames,
+    matchesFrameSelection,
+};
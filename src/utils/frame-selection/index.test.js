@@ -0,0 +1,65 @@
+// Tests for the frame selection of trajectories
+const {
+    FULL_SELECTION,
+    getFrameSelectionHandler,
+    isFrameSelected,
+    getSelectedFrames,
+    matchesFrameSelection,
+} = require('./index');
+
+// Get the numbers of the selected frames among a number of frames
+const selectedFrameNumbers = (selection, frameCount) => Array.from({ length: frameCount }, (_, i) => i + 1)
+    .filter(frameNumber => isFrameSelected(selection, frameNumber));
+
+describe('frame selection', () => {
+    test('select every frame by default', () => {
+        expect(selectedFrameNumbers(FULL_SELECTION, 5)).toEqual([1, 2, 3, 4, 5]);
+        expect(getSelectedFrames(FULL_SELECTION, 5)).toEqual({ frames: 5, stride: 1, frameRange: [1, 5] });
+    });
+
+    test('apply the stride, the frame range and the maximum number of frames', () => {
+        const selection = { stride: 3, firstFrame: 2, lastFrame: 15, maxFrames: 4 };
+        expect(selectedFrameNumbers(selection, 20)).toEqual([2, 5, 8, 11]);
+        expect(getSelectedFrames(selection, 20)).toEqual({ frames: 4, stride: 3, frameRange: [2, 11] });
+        // The trajectory may be shorter than the frame range
+        expect(selectedFrameNumbers(selection, 7)).toEqual([2, 5]);
+        expect(getSelectedFrames(selection, 7)).toEqual({ frames: 2, stride: 3, frameRange: [2, 5] });
+        expect(getSelectedFrames(selection, 1)).toEqual({ frames: 0, stride: 3, frameRange: null });
+    });
+
+    test('merge command line options and the inputs file', () => {
+        const inputs = { load_frames: {
+            stride: 10,
+            last_frame: 1000,
+            files: {
+                'trajectory.xtc': { max_frames: 50 },
+                'replica_2/trajectory.xtc': { stride: 2 },
+            },
+        } };
+        const getFrameSelection = getFrameSelectionHandler({ firstFrame: 11, lastFrame: undefined }, inputs);
+        expect(getFrameSelection('/project/replica_1/', 'mdt.other.xtc'))
+            .toEqual({ stride: 10, firstFrame: 11, lastFrame: 1000, maxFrames: null });
+        expect(getFrameSelection('/project/replica_1/', 'trajectory.xtc'))
+            .toEqual({ stride: 10, firstFrame: 11, lastFrame: 1000, maxFrames: 50 });
+        expect(getFrameSelection('/project/replica_2', 'trajectory.xtc'))
+            .toEqual({ stride: 2, firstFrame: 11, lastFrame: 1000, maxFrames: 50 });
+    });
+
+    test('reject wrong selections', () => {
+        expect(() => getFrameSelectionHandler({ stride: 0 })).toThrow('stride must be a positive integer');
+        expect(() => getFrameSelectionHandler({ stride: 1.5 })).toThrow('stride must be a positive integer');
+        expect(() => getFrameSelectionHandler({ firstFrame: 10, lastFrame: 5 })).toThrow('is after the last frame');
+        expect(() => getFrameSelectionHandler({}, { load_frames: { last_frame: 5 } })).not.toThrow();
+        expect(() => getFrameSelectionHandler({ firstFrame: 10 }, { load_frames: { last_frame: 5 } }))
+            .toThrow('is after the last frame');
+    });
+
+    test('compare selections with loaded trajectories', () => {
+        const selection = { stride: 2, firstFrame: 1, lastFrame: null, maxFrames: null };
+        expect(matchesFrameSelection(selection, { frames: 5, originalFrames: 10, stride: 2, frameRange: [1, 9] })).toBe(true);
+        expect(matchesFrameSelection(FULL_SELECTION, { frames: 5, originalFrames: 10, stride: 2, frameRange: [1, 9] })).toBe(false);
+        // Trajectories loaded with no frame selection data had all their frames loaded
+        expect(matchesFrameSelection(FULL_SELECTION, { frames: 10 })).toBe(true);
+        expect(matchesFrameSelection(selection, { frames: 10 })).toBe(false);
+    });
+});
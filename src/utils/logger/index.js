@@ -3,6 +3,8 @@
 const ora = require('ora');
 // This tool converts miliseconds (ms) to a more human friendly string (e.g. 1337000000 -> 15d 11h 23m 20s)
 const prettyMs = require('pretty-ms');
+// Visual tool which allows to add colors in console
+const chalk = require('chalk');
 
 // This function displays in console a dynamic loading status
 const getSpinner = () => {
@@ -73,13 +75,61 @@ const getSpinner = () => {
   });
 };
 
+// This function displays in console a plain line for every finished status
+// Spinners are redrawn in place, so several tasks logging at the same time would overwrite each other
+// In addition, all tasks would share the same spinner and thus every task would end the spinner of another task
+// Plain lines are written only once the status is finished, with the message passed by the task itself
+// Note that the time spent is not displayed, since it may belong to another task
+const getLine = () => {
+  let text = '';
+  let time = null;
+  const writeLine = (symbol, message) => console.log(`${symbol} ${message || text}`);
+  return Object.freeze({
+    get time() {
+      return time;
+    },
+    // Lines are never running, so errors are displayed as they are instead of failing the status of another task
+    get running() {
+      return false;
+    },
+    get text() {
+      return text;
+    },
+    set text(value) {
+      return (text = value);
+    },
+    start(message) {
+      time = Date.now();
+      text = message;
+      return this;
+    },
+    succeed(message) {
+      writeLine(chalk.green('✔'), message);
+      return this;
+    },
+    warn(message) {
+      writeLine(chalk.yellow('⚠'), message);
+      return this;
+    },
+    fail(message) {
+      writeLine(chalk.red('✖'), message);
+      return this;
+    },
+  });
+};
+
+// Set if plain lines are used instead of spinners
+let plainLines = false;
+
 // Set the spinner reference
 // Since this object is sealed, attributes can be written but not added or deteled
 let spinnerRef = Object.seal({ current: null });
 
 // Set the spinner handler
 const logger = {
-    startLog: message => spinnerRef.current = getSpinner().start(message),
+    // Use plain lines instead of spinners when several tasks may log at the same time
+    setPlainLines: value => plainLines = value,
+    startLog: message => spinnerRef.current = (plainLines ? getLine() : getSpinner()).start(message),
     updateLog: message => spinnerRef.current.text = message,
     successLog: message => spinnerRef.current.succeed(message),
     warnLog: message => spinnerRef.current.warn(message),
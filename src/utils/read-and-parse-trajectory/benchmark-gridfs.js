@@ -4,6 +4,10 @@
  * and shows the upper limits of what we can achieve.
  * with the loader.
  * 
+ * Test 5 compares chunk sizes, including those set in the environment
+ * (TRAJECTORY_CHUNK_SIZE, STRUCTURE_CHUNK_SIZE and GENERIC_CHUNK_SIZE),
+ * for both uploads and frame range reads like those of the web client.
+ * 
  * Run with: node src/utils/read-and-parse-trajectory/benchmark-gridfs.js
  */
 // Import the MDDB database handler
@@ -11,8 +15,14 @@ const { databaseConnection, Database } = require('mddb-database');
 const crypto = require('crypto');
 // Load env from the project root
 require('dotenv').config({ path: require('path').join(__dirname, '../../../.env') });
+// Get the chunk size handlers
+const { CHUNK_SIZE_VARIABLES, getChunking, getChunkSize } = require('../chunk-size');
 
 const DATA_SIZE = 100 * 1024 * 1024; // 100 MB test
+// Frame size of a 36000 atoms trajectory
+const FRAME_SIZE = 36000 * 12;
+// Frame range to be read in Test 5 (0-based, last frame excluded)
+const FRAME_RANGE = [100, 110];
 
 async function benchmarkGridFS() {
     console.log('===========================================');
@@ -175,6 +185,75 @@ async function benchmarkGridFS() {
         await bucket.delete(uploadStream.id);
     }
     
+    // Test 5: Chunk sizes
+    console.log('--- Test 5: Chunk sizes (uploads and frame range reads) ---');
+    {
+        // Set the chunk sizes to compare, including the GridFS default and the loader default
+        const chunkSizes = [
+            { label: 'GridFS default (255 KiB)', chunkSize: 255 * 1024 },
+            { label: '1 MiB', chunkSize: 1024 * 1024 },
+            { label: '4 MiB', chunkSize: 4 * 1024 * 1024 },
+            { label: '15 MiB', chunkSize: 15 * 1024 * 1024 },
+            { label: '1 frame', chunkSize: getChunkSize({ frames: 1 }, FRAME_SIZE).chunkSize },
+            { label: '10 frames', chunkSize: getChunkSize({ frames: 10 }, FRAME_SIZE).chunkSize },
+        ];
+        // Add the chunk sizes set in the environment
+        for (const [category, variable] of Object.entries(CHUNK_SIZE_VARIABLES)) {
+            if (!process.env[variable]) continue;
+            const { chunkSize } = getChunkSize(getChunking(category), FRAME_SIZE);
+            chunkSizes.push({ label: `${variable}=${process.env[variable]}`, chunkSize });
+        }
+        const WRITE_SIZE = 256 * 1024;
+        // Set the bytes of the frame range
+        const start = FRAME_RANGE[0] * FRAME_SIZE;
+        const end = FRAME_RANGE[1] * FRAME_SIZE;
+        
+        for (const { label, chunkSize } of chunkSizes) {
+            const uploadStream = bucket.openUploadStream('benchmark-chunk-size', {
+                chunkSizeBytes: chunkSize,
+            });
+            
+            let startTime = Date.now();
+            let written = 0;
+            
+            await new Promise(async (resolve, reject) => {
+                uploadStream.on('finish', resolve);
+                uploadStream.on('error', reject);
+                
+                while (written < DATA_SIZE) {
+                    const chunk = testData.subarray(written, Math.min(written + WRITE_SIZE, DATA_SIZE));
+                    const keepGoing = uploadStream.write(chunk);
+                    written += chunk.length;
+                    
+                    if (!keepGoing) await new Promise(next => uploadStream.once('drain', next));
+                }
+                uploadStream.end();
+            });
+            
+            const uploadElapsed = (Date.now() - startTime) / 1000;
+            
+            // Read the frame range as the web client does
+            startTime = Date.now();
+            let readBytes = 0;
+            await new Promise((resolve, reject) => {
+                const downloadStream = bucket.openDownloadStream(uploadStream.id, { start, end });
+                downloadStream.on('data', data => { readBytes += data.length; });
+                downloadStream.on('end', resolve);
+                downloadStream.on('error', reject);
+            });
+            const readElapsed = (Date.now() - startTime) / 1000;
+            // Count the chunks which must be read from the database to get the frame range
+            const readChunks = Math.floor((end - 1) / chunkSize) - Math.floor(start / chunkSize) + 1;
+            
+            console.log(`${label} [${chunkSize} bytes]`);
+            console.log(`  Upload throughput: ${(DATA_SIZE / 1024 / 1024 / uploadElapsed).toFixed(2)} MB/sec`);
+            console.log(`  Frame range read: ${(readElapsed * 1000).toFixed(0)} ms ` +
+                `(${readBytes} bytes from ${readChunks} chunks, ${(readChunks * chunkSize / 1024 / 1024).toFixed(2)} MB read)\n`);
+            
+            await bucket.delete(uploadStream.id);
+        }
+    }
+    
     await client.close();
 }
 
@@ -12,6 +12,12 @@ const BYTES_PER_ATOM = Float32Array.BYTES_PER_ELEMENT * N_COORDINATES;
 // '      x[35999]={-8.50000e-02,  1.82000e+00,  7.23700e+00}'
 const COORDINATES_REGEXP = /^\s*x\[\s*\d*]={\s*(-?\d+\.\d+e[+-]\d{2}),\s*(-?\d+\.\d+e[+-]\d{2}),\s*(-?\d+\.\d+e[+-]\d{2})\s*}\s*$/;
 const FRAME_REGEXP = / frame \d+:$/;
+// example match:
+// '   natoms=     36000  step=       500  time=1.0000000e+00  prec=      1000'
+const FRAME_HEADER_REGEXP = /^\s*natoms=\s*\d+\s+step=\s*(-?\d+)\s+time=\s*(\S+)/;
+// example match:
+// '      box[    1]={ 0.00000e+00,  7.53800e+00,  0.00000e+00}'
+const BOX_REGEXP = /^\s*box\[\s*(\d+)]={\s*(-?\d+\.\d+e[+-]\d{2}),\s*(-?\d+\.\d+e[+-]\d{2}),\s*(-?\d+\.\d+e[+-]\d{2})\s*}\s*$/;
 
 // Batch size: number of atoms to accumulate before yielding
 const BATCH_SIZE = 1000; // Adjust based on memory/performance tradeoff
@@ -106,6 +112,9 @@ if (!isMainThread) {
         // Pre-allocate a batch buffer
         const atomBatchBuffer = Buffer.alloc(BYTES_PER_ATOM * BATCH_SIZE);
         let batchOffset = 0;
+        // Frames are signaled right before their first coordinates
+        // By then the frame header and box have been read, so the signal includes the frame step, time and box
+        let pendingFrame = null;
         // Iterate over the command output lines
         for await (const line of yieldCommandOutputPerLines(gromacsCommand, commandArgs)) {
             // Save matches with a long RegExp pattern defined above
@@ -119,11 +128,30 @@ if (!isMainThread) {
                         parentPort.postMessage({ type: 'data', buffer: Buffer.from(atomBatchBuffer.subarray(0, batchOffset)) });
                         batchOffset = 0;
                     }
-                    // Send a log update signal every time a new frame is completed
-                    parentPort.postMessage({ type: 'frame' });
+                    pendingFrame = {};
+                }
+                // Keep the step and time of the new frame
+                else if (pendingFrame) {
+                    const header = line.match(FRAME_HEADER_REGEXP);
+                    if (header) {
+                        pendingFrame.step = +header[1];
+                        pendingFrame.time = +header[2];
+                    }
+                    // Keep the box vectors of the new frame, one vector per line
+                    const boxVector = line.match(BOX_REGEXP);
+                    if (boxVector) {
+                        if (!pendingFrame.box) pendingFrame.box = new Array(9).fill(NaN);
+                        for (let i = 0; i < N_COORDINATES; i++)
+                            pendingFrame.box[+boxVector[1] * N_COORDINATES + i] = +boxVector[i + 2] * UNIT_CONVERSION_SCALE;
+                    }
                 }
                 continue; // Next line
             }
+            // Send a log update signal every time a new frame starts, along with its step, time and box
+            if (pendingFrame) {
+                parentPort.postMessage({ type: 'frame', ...pendingFrame });
+                pendingFrame = null;
+            }
             // Write coordinates at the current batch offset
             atomBatchBuffer.writeFloatLE(+match[1] * UNIT_CONVERSION_SCALE, batchOffset);     // x
             atomBatchBuffer.writeFloatLE(+match[2] * UNIT_CONVERSION_SCALE, batchOffset + 4); // y
@@ -190,7 +218,7 @@ if (!isMainThread) {
                 }
             } else if (msg.type === 'frame') {
                 // Signal frame update - push a special marker
-                chunkQueue.push({ isFrame: true });
+                chunkQueue.push({ isFrame: true, step: msg.step, time: msg.time, box: msg.box });
                 if (resolveWaiting) {
                     const resolve = resolveWaiting;
                     resolveWaiting = null;
@@ -244,7 +272,7 @@ if (!isMainThread) {
             
             // Handle frame marker
             if (item.isFrame) {
-                newFrameUpdate(); // Send a log update signal every time a new frame is completed
+                newFrameUpdate({ step: item.step, time: item.time, box: item.box }); // Send a log update signal every time a new frame starts
                 continue;
             }
             
@@ -0,0 +1,56 @@
+// Set a limiter which runs asynchronous tasks with a maximum number of them running at the same time
+// The limiter is a function which receives a task (an async function with no arguments) and returns its promise
+// Tasks are started in the same order they are passed
+// Once a task fails, tasks which are still waiting are not started and they fail with the same error
+const createLimiter = limit => {
+  // Check that the limit is integer and positive
+  if (!(Number.isInteger(limit) && limit > 0)) {
+    throw new Error('The concurrency limit needs to be a positive integer');
+  }
+  // Track the number of running tasks and the tasks waiting for a free slot
+  let running = 0;
+  const queue = [];
+  // Keep the first error, if any
+  let failure = null;
+  // Start as many waiting tasks as free slots
+  const next = () => {
+    while (running < limit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      // If something already failed then do not start anything else
+      if (failure) {
+        reject(failure.error);
+        continue;
+      }
+      running += 1;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, error => {
+          if (!failure) failure = { error };
+          reject(error);
+        })
+        .finally(() => {
+          running -= 1;
+          next();
+        });
+    }
+  };
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+// Run an asynchronous task for every item in a list using a limiter
+// Wait for all tasks to finish, even if any fails, so nothing is left running in the background
+// Then throw the first error, if any, or return the results in the same order than the items
+const runConcurrently = async (items, task, limiter) => {
+  const results = await Promise.allSettled(items.map((item, index) => limiter(() => task(item, index))));
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results.map(result => result.value);
+};
+
+module.exports = {
+  createLimiter,
+  runConcurrently,
+};
@@ -0,0 +1,63 @@
+// Tests for the limiter of concurrent tasks
+const { createLimiter, runConcurrently } = require('./index');
+
+// Set a task which may be finished from the test, so the order of events is controlled
+const getControlledTask = () => {
+  let finish;
+  const promise = new Promise((resolve, reject) => finish = { resolve, reject });
+  return { task: () => promise, finish };
+};
+
+// Wait until all pending promise callbacks are run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('run concurrently', () => {
+  test('refuse wrong limits', () => {
+    expect(() => createLimiter(0)).toThrow('positive integer');
+    expect(() => createLimiter(1.5)).toThrow('positive integer');
+  });
+
+  test('never run more tasks than the limit and start them in order', async () => {
+    const limiter = createLimiter(2);
+    const started = [];
+    const tasks = [0, 1, 2, 3].map(() => getControlledTask());
+    const promises = tasks.map((controlledTask, index) => limiter(() => {
+      started.push(index);
+      return controlledTask.task();
+    }));
+    await flush();
+    expect(started).toEqual([0, 1]);
+    tasks[1].finish.resolve('b');
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+    tasks[0].finish.resolve('a');
+    await flush();
+    expect(started).toEqual([0, 1, 2, 3]);
+    tasks[2].finish.resolve('c');
+    tasks[3].finish.resolve('d');
+    expect(await Promise.all(promises)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('do not start queued tasks once a task fails', async () => {
+    const limiter = createLimiter(1);
+    const started = [];
+    const error = new Error('Task failed');
+    const results = runConcurrently([0, 1, 2], async index => {
+      started.push(index);
+      if (index === 0) throw error;
+      return index;
+    }, limiter);
+    await expect(results).rejects.toBe(error);
+    expect(started).toEqual([0]);
+    // Further tasks fail with the same error as well
+    await expect(limiter(async () => started.push(3))).rejects.toBe(error);
+    expect(started).toEqual([0]);
+  });
+
+  test('return results in the order of items', async () => {
+    const limiter = createLimiter(3);
+    const delays = [30, 10, 20];
+    const results = await runConcurrently(delays, delay => new Promise(resolve => setTimeout(() => resolve(delay), delay)), limiter);
+    expect(results).toEqual(delays);
+  });
+});
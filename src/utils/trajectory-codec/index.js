@@ -0,0 +1,113 @@
+// Compression library from node
+const zlib = require('zlib');
+
+// Set the supported codecs and the integer type they store every coordinate in
+// The raw codec stores coordinates as float32, just like trajectories have always been stored
+const CODECS = {
+    raw: null,
+    int16: { bytes: 2, max: 0xffff, write: 'writeUInt16LE', read: 'readUInt16LE', type: 'uint16' },
+    int32: { bytes: 4, max: 0xffffffff, write: 'writeUInt32LE', read: 'readUInt32LE', type: 'uint32' },
+};
+// Set the supported compressions of every frame
+const COMPRESSIONS = ['none', 'deflate'];
+// Set the default precision in Ångströms, which is the default precision of XTC files
+const DEFAULT_PRECISION = 0.01;
+// Size of the frame header: the origin of every coordinate as float64
+const ORIGIN_SIZE = 3 * Float64Array.BYTES_PER_ELEMENT;
+
+// Set the trajectory codec from the command line options and the inputs file
+// The inputs file may set the codec as well, e.g.
+//   load_codec:
+//     name: int16
+//     precision: 0.01
+//     compression: deflate
+// Command line options have priority over the inputs file
+// Return null if trajectories are to be stored raw and with no compression
+const getTrajectoryCodec = ({ trajectoryCodec, trajectoryPrecision, trajectoryCompression }, inputs) => {
+    const loadCodec = (inputs && inputs.load_codec) || {};
+    const name = trajectoryCodec || loadCodec.name || 'raw';
+    const compression = trajectoryCompression || loadCodec.compression || 'none';
+    const precision = trajectoryPrecision || loadCodec.precision || DEFAULT_PRECISION;
+    if (!(name in CODECS))
+        throw new Error(`Wrong trajectory codec '${name}'. Supported codecs are ${Object.keys(CODECS).join(', ')}`);
+    if (!COMPRESSIONS.includes(compression))
+        throw new Error(`Wrong trajectory compression '${compression}'. Supported compressions are ${COMPRESSIONS.join(', ')}`);
+    if (typeof precision !== 'number' || !(precision > 0))
+        throw new Error(`Wrong trajectory precision '${precision}'. It must be a positive number of Ångströms`);
+    if (name === 'raw' && compression === 'none') return null;
+    // The precision makes no sense with raw coordinates
+    return { name, precision: name === 'raw' ? null : precision, compression };
+};
+
+// Describe the frame format of a codec in plain words
+// This description is stored along with every trajectory so consumers know how to read it
+const describeCodec = ({ name, precision, compression }) => {
+    const codec = CODECS[name];
+    const coordinates = codec
+        ? `3 float64 origins (minimum x, y and z of the frame, in Å) followed by one ${codec.type} per coordinate ` +
+            `(x, y, z for every atom). Every coordinate is its origin plus its value multiplied by the precision (${precision} Å)`
+        : 'one float32 per coordinate (x, y, z for every atom, in Å)';
+    const compressed = compression === 'deflate' ? ' Every frame is then compressed with raw deflate (RFC 1951).' : '';
+    return `Every frame is stored as ${coordinates}. All numbers are little endian.${compressed} ` +
+        'Frames may have different sizes, so the frame index says where every frame starts.';
+};
+
+// Encode the raw coordinates (float32, little endian) of a whole frame
+// The frame number is only used for error messages
+const encodeFrame = ({ name, precision, compression }, coordinates, frameNumber) => {
+    const codec = CODECS[name];
+    let frame = coordinates;
+    if (codec) {
+        const valueCount = coordinates.length / Float32Array.BYTES_PER_ELEMENT;
+        // Find the origin of every coordinate
+        const origins = [Infinity, Infinity, Infinity];
+        for (let i = 0; i < valueCount; i++) {
+            const value = coordinates.readFloatLE(i * 4);
+            if (value < origins[i % 3]) origins[i % 3] = value;
+        }
+        frame = Buffer.alloc(ORIGIN_SIZE + valueCount * codec.bytes);
+        origins.forEach((origin, dimension) => frame.writeDoubleLE(origin, dimension * 8));
+        for (let i = 0; i < valueCount; i++) {
+            const quantized = Math.round((coordinates.readFloatLE(i * 4) - origins[i % 3]) / precision);
+            if (!(quantized <= codec.max))
+                throw new Error(`Coordinates in frame ${frameNumber} do not fit in ${name} with a precision of ${precision} Å. ` +
+                    'Use a larger precision or the int32 codec');
+            frame[codec.write](quantized, ORIGIN_SIZE + i * codec.bytes);
+        }
+    }
+    if (compression === 'deflate') frame = zlib.deflateRawSync(frame);
+    return frame;
+};
+
+// Decode an encoded frame into raw coordinates (float32, little endian)
+const decodeFrame = ({ name, precision, compression }, frame) => {
+    if (compression === 'deflate') frame = zlib.inflateRawSync(frame);
+    const codec = CODECS[name];
+    if (!codec) return frame;
+    const valueCount = (frame.length - ORIGIN_SIZE) / codec.bytes;
+    const origins = [0, 1, 2].map(dimension => frame.readDoubleLE(dimension * 8));
+    const coordinates = Buffer.alloc(valueCount * Float32Array.BYTES_PER_ELEMENT);
+    for (let i = 0; i < valueCount; i++)
+        coordinates.writeFloatLE(origins[i % 3] + frame[codec.read](ORIGIN_SIZE + i * codec.bytes) * precision, i * 4);
+    return coordinates;
+};
+
+// Get the codec of an already loaded trajectory from its metadata
+// Return null if the trajectory is stored raw
+const getStoredCodec = metadata => {
+    const codec = metadata && metadata.codec;
+    if (!codec) return null;
+    return { name: codec.name, precision: codec.precision, compression: codec.compression };
+};
+
+// Check if an already loaded trajectory is stored with a given codec
+const matchesTrajectoryCodec = (codec, metadata) => JSON.stringify(codec) === JSON.stringify(getStoredCodec(metadata));
+
+module.exports = {
+    getTrajectoryCodec,
+    describeCodec,
+    encodeFrame,
+    decodeFrame,
+    getStoredCodec,
+    matchesTrajectoryCodec,
+};
@@ -0,0 +1,57 @@
+// Tests for the codecs to store trajectories
+const {
+    getTrajectoryCodec,
+    describeCodec,
+    encodeFrame,
+    decodeFrame,
+    matchesTrajectoryCodec,
+} = require('./index');
+
+// Coordinates of a frame with 4 atoms, in Ångströms
+const COORDINATES = [12.345, -3.21, 100.5, 14.001, -7.77, 98.25, 55.5, 0.01, 120.125, 13.2, -1.5, 101];
+const RAW_FRAME = Buffer.from(Float32Array.from(COORDINATES).buffer);
+
+// Get the coordinates in a raw frame
+const readCoordinates = frame => Array.from(new Float32Array(frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length)));
+
+describe('trajectory codecs', () => {
+    test('store trajectories raw by default', () => {
+        expect(getTrajectoryCodec({}, null)).toBe(null);
+        expect(getTrajectoryCodec({ trajectoryCodec: 'int16' }, null))
+            .toEqual({ name: 'int16', precision: 0.01, compression: 'none' });
+        expect(getTrajectoryCodec({ trajectoryPrecision: 0.001 }, { load_codec: { name: 'int32', compression: 'deflate' } }))
+            .toEqual({ name: 'int32', precision: 0.001, compression: 'deflate' });
+        expect(getTrajectoryCodec({ trajectoryCompression: 'deflate' }, null))
+            .toEqual({ name: 'raw', precision: null, compression: 'deflate' });
+        expect(() => getTrajectoryCodec({ trajectoryCodec: 'int8' }, null)).toThrow('Wrong trajectory codec');
+    });
+
+    test.each([
+        [{ name: 'int16', precision: 0.01, compression: 'none' }, 24 + 12 * 2],
+        [{ name: 'int32', precision: 0.001, compression: 'none' }, 24 + 12 * 4],
+        [{ name: 'int16', precision: 0.01, compression: 'deflate' }, null],
+        [{ name: 'raw', precision: null, compression: 'deflate' }, null],
+    ])('encode and decode frames with %j', (codec, expectedSize) => {
+        const encodedFrame = encodeFrame(codec, RAW_FRAME, 1);
+        if (expectedSize) expect(encodedFrame.length).toBe(expectedSize);
+        const decoded = readCoordinates(decodeFrame(codec, encodedFrame));
+        expect(decoded.length).toBe(COORDINATES.length);
+        const tolerance = (codec.precision || 0) / 2 + 1e-4;
+        decoded.forEach((value, i) => expect(Math.abs(value - COORDINATES[i])).toBeLessThanOrEqual(tolerance));
+        expect(describeCodec(codec)).toContain('frame index');
+    });
+
+    test('reject coordinates out of the codec range', () => {
+        const wideFrame = Buffer.from(Float32Array.from([0, 0, 0, 1000, 0, 0]).buffer);
+        expect(() => encodeFrame({ name: 'int16', precision: 0.01, compression: 'none' }, wideFrame, 7))
+            .toThrow('Coordinates in frame 7 do not fit in int16');
+        expect(() => encodeFrame({ name: 'int32', precision: 0.01, compression: 'none' }, wideFrame, 7)).not.toThrow();
+    });
+
+    test('compare codecs with loaded trajectories', () => {
+        const codec = { name: 'int16', precision: 0.01, compression: 'none' };
+        expect(matchesTrajectoryCodec(null, { frames: 10 })).toBe(true);
+        expect(matchesTrajectoryCodec(codec, { frames: 10 })).toBe(false);
+        expect(matchesTrajectoryCodec(codec, { frames: 10, codec: { ...codec, format: 'whatever' } })).toBe(true);
+    });
+});
@@ -0,0 +1,46 @@
+// Set the number of values in a box: 3 vectors with 3 coordinates each
+const BOX_SIZE = 9;
+
+// Convert degrees to radians
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Get the box vectors from the unit cell lengths (in Ångströms) and angles (in degrees)
+// The first vector is aligned with the X axis and the second vector is in the XY plane
+// Return a Float32Array with the 3 box vectors (ax, ay, az, bx, by, bz, cx, cy, cz)
+// If there is no unit cell (i.e. lengths are zero) then all values are zero
+const boxFromCell = (a, b, c, alpha, beta, gamma) => {
+    const box = new Float32Array(BOX_SIZE);
+    if (!a || !b || !c) return box;
+    const cosAlpha = Math.cos(toRadians(alpha));
+    const cosBeta = Math.cos(toRadians(beta));
+    const cosGamma = Math.cos(toRadians(gamma));
+    const sinGamma = Math.sin(toRadians(gamma));
+    box[0] = a;
+    box[3] = b * cosGamma;
+    box[4] = b * sinGamma;
+    box[6] = c * cosBeta;
+    box[7] = c * (cosAlpha - cosBeta * cosGamma) / sinGamma;
+    box[8] = Math.sqrt(Math.max(0, c * c - box[6] * box[6] - box[7] * box[7]));
+    return box;
+};
+
+// Get the unit cell lengths (in Ångströms) and angles (in degrees) from the 3 box vectors
+// This is the inverse of boxFromCell
+// Return an array with a, b, c, alpha, beta and gamma
+// If there is no box (i.e. any vector is zero) then lengths are zero and angles are 90 degrees
+const cellFromBox = box => {
+    const vectors = [0, 1, 2].map(v => [box[v * 3], box[v * 3 + 1], box[v * 3 + 2]]);
+    const lengths = vectors.map(vector => Math.hypot(...vector));
+    if (lengths.some(length => !length)) return [0, 0, 0, 90, 90, 90];
+    const angle = (v, w) => {
+        const dot = vectors[v].reduce((sum, value, i) => sum + value * vectors[w][i], 0);
+        return Math.acos(Math.max(-1, Math.min(1, dot / (lengths[v] * lengths[w])))) * 180 / Math.PI;
+    };
+    return [...lengths, angle(1, 2), angle(0, 2), angle(0, 1)];
+};
+
+module.exports = {
+    BOX_SIZE,
+    boxFromCell,
+    cellFromBox,
+};
@@ -0,0 +1,79 @@
+// Read a binary stream in pieces of a given number of bytes
+// Trajectory frames are read one after another, so the whole trajectory is never loaded in memory
+// Note that the returned buffers may share memory with the stream chunks so they must be used before the next read
+class ByteReader {
+    constructor (stream) {
+        // Keep the stream iterator, so chunks are only requested when they are needed
+        this.iterator = stream[Symbol.asyncIterator]();
+        // Keep the current chunk and the number of bytes already read from it
+        this.buffer = Buffer.alloc(0);
+        this.offset = 0;
+        // Keep the total number of bytes already read
+        this.position = 0;
+    };
+
+    // Get the number of bytes which are already available
+    _available = () => this.buffer.length - this.offset;
+
+    // Get chunks from the stream until there are enough bytes available
+    // Return false if the stream ends before
+    _fill = async size => {
+        if (this._available() >= size) return true;
+        const chunks = [ this.buffer.subarray(this.offset) ];
+        let available = chunks[0].length;
+        let ended = false;
+        while (available < size) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                ended = true;
+                break;
+            }
+            chunks.push(value);
+            available += value.length;
+        }
+        this.buffer = Buffer.concat(chunks);
+        this.offset = 0;
+        return !ended;
+    };
+
+    // Read a number of bytes
+    // Return null if the stream has ended exactly before, which means there is nothing else to read
+    // If the stream ends in the middle of the read then the file is truncated and an error is thrown
+    read = async size => {
+        if (!await this._fill(size)) {
+            if (this._available() === 0) return null;
+            throw new Error(`Unexpected end of file at byte ${this.position + this._available()}`);
+        }
+        const bytes = this.buffer.subarray(this.offset, this.offset + size);
+        this.offset += size;
+        this.position += size;
+        return bytes;
+    };
+
+    // Read a number of bytes which must exist
+    readExactly = async size => {
+        const bytes = await this.read(size);
+        if (bytes === null) throw new Error(`Unexpected end of file at byte ${this.position}`);
+        return bytes;
+    };
+
+    // Discard a number of bytes
+    // Chunks are discarded as they come, so skipping huge sections does not fill the memory
+    skip = async size => {
+        let remaining = size;
+        while (remaining > 0) {
+            if (this._available() === 0) {
+                const { value, done } = await this.iterator.next();
+                if (done) throw new Error(`Unexpected end of file at byte ${this.position}`);
+                this.buffer = value;
+                this.offset = 0;
+            }
+            const skipped = Math.min(remaining, this._available());
+            this.offset += skipped;
+            this.position += skipped;
+            remaining -= skipped;
+        }
+    };
+};
+
+module.exports = ByteReader;
@@ -0,0 +1,109 @@
+// Native reader for CHARMM and NAMD DCD trajectories
+// DCD files are made of Fortran unformatted records, each one surrounded by its size in bytes
+// Records are written in the endianness of the machine which wrote the file, so it is guessed from the first record
+// https://www.ks.uiuc.edu/Research/vmd/plugins/molfile/dcdplugin.html
+
+// Get the binary stream reader
+const ByteReader = require('../byte-reader');
+// Get the box handlers
+const { boxFromCell } = require('../box');
+
+// The first record is always 84 bytes long and it starts with 'CORD'
+const HEADER_RECORD_SIZE = 84;
+const HEADER_MAGIC = 'CORD';
+// Size of the unit cell record: 6 doubles
+const UNIT_CELL_RECORD_SIZE = 48;
+
+// Read a whole Fortran record and check its size markers
+// Return null if the file ends exactly before the record
+const readRecord = async (reader, littleEndian, expectedSize) => {
+    const marker = await reader.read(4);
+    if (marker === null) return null;
+    const size = littleEndian ? marker.readInt32LE(0) : marker.readInt32BE(0);
+    if (expectedSize !== undefined && size !== expectedSize)
+        throw new Error(`Corrupted DCD file: record of ${size} bytes where ${expectedSize} bytes were expected`);
+    // Copy the record, since the buffer may be overwritten by the next read
+    const record = Buffer.from(await reader.readExactly(size));
+    const endMarker = await reader.readExactly(4);
+    const endSize = littleEndian ? endMarker.readInt32LE(0) : endMarker.readInt32BE(0);
+    if (endSize !== size) throw new Error(`Corrupted DCD file: record markers do not match (${size} and ${endSize})`);
+    return record;
+};
+
+// Read the frames of a DCD file one by one
+// Every frame includes its coordinates in Ångströms as a Float32Array (x, y, z for every atom)
+// It also includes the box vectors in Ångströms, if the file has a unit cell
+const readDcdFrames = async function* (stream) {
+    const reader = new ByteReader(stream);
+    // Guess the endianness from the size of the first record
+    const firstMarker = await reader.readExactly(4);
+    let littleEndian;
+    if (firstMarker.readInt32LE(0) === HEADER_RECORD_SIZE) littleEndian = true;
+    else if (firstMarker.readInt32BE(0) === HEADER_RECORD_SIZE) littleEndian = false;
+    else throw new Error('Not a DCD file or DCD files with 64 bit record markers, which are not supported');
+    const readInt = (buffer, offset) => littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+    const readFloat = (buffer, offset) => littleEndian ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset);
+    const readDouble = (buffer, offset) => littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+    // Read the rest of the header record
+    const header = Buffer.from(await reader.readExactly(HEADER_RECORD_SIZE + 4)).subarray(0, HEADER_RECORD_SIZE);
+    if (header.toString('latin1', 0, 4) !== HEADER_MAGIC) throw new Error('Not a DCD file: wrong header');
+    // Control integers start after the magic word
+    const control = index => readInt(header, 4 + index * 4);
+    const startStep = control(1);
+    const stepsBetweenFrames = control(2);
+    const fixedAtomCount = control(8);
+    // CHARMM files have a version number in the last control integer and may have a unit cell and a fourth dimension
+    const isCharmm = control(19) !== 0;
+    const hasUnitCell = isCharmm && control(10) !== 0;
+    const hasFourthDimension = isCharmm && control(11) !== 0;
+    // The title record is not used
+    await readRecord(reader, littleEndian);
+    // Read the number of atoms
+    const atomCount = readInt(await readRecord(reader, littleEndian, 4), 0);
+    // If there are fixed atoms then read the indices of atoms which are not fixed (1-based)
+    // Fixed atoms are only written in the first frame
+    let freeAtomIndices = null;
+    if (fixedAtomCount > 0) {
+        const freeAtomCount = atomCount - fixedAtomCount;
+        const record = await readRecord(reader, littleEndian, freeAtomCount * 4);
+        freeAtomIndices = new Int32Array(freeAtomCount);
+        for (let i = 0; i < freeAtomCount; i++) freeAtomIndices[i] = readInt(record, i * 4) - 1;
+    }
+    let frameIndex = 0;
+    let previousCoordinates = null;
+    while (true) {
+        // Read the unit cell, if any
+        let box;
+        if (hasUnitCell) {
+            const cell = await readRecord(reader, littleEndian, UNIT_CELL_RECORD_SIZE);
+            if (cell === null) return;
+            // The unit cell is written as A, gamma, B, beta, alpha, C
+            const values = [0, 1, 2, 3, 4, 5].map(i => readDouble(cell, i * 8));
+            // Old CHARMM versions write cosines instead of angles
+            const toAngle = value => Math.abs(value) <= 1 ? Math.acos(value) * 180 / Math.PI : value;
+            box = boxFromCell(values[0], values[2], values[5], toAngle(values[4]), toAngle(values[3]), toAngle(values[1]));
+        }
+        // Read the coordinates, which are written in one record per dimension
+        const isFullFrame = frameIndex === 0 || !freeAtomIndices;
+        const frameAtomCount = isFullFrame ? atomCount : freeAtomIndices.length;
+        const coordinates = isFullFrame ? new Float32Array(atomCount * 3) : Float32Array.from(previousCoordinates);
+        for (let dimension = 0; dimension < 3; dimension++) {
+            const record = await readRecord(reader, littleEndian, frameAtomCount * 4);
+            if (record === null) {
+                if (dimension === 0 && !hasUnitCell) return;
+                throw new Error(`Unexpected end of file at byte ${reader.position}`);
+            }
+            for (let i = 0; i < frameAtomCount; i++) {
+                const atom = isFullFrame ? i : freeAtomIndices[i];
+                coordinates[atom * 3 + dimension] = readFloat(record, i * 4);
+            }
+        }
+        // The fourth dimension is not used
+        if (hasFourthDimension) await readRecord(reader, littleEndian, frameAtomCount * 4);
+        previousCoordinates = coordinates;
+        yield { coordinates, box, step: startStep + frameIndex * stepsBetweenFrames };
+        frameIndex += 1;
+    }
+};
+
+module.exports = readDcdFrames;
@@ -0,0 +1,80 @@
+// Files system from node
+const fs = require('fs');
+// Stream tools from node
+const { pipeline } = require('stream');
+// Get the platform endianness
+const { endianness } = require('os');
+// Get the readers of every trajectory format
+const readXtcFrames = require('./xtc');
+const readTrrFrames = require('./trr');
+const readDcdFrames = require('./dcd');
+const readNetcdfFrames = require('./netcdf');
+const readPdbFrames = require('./pdb');
+
+// Set the reader of every supported trajectory format by file extension
+// Every reader gets a readable stream and yields frames with coordinates in Ångströms as a Float32Array
+const TRAJECTORY_READERS = {
+    xtc: readXtcFrames,
+    trr: readTrrFrames,
+    dcd: readDcdFrames,
+    nc: readNetcdfFrames,
+    pdb: readPdbFrames,
+};
+
+// Set the trajectory formats which may be read with Gromacs as well
+const GROMACS_FORMATS = ['xtc', 'trr'];
+
+// Get the trajectory format from a filepath extension
+const getTrajectoryFormat = filepath => {
+    const extension = filepath.split('.').pop().toLowerCase();
+    return extension in TRAJECTORY_READERS ? extension : null;
+};
+
+// Check if a trajectory can be read natively, with no external tool
+const isNativeTrajectory = filepath => getTrajectoryFormat(filepath) !== null;
+
+// Check if a trajectory can be read with Gromacs
+const isGromacsTrajectory = filepath => GROMACS_FORMATS.includes(getTrajectoryFormat(filepath));
+
+// Read a trajectory file while coordinates are converted to float32 binary data
+// This is the native alternative to read-and-parse-trajectory, which requires Gromacs
+// Every yielded buffer contains the coordinates of a whole frame (x, y, z for every atom, little endian)
+// Frames are read in the main thread, since decoding binary data is much faster than parsing the Gromacs text output
+// The file system may be replaced (e.g. by a project archive) to read files which are not in disk
+// If a checksum stream is passed then the file is hashed as it is read, so it does not have to be read twice
+const readTrajectory = async function* (filepath, newFrameUpdate, abort, fileSystem = fs, checksumStream = null) {
+    const format = getTrajectoryFormat(filepath);
+    if (!format) throw new Error(`Trajectory format of '${filepath}' is not supported`);
+    const readFrames = TRAJECTORY_READERS[format];
+    // Track the last time we checked if the load was aborted
+    let lastCheck = Date.now();
+    const source = fileSystem.createReadStream(filepath, { highWaterMark: 4 * 1024 * 1024 }); // 4 MiB buffer
+    // Errors are passed to the checksum stream, which is the one destroyed at the end
+    const stream = checksumStream ? pipeline(source, checksumStream, () => {}) : source;
+    try {
+        for await (const { coordinates, step, time, box } of readFrames(stream)) {
+            // Check once per second if the process has been aborted
+            const now = Date.now();
+            if (now > lastCheck + 1000) {
+                if (await abort()) return;
+                lastCheck = now;
+            }
+            // Send a log update signal every time a new frame is read, along with its step, time and box, if known
+            // This is done before yielding the frame, just like Gromacs signals frames before their coordinates
+            newFrameUpdate({ step, time, box });
+            // Float32Array values are stored in the platform endianness, while the database expects little endian
+            const frame = Buffer.from(coordinates.buffer, coordinates.byteOffset, coordinates.byteLength);
+            yield endianness() === 'LE' ? frame : frame.swap32();
+        }
+    }
+    finally {
+        stream.destroy();
+    }
+};
+
+module.exports = {
+    getTrajectoryFormat,
+    isNativeTrajectory,
+    isGromacsTrajectory,
+    readTrajectory,
+};
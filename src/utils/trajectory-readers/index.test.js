@@ -0,0 +1,146 @@
+// Tests for the native trajectory readers of every format
+const { Readable } = require('stream');
+const { getTrajectoryFormat, readTrajectory } = require('./index');
+const { createChecksum, createChecksumStream } = require('../checksum');
+
+// Coordinates of the 2 frames of 2 atoms in every test trajectory, in Ångströms
+const FRAMES = [
+    [1, 2, 3, 4, 5, 6],
+    [1.5, 2.5, 3.5, 4.5, 5.5, 6.5],
+];
+
+// Write numbers in a buffer
+const int32LE = values => Buffer.from(Int32Array.from(values).buffer);
+const float32LE = values => Buffer.from(Float32Array.from(values).buffer);
+const float64LE = values => Buffer.from(Float64Array.from(values).buffer);
+const int32BE = values => Buffer.concat(values.map(value => { const b = Buffer.alloc(4); b.writeInt32BE(value); return b; }));
+const float32BE = values => Buffer.concat(values.map(value => { const b = Buffer.alloc(4); b.writeFloatBE(value); return b; }));
+
+// Build a CHARMM DCD file with a unit cell
+const buildDcd = () => {
+    const record = data => Buffer.concat([int32LE([data.length]), data, int32LE([data.length])]);
+    const control = new Array(20).fill(0);
+    control[0] = FRAMES.length;
+    control[10] = 1; // Unit cell
+    control[19] = 24; // CHARMM version
+    const title = Buffer.alloc(80, ' ');
+    const frames = FRAMES.map(frame => Buffer.concat([
+        // A, gamma, B, beta, alpha, C
+        record(float64LE([10, 90, 20, 90, 90, 30])),
+        record(float32LE([frame[0], frame[3]])),
+        record(float32LE([frame[1], frame[4]])),
+        record(float32LE([frame[2], frame[5]])),
+    ]));
+    return Buffer.concat([
+        record(Buffer.concat([Buffer.from('CORD'), int32LE(control)])),
+        record(Buffer.concat([int32LE([1]), title])),
+        record(int32LE([2])),
+        ...frames,
+    ]);
+};
+
+// Build a single precision TRR file, with a frame with velocities only in between
+const buildTrr = () => {
+    const frame = (step, coordinates, velocities) => Buffer.concat([
+        int32BE([1993, 13, 12]), Buffer.from('GMX_trn_file'),
+        int32BE([0, 0, 36, 0, 0, 0, 0, coordinates ? 24 : 0, velocities ? 24 : 0, 0, 2, step, 0]),
+        float32BE([step * 0.002, 0]),
+        // The box is 1 x 2 x 3 nm
+        float32BE([1, 0, 0, 0, 2, 0, 0, 0, 3]),
+        coordinates ? float32BE(coordinates.map(value => value / 10)) : Buffer.alloc(0),
+        velocities ? float32BE(velocities) : Buffer.alloc(0),
+    ]);
+    return Buffer.concat([
+        frame(0, FRAMES[0]),
+        frame(5, null, [1, 1, 1, 1, 1, 1]),
+        frame(10, FRAMES[1]),
+    ]);
+};
+
+// Build an AMBER NetCDF 3 file with time and coordinates
+const buildNetcdf = () => {
+    const name = text => {
+        const bytes = Buffer.alloc(Math.ceil(text.length / 4) * 4);
+        bytes.write(text);
+        return Buffer.concat([int32BE([text.length]), bytes]);
+    };
+    // Dimensions are frame (unlimited), spatial and atom
+    const dimensions = Buffer.concat([int32BE([10, 3]),
+        name('frame'), int32BE([0]), name('spatial'), int32BE([3]), name('atom'), int32BE([2])]);
+    const variable = (variableName, dimensionIds, size, begin) => Buffer.concat([name(variableName),
+        int32BE([dimensionIds.length, ...dimensionIds]), int32BE([0, 0]), int32BE([5, size, begin])]);
+    const headerSize = (begins) => Buffer.concat([Buffer.from('CDF\x01'), int32BE([FRAMES.length]), dimensions,
+        int32BE([0, 0]), int32BE([11, 2]), variable('time', [0], 4, begins[0]), variable('coordinates', [0, 2, 1], 24, begins[1])]);
+    const headerLength = headerSize([0, 0]).length;
+    const header = headerSize([headerLength, headerLength + 4]);
+    const records = FRAMES.map((frame, f) => Buffer.concat([float32BE([f * 10]), float32BE(frame)]));
+    return Buffer.concat([header, ...records]);
+};
+
+// Build a multi-model PDB file
+const buildPdb = () => {
+    const coordinate = value => value.toFixed(3).padStart(8);
+    const atom = (index, x, y, z) => `ATOM  ${String(index).padStart(5)}  CA  ALA A   1    ${coordinate(x)}${coordinate(y)}${coordinate(z)}  1.00  0.00           C`;
+    const lines = ['CRYST1   10.000   20.000   30.000  90.00  90.00  90.00 P 1           1'];
+    FRAMES.forEach((frame, f) => {
+        lines.push(`MODEL     ${f + 1}`);
+        lines.push(atom(1, frame[0], frame[1], frame[2]));
+        lines.push(atom(2, frame[3], frame[4], frame[5]));
+        lines.push('ENDMDL');
+    });
+    lines.push('END');
+    return Buffer.from(lines.join('\n') + '\n');
+};
+
+// Read a whole trajectory through a fake file system which serves the buffer in small chunks
+const readAllFrames = async (filename, buffer, checksumStream) => {
+    const fileSystem = {
+        createReadStream: () => Readable.from(Array.from({ length: Math.ceil(buffer.length / 50) },
+            (_, i) => buffer.subarray(i * 50, (i + 1) * 50))),
+    };
+    const frames = [];
+    let frameCount = 0;
+    for await (const frame of readTrajectory(filename, () => frameCount += 1, async () => false, fileSystem, checksumStream))
+        frames.push(Array.from(new Float32Array(frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length))));
+    expect(frameCount).toBe(frames.length);
+    return frames;
+};
+
+describe('trajectory readers', () => {
+    test('select the reader by extension', () => {
+        expect(getTrajectoryFormat('/path/trajectory.xtc')).toBe('xtc');
+        expect(getTrajectoryFormat('/path/mdt.replica.DCD')).toBe('dcd');
+        expect(getTrajectoryFormat('/path/trajectory.nc')).toBe('nc');
+        expect(getTrajectoryFormat('/path/trajectory.gro')).toBe(null);
+    });
+
+    test.each([
+        ['trajectory.dcd', buildDcd],
+        ['trajectory.trr', buildTrr],
+        ['trajectory.nc', buildNetcdf],
+        ['trajectory.pdb', buildPdb],
+    ])('read %s in the binary coordinates layout', async (filename, build) => {
+        const frames = await readAllFrames(filename, build());
+        expect(frames.length).toBe(FRAMES.length);
+        frames.forEach((frame, f) => {
+            expect(frame.length).toBe(FRAMES[f].length);
+            frame.forEach((value, i) => expect(value).toBeCloseTo(FRAMES[f][i], 4));
+        });
+    });
+
+    test.each([
+        ['trajectory.dcd', buildDcd],
+        ['trajectory.trr', buildTrr],
+        ['trajectory.nc', buildNetcdf],
+        ['trajectory.pdb', buildPdb],
+    ])('hash %s from the same stream it is read', async (filename, build) => {
+        const buffer = build();
+        const checksumStream = createChecksumStream();
+        const frames = await readAllFrames(filename, buffer, checksumStream);
+        expect(frames.length).toBe(FRAMES.length);
+        expect(checksumStream.getChecksum()).toEqual({
+            sha256: createChecksum().update(buffer).digest('hex'),
+            size: buffer.length,
+        });
+    });
+});
@@ -0,0 +1,159 @@
+// Native reader for AMBER NetCDF trajectories
+// AMBER trajectories are NetCDF 3 files (classic or 64 bit offset formats), which are big endian
+// Frames are NetCDF records, which contain the coordinates along with any other per-frame variable
+// Note that NetCDF 4 files are HDF5 files and they are not supported
+// https://ambermd.org/netcdf/nctraj.xhtml
+// https://docs.unidata.ucar.edu/nug/current/file_format_specifications.html
+
+// Get the binary stream reader
+const ByteReader = require('../byte-reader');
+// Get the box handlers
+const { boxFromCell } = require('../box');
+
+// Header tags
+const ABSENT = 0;
+const NC_DIMENSION = 10;
+const NC_VARIABLE = 11;
+const NC_ATTRIBUTE = 12;
+// Number of records when the file is being written
+const STREAMING = 0xffffffff;
+// Size in bytes of every NetCDF type: byte, char, short, int, float and double
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 4, 6: 8 };
+const NC_FLOAT = 5;
+const NC_DOUBLE = 6;
+
+// Round a number of bytes up to a multiple of 4, since every header element is padded
+const pad = size => Math.ceil(size / 4) * 4;
+
+// Read the NetCDF header
+// Return the number of records, the dimensions and the variables with their attributes
+const readHeader = async reader => {
+    const magic = await reader.readExactly(4);
+    if (magic.toString('latin1', 0, 3) !== 'CDF') {
+        if (magic.toString('latin1', 1, 4) === 'HDF') throw new Error('NetCDF 4 files are not supported. Please convert it to NetCDF 3');
+        throw new Error('Not a NetCDF file');
+    }
+    const version = magic[3];
+    if (version !== 1 && version !== 2) throw new Error(`Unknown NetCDF version ${version}`);
+    const readInt = async () => (await reader.readExactly(4)).readInt32BE(0);
+    const readUint = async () => (await reader.readExactly(4)).readUInt32BE(0);
+    const readName = async () => {
+        const length = await readInt();
+        return (await reader.readExactly(pad(length))).toString('utf8', 0, length);
+    };
+    // Read a list of header elements, which starts with its tag or with the absent tag
+    const readList = async (expectedTag, readElement) => {
+        const tag = await readInt();
+        const count = await readInt();
+        if (tag === ABSENT) return [];
+        if (tag !== expectedTag) throw new Error(`Corrupted NetCDF header: tag ${tag} where ${expectedTag} was expected`);
+        const elements = [];
+        for (let i = 0; i < count; i++) elements.push(await readElement());
+        return elements;
+    };
+    const readAttributes = async () => {
+        const attributes = {};
+        const list = await readList(NC_ATTRIBUTE, async () => {
+            const name = await readName();
+            const type = await readInt();
+            const count = await readInt();
+            const size = TYPE_SIZES[type];
+            if (!size) throw new Error(`Unknown NetCDF type ${type} in attribute ${name}`);
+            const bytes = Buffer.from(await reader.readExactly(pad(count * size)));
+            let value;
+            if (type === 2) value = bytes.toString('utf8', 0, count).replace(/\0+$/, '');
+            else if (type === NC_FLOAT) value = Array.from({ length: count }, (_, i) => bytes.readFloatBE(i * 4));
+            else if (type === NC_DOUBLE) value = Array.from({ length: count }, (_, i) => bytes.readDoubleBE(i * 8));
+            else value = bytes;
+            return { name, value };
+        });
+        for (const { name, value } of list) attributes[name] = value;
+        return attributes;
+    };
+    // Note that the number of records may be bigger than 2^31 so it is read as unsigned
+    const recordCount = await readUint();
+    const dimensions = await readList(NC_DIMENSION, async () => ({ name: await readName(), length: await readInt() }));
+    const globalAttributes = await readAttributes();
+    const variables = await readList(NC_VARIABLE, async () => {
+        const name = await readName();
+        const dimensionCount = await readInt();
+        const dimensionIds = [];
+        for (let i = 0; i < dimensionCount; i++) dimensionIds.push(await readInt());
+        const attributes = await readAttributes();
+        const type = await readInt();
+        const size = await readUint();
+        // The 64 bit offset format has 64 bit variable offsets
+        const begin = version === 1 ? await readUint() : Number((await reader.readExactly(8)).readBigUInt64BE(0));
+        // Variables whose first dimension is the unlimited dimension are record variables
+        const isRecord = dimensionCount > 0 && dimensions[dimensionIds[0]].length === 0;
+        const shape = dimensionIds.map(id => dimensions[id].length);
+        return { name, type, size, begin, isRecord, shape, attributes };
+    });
+    return { recordCount, dimensions, globalAttributes, variables };
+};
+
+// Get a function to read the values of a record variable by their index
+const getValueReader = (record, variable) => {
+    const offset = variable.recordOffset;
+    if (variable.type === NC_FLOAT) return index => record.readFloatBE(offset + index * 4);
+    if (variable.type === NC_DOUBLE) return index => record.readDoubleBE(offset + index * 8);
+    throw new Error(`Variable ${variable.name} has an unexpected type ${variable.type}`);
+};
+
+// Read the first values of a record variable
+const readValues = (record, variable, count) => {
+    const readValue = getValueReader(record, variable);
+    return Array.from({ length: count }, (_, index) => readValue(index));
+};
+
+// Read the frames of an AMBER NetCDF file one by one
+// Every frame includes its coordinates in Ångströms as a Float32Array (x, y, z for every atom)
+// It also includes the time in picoseconds and the box vectors in Ångströms, if the file has a unit cell
+const readNetcdfFrames = async function* (stream) {
+    const reader = new ByteReader(stream);
+    const { recordCount, variables } = await readHeader(reader);
+    const findRecordVariable = name => variables.find(variable => variable.name === name && variable.isRecord);
+    const coordinatesVariable = findRecordVariable('coordinates');
+    if (!coordinatesVariable) throw new Error('NetCDF file has no coordinates. Is this an AMBER trajectory?');
+    const atomCount = coordinatesVariable.shape[1];
+    // Coordinates may be scaled (AMBER convention)
+    const scaleFactor = coordinatesVariable.attributes.scale_factor ? coordinatesVariable.attributes.scale_factor[0] : 1;
+    const cellLengthsVariable = findRecordVariable('cell_lengths');
+    const cellAnglesVariable = findRecordVariable('cell_angles');
+    const timeVariable = findRecordVariable('time');
+    // Records contain every record variable, one after another
+    // If there is only one record variable then its size is not padded
+    const recordVariables = variables.filter(variable => variable.isRecord)
+        .sort((a, b) => a.begin - b.begin);
+    const recordStart = recordVariables[0].begin;
+    const recordSize = recordVariables.length === 1
+        ? recordVariables[0].shape.slice(1).reduce((product, length) => product * length, TYPE_SIZES[recordVariables[0].type])
+        : recordVariables.reduce((size, variable) => size + variable.size, 0);
+    for (const variable of recordVariables) variable.recordOffset = variable.begin - recordStart;
+    if (recordCount === 0) return;
+    // Skip non-record variables until the first record
+    await reader.skip(recordStart - reader.position);
+    // Read records one by one
+    // If the file is still being written then read as many records as there are
+    let recordIndex = 0;
+    while (recordCount === STREAMING || recordIndex < recordCount) {
+        const record = recordCount === STREAMING
+            ? await reader.read(recordSize)
+            : await reader.readExactly(recordSize);
+        if (record === null) return;
+        const readCoordinate = getValueReader(record, coordinatesVariable);
+        const coordinates = new Float32Array(atomCount * 3);
+        for (let i = 0; i < coordinates.length; i++) coordinates[i] = readCoordinate(i) * scaleFactor;
+        let box;
+        if (cellLengthsVariable && cellAnglesVariable) {
+            const [a, b, c] = readValues(record, cellLengthsVariable, 3);
+            const [alpha, beta, gamma] = readValues(record, cellAnglesVariable, 3);
+            box = boxFromCell(a, b, c, alpha, beta, gamma);
+        }
+        const time = timeVariable ? readValues(record, timeVariable, 1)[0] : undefined;
+        yield { coordinates, box, time };
+        recordIndex += 1;
+    }
+};
+
+module.exports = readNetcdfFrames;
@@ -0,0 +1,65 @@
+// Native reader for multi-model PDB trajectories
+// Every model (MODEL to ENDMDL) is a frame, and a file with no models is a single frame
+// Coordinates are read from ATOM and HETATM records, which have fixed columns
+// https://www.wwpdb.org/documentation/file-format-content/format33/sect9.html
+
+// Get the box handlers
+const { boxFromCell } = require('../box');
+
+// Set the columns of coordinates in ATOM and HETATM records
+const X_COLUMNS = [30, 38];
+const Y_COLUMNS = [38, 46];
+const Z_COLUMNS = [46, 54];
+
+// Read the lines of a text stream one by one
+const readLines = async function* (stream) {
+    let previous = '';
+    for await (const chunk of stream) {
+        previous += chunk.toString('latin1');
+        const lines = previous.split('\n');
+        previous = lines.pop();
+        yield* lines;
+    }
+    if (previous.length > 0) yield previous;
+};
+
+// Read the frames of a PDB file one by one
+// Every frame includes its coordinates in Ångströms as a Float32Array (x, y, z for every atom)
+// It also includes the box vectors in Ångströms, if the file has a CRYST1 record
+const readPdbFrames = async function* (stream) {
+    let atomCount = null;
+    let coordinates = [];
+    let box;
+    let frameIndex = 0;
+    // Build a frame with the current coordinates
+    // All frames must have the same number of atoms
+    const buildFrame = () => {
+        if (atomCount === null) atomCount = coordinates.length / 3;
+        else if (coordinates.length / 3 !== atomCount)
+            throw new Error(`Model ${frameIndex + 1} has ${coordinates.length / 3} atoms while previous models have ${atomCount} atoms`);
+        const frame = { coordinates: Float32Array.from(coordinates), box };
+        coordinates = [];
+        frameIndex += 1;
+        return frame;
+    };
+    for await (const line of readLines(stream)) {
+        const record = line.slice(0, 6).trim();
+        if (record === 'ATOM' || record === 'HETATM') {
+            for (const [start, end] of [X_COLUMNS, Y_COLUMNS, Z_COLUMNS]) {
+                const value = parseFloat(line.slice(start, end));
+                if (isNaN(value)) throw new Error(`Wrong coordinates in model ${frameIndex + 1}: ${line}`);
+                coordinates.push(value);
+            }
+        }
+        // The unit cell applies to the next models
+        else if (record === 'CRYST1') {
+            const cell = [6, 15, 24, 33, 40, 47].map(start => parseFloat(line.slice(start, start + (start < 33 ? 9 : 7))));
+            box = boxFromCell(...cell);
+        }
+        // Models end with ENDMDL, but files with no models end with END or with nothing
+        else if ((record === 'ENDMDL' || record === 'END') && coordinates.length > 0) yield buildFrame();
+    }
+    if (coordinates.length > 0) yield buildFrame();
+};
+
+module.exports = readPdbFrames;
@@ -0,0 +1,67 @@
+// Native reader for GROMACS TRR trajectories
+// TRR files are a sequence of XDR (big endian) frames in full precision
+// Every frame may include the box, coordinates, velocities and forces, in single or double precision
+// https://gitlab.com/gromacs/gromacs/-/blob/main/src/gromacs/fileio/trrio.cpp
+
+// Get the binary stream reader
+const ByteReader = require('../byte-reader');
+
+// Every TRR frame starts with this number
+const TRR_MAGIC_NUMBER = 1993;
+// TRR coordinates and box vectors are in nanometers, while the database expects Ångströms
+const UNIT_CONVERSION_SCALE = 10;
+const N_COORDINATES = 3;
+// Frame header size before the version string: magic number and string lengths
+const MAGIC_SIZE = 4 * 3;
+// Number of integers in the header after the version string
+const HEADER_INT_COUNT = 13;
+
+// Read the frames of a TRR file one by one
+// Frames with no coordinates (e.g. only velocities or forces) are skipped
+// Every frame includes its coordinates in Ångströms as a Float32Array (x, y, z for every atom)
+// It also includes the step, the time in picoseconds and the box vectors in Ångströms
+const readTrrFrames = async function* (stream) {
+    const reader = new ByteReader(stream);
+    while (true) {
+        const magic = await reader.read(MAGIC_SIZE);
+        if (magic === null) return;
+        const magicNumber = magic.readInt32BE(0);
+        if (magicNumber !== TRR_MAGIC_NUMBER)
+            throw new Error(`Wrong TRR magic number ${magicNumber} at byte ${reader.position - MAGIC_SIZE}`);
+        // Skip the version string (i.e. 'GMX_trn_file'), which is padded to a multiple of 4
+        const versionLength = magic.readInt32BE(8);
+        await reader.skip(Math.ceil(versionLength / 4) * 4);
+        // Read the sizes of every block in the frame
+        const header = await reader.readExactly(HEADER_INT_COUNT * 4);
+        const [
+            inputRecordSize, energySize, boxSize, virialSize, pressureSize, topologySize, symmetrySize,
+            coordinatesSize, velocitiesSize, forcesSize, atomCount, step
+        ] = Array.from({ length: HEADER_INT_COUNT - 1 }, (_, i) => header.readInt32BE(i * 4));
+        // Guess the precision (single or double) from the size of any block
+        const realSize = boxSize ? boxSize / 9
+            : coordinatesSize ? coordinatesSize / (atomCount * N_COORDINATES)
+            : velocitiesSize ? velocitiesSize / (atomCount * N_COORDINATES)
+            : forcesSize ? forcesSize / (atomCount * N_COORDINATES)
+            : 4;
+        if (realSize !== 4 && realSize !== 8) throw new Error(`Corrupted TRR frame at step ${step}`);
+        const readReals = async count => {
+            const bytes = await reader.readExactly(count * realSize);
+            const values = new Float32Array(count);
+            for (let i = 0; i < count; i++)
+                values[i] = (realSize === 4 ? bytes.readFloatBE(i * 4) : bytes.readDoubleBE(i * 8)) * UNIT_CONVERSION_SCALE;
+            return values;
+        };
+        // Time and lambda are written in the same precision
+        const times = await reader.readExactly(realSize * 2);
+        const time = realSize === 4 ? times.readFloatBE(0) : times.readDoubleBE(0);
+        // These blocks are not written by current GROMACS versions, but skip them just in case
+        await reader.skip(inputRecordSize + energySize);
+        const box = boxSize ? await readReals(9) : undefined;
+        await reader.skip(virialSize + pressureSize + topologySize + symmetrySize);
+        const coordinates = coordinatesSize ? await readReals(atomCount * N_COORDINATES) : null;
+        await reader.skip(velocitiesSize + forcesSize);
+        if (coordinates) yield { coordinates, box, step, time };
+    }
+};
+
+module.exports = readTrrFrames;
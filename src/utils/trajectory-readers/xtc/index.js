@@ -0,0 +1,251 @@
+// Native reader for GROMACS XTC trajectories
+// XTC files are a sequence of XDR (big endian) frames with compressed coordinates
+// The decompression is a port of the xdr3dfcoord function in the xdrfile library
+// https://gitlab.com/gromacs/gromacs/-/blob/main/src/gromacs/fileio/libxdrf.cpp
+
+// Get the binary stream reader
+const ByteReader = require('../byte-reader');
+
+// Every XTC frame starts with this number
+const XTC_MAGIC_NUMBER = 1995;
+// XTC coordinates and box vectors are in nanometers, while the database expects Ångströms
+const UNIT_CONVERSION_SCALE = 10;
+const N_COORDINATES = 3;
+// Frames with up to this number of atoms are not compressed
+const MAX_UNCOMPRESSED_ATOMS = 9;
+// Frame header size: magic number, atoms, step, time, 3x3 box and atoms again
+const HEADER_SIZE = 4 * (4 + 9 + 1);
+// Compressed coordinates header size: precision, minimum and maximum integers, small index and bytes count
+const COMPRESSED_HEADER_SIZE = 4 * (1 + 3 + 3 + 1 + 1);
+
+// Set the sizes used to encode the differences between consecutive atoms
+// These are the xdrfile 'magicints', where the first 9 values are never used
+const MAGIC_INTS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 8, 10, 12, 16, 20, 25, 32, 40, 50, 64,
+    80, 101, 128, 161, 203, 256, 322, 406, 512, 645, 812, 1024, 1290,
+    1625, 2048, 2580, 3250, 4096, 5060, 6501, 8192, 10321, 13003,
+    16384, 20642, 26007, 32768, 41285, 52015, 65536, 82570, 104031,
+    131072, 165140, 208063, 262144, 330280, 416127, 524287, 660561,
+    832255, 1048576, 1321122, 1664510, 2097152, 2642245, 3329021,
+    4194304, 5284491, 6658042, 8388607, 10568983, 13316085, 16777216
+];
+const FIRST_MAGIC_INDEX = 9;
+// Get half of a magic integer
+// Note that this is an integer division in the original code, so odd values must be rounded down
+const halfMagicInt = index => Math.floor(MAGIC_INTS[index] / 2);
+
+// Get the number of bits required to store an integer
+const sizeOfInt = size => {
+    let bits = 0;
+    let num = 1;
+    while (size >= num && bits < 32) {
+        bits += 1;
+        num *= 2;
+    }
+    return bits;
+};
+
+// Get the number of bits required to store the product of several integers
+// The product may be bigger than 32 bits so it is calculated as a list of bytes
+const sizeOfInts = sizes => {
+    const bytes = [ 1 ];
+    for (const size of sizes) {
+        let carry = 0;
+        for (let b = 0; b < bytes.length; b++) {
+            carry += bytes[b] * size;
+            bytes[b] = carry % 256;
+            carry = Math.floor(carry / 256);
+        }
+        while (carry !== 0) {
+            bytes.push(carry % 256);
+            carry = Math.floor(carry / 256);
+        }
+    }
+    let bits = 0;
+    let num = 1;
+    const lastByte = bytes[bytes.length - 1];
+    while (lastByte >= num) {
+        bits += 1;
+        num *= 2;
+    }
+    return bits + (bytes.length - 1) * 8;
+};
+
+// Set a reader of the compressed bit stream
+class BitReader {
+    constructor (bytes) {
+        this.bytes = bytes;
+        this.count = 0;
+        this.lastBits = 0;
+        this.lastByte = 0;
+    };
+
+    // Read an integer of a given number of bits
+    receiveBits = bits => {
+        let num = 0;
+        let remainingBits = bits;
+        while (remainingBits >= 8) {
+            this.lastByte = ((this.lastByte << 8) | this.bytes[this.count++]) & 0xffff;
+            num = num * 256 + ((this.lastByte >> this.lastBits) & 0xff);
+            remainingBits -= 8;
+        }
+        if (remainingBits > 0) {
+            if (this.lastBits < remainingBits) {
+                this.lastBits += 8;
+                this.lastByte = ((this.lastByte << 8) | this.bytes[this.count++]) & 0xffff;
+            }
+            this.lastBits -= remainingBits;
+            num = num * (1 << remainingBits) + ((this.lastByte >> this.lastBits) & ((1 << remainingBits) - 1));
+        }
+        return num;
+    };
+
+    // Read 3 integers which were packed together in a given number of bits
+    // Every integer is smaller than its corresponding size
+    receiveInts = (bits, sizes, target) => {
+        const bytes = [];
+        let remainingBits = bits;
+        while (remainingBits > 8) {
+            bytes.push(this.receiveBits(8));
+            remainingBits -= 8;
+        }
+        if (remainingBits > 0) bytes.push(this.receiveBits(remainingBits));
+        while (bytes.length < 4) bytes.push(0);
+        for (let i = N_COORDINATES - 1; i > 0; i--) {
+            let num = 0;
+            for (let b = bytes.length - 1; b >= 0; b--) {
+                num = num * 256 + bytes[b];
+                const quotient = Math.floor(num / sizes[i]);
+                bytes[b] = quotient;
+                num -= quotient * sizes[i];
+            }
+            target[i] = num;
+        }
+        target[0] = bytes[0] + bytes[1] * 256 + bytes[2] * 65536 + bytes[3] * 16777216;
+    };
+};
+
+// Decompress the coordinates of a frame
+// Coordinates are written in the target array, already scaled to Ångströms
+const decompressCoordinates = (bytes, atomCount, precision, minInt, maxInt, smallIndex, target) => {
+    const reader = new BitReader(bytes);
+    const sizeInt = [0, 1, 2].map(i => maxInt[i] - minInt[i] + 1);
+    // Big integers can not be packed together so they are read one by one
+    const bitSizeInt = [0, 0, 0];
+    let bitSize = 0;
+    if ((sizeInt[0] | sizeInt[1] | sizeInt[2]) > 0xffffff) {
+        for (let i = 0; i < N_COORDINATES; i++) bitSizeInt[i] = sizeOfInt(sizeInt[i]);
+    }
+    else bitSize = sizeOfInts(sizeInt);
+    let smaller = halfMagicInt(Math.max(FIRST_MAGIC_INDEX, smallIndex - 1));
+    let smallNum = halfMagicInt(smallIndex);
+    let sizeSmall = [MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex]];
+    const scale = UNIT_CONVERSION_SCALE / precision;
+    const thisCoord = [0, 0, 0];
+    const prevCoord = [0, 0, 0];
+    let run = 0;
+    let atom = 0;
+    let offset = 0;
+    // Write the coordinates of an atom in the target array
+    const writeCoordinates = coordinates => {
+        target[offset++] = coordinates[0] * scale;
+        target[offset++] = coordinates[1] * scale;
+        target[offset++] = coordinates[2] * scale;
+    };
+    while (atom < atomCount) {
+        // Read the absolute coordinates of an atom
+        if (bitSize === 0) {
+            for (let i = 0; i < N_COORDINATES; i++) thisCoord[i] = reader.receiveBits(bitSizeInt[i]);
+        }
+        else reader.receiveInts(bitSize, sizeInt, thisCoord);
+        atom += 1;
+        for (let i = 0; i < N_COORDINATES; i++) {
+            thisCoord[i] += minInt[i];
+            prevCoord[i] = thisCoord[i];
+        }
+        // Then it may follow a run of atoms whose coordinates are small differences from the previous atom
+        let isSmaller = 0;
+        if (reader.receiveBits(1) === 1) {
+            run = reader.receiveBits(5);
+            isSmaller = run % 3;
+            run -= isSmaller;
+            isSmaller -= 1;
+        }
+        if (run > 0) {
+            if (atom + run / 3 > atomCount) throw new Error('Corrupted XTC frame: more atoms than expected');
+            for (let k = 0; k < run; k += 3) {
+                reader.receiveInts(smallIndex, sizeSmall, thisCoord);
+                atom += 1;
+                for (let i = 0; i < N_COORDINATES; i++) thisCoord[i] += prevCoord[i] - smallNum;
+                // The first and second atoms are interchanged for better compression of water molecules
+                if (k === 0) {
+                    for (let i = 0; i < N_COORDINATES; i++) {
+                        const swap = thisCoord[i];
+                        thisCoord[i] = prevCoord[i];
+                        prevCoord[i] = swap;
+                    }
+                    writeCoordinates(prevCoord);
+                }
+                else {
+                    for (let i = 0; i < N_COORDINATES; i++) prevCoord[i] = thisCoord[i];
+                }
+                writeCoordinates(thisCoord);
+            }
+        }
+        else writeCoordinates(thisCoord);
+        // Adapt the size of differences for the next run
+        smallIndex += isSmaller;
+        if (isSmaller < 0) {
+            smallNum = smaller;
+            smaller = smallIndex > FIRST_MAGIC_INDEX ? halfMagicInt(smallIndex - 1) : 0;
+        }
+        else if (isSmaller > 0) {
+            smaller = smallNum;
+            smallNum = halfMagicInt(smallIndex);
+        }
+        sizeSmall = [MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex]];
+    }
+};
+
+// Read the frames of an XTC file one by one
+// Every frame includes its coordinates in Ångströms as a Float32Array (x, y, z for every atom)
+// It also includes the step, the time in picoseconds and the box vectors in Ångströms
+const readXtcFrames = async function* (stream) {
+    const reader = new ByteReader(stream);
+    while (true) {
+        const header = await reader.read(HEADER_SIZE);
+        if (header === null) return;
+        const magicNumber = header.readInt32BE(0);
+        if (magicNumber !== XTC_MAGIC_NUMBER)
+            throw new Error(`Wrong XTC magic number ${magicNumber} at byte ${reader.position - HEADER_SIZE}`);
+        const atomCount = header.readInt32BE(4);
+        const step = header.readInt32BE(8);
+        const time = header.readFloatBE(12);
+        const box = new Float32Array(9);
+        for (let i = 0; i < 9; i++) box[i] = header.readFloatBE(16 + i * 4) * UNIT_CONVERSION_SCALE;
+        const coordinatesAtomCount = header.readInt32BE(52);
+        if (coordinatesAtomCount !== atomCount)
+            throw new Error(`Corrupted XTC frame at step ${step}: ${coordinatesAtomCount} coordinates for ${atomCount} atoms`);
+        const coordinates = new Float32Array(atomCount * N_COORDINATES);
+        // Few atoms are written as plain floats
+        if (atomCount <= MAX_UNCOMPRESSED_ATOMS) {
+            const values = await reader.readExactly(coordinates.length * 4);
+            for (let i = 0; i < coordinates.length; i++)
+                coordinates[i] = values.readFloatBE(i * 4) * UNIT_CONVERSION_SCALE;
+        }
+        else {
+            const compressedHeader = await reader.readExactly(COMPRESSED_HEADER_SIZE);
+            const precision = compressedHeader.readFloatBE(0);
+            const minInt = [0, 1, 2].map(i => compressedHeader.readInt32BE(4 + i * 4));
+            const maxInt = [0, 1, 2].map(i => compressedHeader.readInt32BE(16 + i * 4));
+            const smallIndex = compressedHeader.readInt32BE(28);
+            const byteCount = compressedHeader.readInt32BE(32);
+            // Compressed bytes are padded to a multiple of 4
+            const bytes = await reader.readExactly(Math.ceil(byteCount / 4) * 4);
+            decompressCoordinates(bytes, atomCount, precision, minInt, maxInt, smallIndex, coordinates);
+        }
+        yield { coordinates, box, step, time };
+    }
+};
+
+module.exports = readXtcFrames;
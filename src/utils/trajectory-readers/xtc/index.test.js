@@ -0,0 +1,51 @@
+// Tests for the native XTC reader
+const { Readable } = require('stream');
+const readXtcFrames = require('./index');
+
+// Small XTC file with 2 frames of 12 atoms, written with a precision of 1000
+// It includes water-like molecules, so it has runs of small coordinate differences
+const XTC_FILE = Buffer.from(
+    'AAAHywAAAAwAAAAAAAAAAECgAAAAAAAAAAAAAAAAAABAoAAAAAAAAAAAAAAAAAAAQKAAAAAAAAxEegAAAAAAAAAAAAAAAAAAAAAPoAAAD6AAAA+gAAAADwAAADm4xm' +
+    'O6OEY//wVSIdJoOjMgBvM6OoEV/0HipWwFXnLD47L4Mpn/hbY9KBcA1H9PQgAAAAAOqeY0iAAAAAAAAAfLAAAADAAAAfQ/gAAAQKAAAAAAAAAAAAAAAAAAAECgAAAA' +
+    'AAAAAAAAAAAAAABAoAAAAAAADER6AAAAAAAAAAAACgAAABQAAA+gAAAPqgAAD7QAAAAPAAAAObjGY7o4Rj//BVIh0mg6MyAG8zo6gRX/QeKlbAVecsPjsvgymf+Ftj' +
+    '0oFwDUf09CAAAAAA6p5jSIAAAAAA==', 'base64');
+
+// Coordinates of the first frame in nanometers
+const FIRST_FRAME = [
+    1.000, 1.000, 1.000, 1.096, 1.000, 1.000, 0.976, 1.093, 1.000,
+    2.000, 2.500, 0.300, 2.096, 2.500, 0.300, 1.976, 2.593, 0.300,
+    0.100, 0.200, 0.300, 3.500, 0.050, 2.750, 3.512, 0.061, 2.741,
+    4.000, 4.000, 4.000, 0.000, 0.000, 0.000, 2.222, 1.111, 3.333,
+];
+// The second frame is the first frame moved 0.01 nm in Y and 0.02 nm in Z
+const SECOND_FRAME = FIRST_FRAME.map((value, index) => value + (index % 3) * 0.01);
+
+// Read all frames from a buffer split in several chunks, as a file stream would do
+const readAllFrames = async (buffer, chunkSize = 100) => {
+    const chunks = [];
+    for (let offset = 0; offset < buffer.length; offset += chunkSize)
+        chunks.push(buffer.subarray(offset, offset + chunkSize));
+    const frames = [];
+    for await (const frame of readXtcFrames(Readable.from(chunks))) frames.push(frame);
+    return frames;
+};
+
+describe('XTC reader', () => {
+    test('decodes compressed coordinates in Ångströms', async () => {
+        const frames = await readAllFrames(XTC_FILE);
+        expect(frames.length).toBe(2);
+        expect(frames.map(frame => frame.step)).toEqual([0, 500]);
+        expect(frames[1].time).toBe(1);
+        // The box is 5 nm wide
+        expect(frames[0].box[0]).toBeCloseTo(50);
+        expect(frames[0].box[1]).toBe(0);
+        [FIRST_FRAME, SECOND_FRAME].forEach((expectedCoordinates, f) => {
+            expect(frames[f].coordinates.length).toBe(expectedCoordinates.length);
+            expectedCoordinates.forEach((value, i) => expect(frames[f].coordinates[i]).toBeCloseTo(value * 10, 3));
+        });
+    });
+
+    test('fails on truncated files', async () => {
+        await expect(readAllFrames(XTC_FILE.subarray(0, 200))).rejects.toThrow('Unexpected end of file');
+    });
+});
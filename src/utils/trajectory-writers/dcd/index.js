@@ -0,0 +1,65 @@
+// Native writer for CHARMM DCD trajectories
+// DCD files are made of Fortran unformatted records, each one surrounded by its size in bytes
+// Files are written little endian, with a unit cell if frames have a box and with no fixed atoms
+// https://www.ks.uiuc.edu/Research/vmd/plugins/molfile/dcdplugin.html
+
+// Get the box handlers
+const { cellFromBox } = require('../../trajectory-readers/box');
+
+// Set the CHARMM version written in the header, so readers expect a unit cell
+const CHARMM_VERSION = 24;
+// Size of every title line
+const TITLE_SIZE = 80;
+// Time unit of DCD files (AKMA) in picoseconds
+const AKMA_TIME_UNIT = 0.04888821;
+
+// Surround data with its size in bytes, as a Fortran unformatted record
+const record = data => {
+    const marker = Buffer.alloc(4);
+    marker.writeInt32LE(data.length);
+    return Buffer.concat([marker, data, marker]);
+};
+
+// Write the header of a DCD file: the control record, the title and the number of atoms
+// Steps and times are only used to set the first step, the steps between frames and the time step
+// The time step is passed in picoseconds
+const writeDcdHeader = ({ atomCount, frameCount, startStep = 0, stepsBetweenFrames = 1, timestep = 0, hasUnitCell, title }) => {
+    const control = Buffer.alloc(4 + 20 * 4);
+    control.write('CORD', 0, 'latin1');
+    control.writeInt32LE(frameCount, 4);
+    control.writeInt32LE(startStep, 8);
+    control.writeInt32LE(stepsBetweenFrames, 12);
+    control.writeInt32LE(stepsBetweenFrames * frameCount, 16);
+    control.writeFloatLE(timestep / AKMA_TIME_UNIT, 4 + 9 * 4);
+    control.writeInt32LE(hasUnitCell ? 1 : 0, 4 + 10 * 4);
+    control.writeInt32LE(CHARMM_VERSION, 4 + 19 * 4);
+    const titleRecord = Buffer.alloc(4 + TITLE_SIZE, ' ');
+    titleRecord.writeInt32LE(1, 0);
+    titleRecord.write((title || '').slice(0, TITLE_SIZE), 4, 'latin1');
+    const atomRecord = Buffer.alloc(4);
+    atomRecord.writeInt32LE(atomCount);
+    return Buffer.concat([record(control), record(titleRecord), record(atomRecord)]);
+};
+
+// Write a DCD frame from its coordinates in Ångströms (x, y, z for every atom) and its box vectors, if any
+// Frames must have a box if the header says there is a unit cell, even if it is empty
+const writeDcdFrame = (coordinates, box) => {
+    const records = [];
+    if (box !== undefined) {
+        // The unit cell is written as A, gamma, B, beta, alpha, C
+        const [a, b, c, alpha, beta, gamma] = box ? cellFromBox(box) : [0, 0, 0, 90, 90, 90];
+        records.push(record(Buffer.from(Float64Array.from([a, gamma, b, beta, alpha, c]).buffer)));
+    }
+    const atomCount = coordinates.length / 3;
+    for (let dimension = 0; dimension < 3; dimension++) {
+        const values = Buffer.alloc(atomCount * 4);
+        for (let i = 0; i < atomCount; i++) values.writeFloatLE(coordinates[i * 3 + dimension], i * 4);
+        records.push(record(values));
+    }
+    return Buffer.concat(records);
+};
+
+module.exports = {
+    writeDcdHeader,
+    writeDcdFrame,
+};
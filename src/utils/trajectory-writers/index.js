@@ -0,0 +1,23 @@
+// Get the writers of every trajectory format
+const { writeDcdHeader, writeDcdFrame } = require('./dcd');
+
+// Set the writer of every supported trajectory format by file extension
+// Every writer has a function to write the file header and a function to write every frame
+// Frames are passed as coordinates in Ångströms (x, y, z for every atom) and box vectors, if any
+// Note that XTC is not supported, since its compression would be slow to write natively
+const TRAJECTORY_WRITERS = {
+    dcd: { writeHeader: writeDcdHeader, writeFrame: writeDcdFrame },
+};
+
+// Get the trajectory writer of a given format
+const getTrajectoryWriter = format => {
+    const writer = TRAJECTORY_WRITERS[format];
+    if (!writer) throw new Error(`Trajectories can not be written as ${format}. ` +
+        `Supported formats are ${Object.keys(TRAJECTORY_WRITERS).join(', ')}`);
+    return writer;
+};
+
+module.exports = {
+    TRAJECTORY_WRITERS,
+    getTrajectoryWriter,
+};
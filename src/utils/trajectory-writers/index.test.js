@@ -0,0 +1,31 @@
+// Tests for the native trajectory writers
+const { Readable } = require('stream');
+const { getTrajectoryWriter } = require('./index');
+const readDcdFrames = require('../trajectory-readers/dcd');
+const { boxFromCell } = require('../trajectory-readers/box');
+
+// Coordinates of the 2 frames of 2 atoms in the test trajectory, in Ångströms
+const FRAMES = [
+    [1, 2, 3, 4, 5, 6],
+    [1.5, 2.5, 3.5, 4.5, 5.5, 6.5],
+];
+
+describe('trajectory writers', () => {
+    test('write DCD files which are read back', async () => {
+        const writer = getTrajectoryWriter('dcd');
+        const box = boxFromCell(10, 20, 30, 90, 90, 60);
+        const data = Buffer.concat([
+            writer.writeHeader({ atomCount: 2, frameCount: 2, startStep: 100, stepsBetweenFrames: 50, hasUnitCell: true }),
+            ...FRAMES.map(frame => writer.writeFrame(Float32Array.from(frame), box)),
+        ]);
+        const frames = [];
+        for await (const frame of readDcdFrames(Readable.from([data]))) frames.push(frame);
+        expect(frames.map(frame => Array.from(frame.coordinates))).toEqual(FRAMES);
+        expect(frames.map(frame => frame.step)).toEqual([100, 150]);
+        frames.forEach(frame => Array.from(frame.box).forEach((value, i) => expect(value).toBeCloseTo(box[i], 3)));
+    });
+
+    test('refuse unsupported formats', () => {
+        expect(() => getTrajectoryWriter('xtc')).toThrow('Supported formats are dcd');
+    });
+});